@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+// Command-line ETL: the same sync, status, seed and export logic as the server, for cron jobs and deploy scripts.
+// Run `node cli.js --help` (or `npm run cli -- --help`) for usage.
+
+// stdout is reserved for the command's result (text, --json or export data); library logging goes to stderr
+console.log = console.error;
+process.env.DOTENV_CONFIG_QUIET = process.env.DOTENV_CONFIG_QUIET || 'true'; // No dotenv banner in cron logs
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const pool = require('./lib/postgres');
+const { LEVEL_KEYS, parseLevel, listSources } = require('./lib/sources');
+const { isValidCode, CODE_FORMAT } = require('./lib/codes');
+const { initDB, seedInitialData } = require('./lib/setup');
+const provider = require('./lib/providers');
+const { runSyncJob } = require('./lib/sync');
+const { createJob, cancelJob, toPublicJob, onJobUpdate } = require('./lib/jobs');
+const { parseGeometryOptions } = require('./lib/simplification');
+const { FORMATS, iterateRegions, createWriter } = require('./lib/export');
+const { parseAliasCsv, importAliases } = require('./lib/aliases');
+const { isValidName, parseDataset, createDataset } = require('./lib/datasets');
+
+// 0: success, 1: the command failed, 2: bad usage, 3: dry-run finished but found problems in the source files (or alias CSV)
+const EXIT = { OK: 0, FAILED: 1, USAGE: 2, PROBLEMS: 3 };
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  sync <code>      Load the source files of a code into the database
+                   --dry-run (validate only, nothing written), --repair (ST_MakeValid invalid geometries),
+                   --mirror (also delete sourced rows the files no longer have)
+  status <code>    Rows per level in the database and whether source files exist
+  seed             Load the provinsi file into an empty database (--force: even if data exists, --dry-run)
+  export <code>    Export regions: --format ${Object.keys(FORMATS).join('|')} (default geojson),
+                   --level <1-4|name> or --descendants, --output <file> (default stdout),
+                   --zoom, --tolerance, --precision as in /api/db/export
+  import-aliases <file.csv>
+                   Import region aliases (kode,alias,type[,valid_from][,valid_to][,source]),
+                   --dry-run (check the file only)
+  import-dataset <name> <file.csv|file.json>
+                   Import an attribute dataset keyed by kode as the next version of <name>,
+                   --description <text>, --dry-run (check the file only)
+  init-db          Run init_db.sql: create or upgrade the database schema (POSTGRES; paste it into Supabase)
+
+Options:
+  --json           Print the result as JSON
+  --quiet, -q      No progress output
+  --help, -h       Show this help
+
+Exit codes: 0 success, 1 failure, 2 bad usage, 3 dry-run (or alias CSV) found problems`;
+
+const OPTIONS = {
+    json: { type: 'boolean' },
+    quiet: { type: 'boolean', short: 'q' },
+    help: { type: 'boolean', short: 'h' },
+    'dry-run': { type: 'boolean' },
+    repair: { type: 'boolean' },
+    mirror: { type: 'boolean' },
+    force: { type: 'boolean' },
+    format: { type: 'string', short: 'f' },
+    level: { type: 'string' },
+    descendants: { type: 'boolean' },
+    output: { type: 'string', short: 'o' },
+    zoom: { type: 'string' },
+    tolerance: { type: 'string' },
+    precision: { type: 'string' },
+    description: { type: 'string' }
+};
+
+class CliError extends Error {
+    constructor(message, exitCode = EXIT.FAILED) {
+        super(message);
+        this.exitCode = exitCode;
+    }
+}
+
+const print = (text) => process.stdout.write(`${text}\n`);
+
+// DB_PROVIDER=FILE only serves reads from geojson/
+const requireDatabase = (command) => {
+    if (provider.name === 'file') throw new CliError(`${command} needs a database, DB_PROVIDER is FILE`);
+};
+
+const requireCode = (code) => {
+    if (!code) throw new CliError('Code is required', EXIT.USAGE);
+    if (!isValidCode(code)) throw new CliError(`Invalid code "${code}": use ${CODE_FORMAT}`, EXIT.USAGE);
+    return code;
+};
+
+// Progress of a sync job on stderr: one line per file, plus a live counter of its features on a terminal
+function reportProgress(job) {
+    let lastFile = null;
+    return onJobUpdate(job.id, (update) => {
+        if (update.currentFile && update.currentFile !== lastFile) {
+            lastFile = update.currentFile;
+            if (process.stderr.isTTY) process.stderr.write('\n');
+            process.stderr.write(`${update.currentFile}${process.stderr.isTTY ? '' : '\n'}`);
+        } else if (process.stderr.isTTY && update.fileFeaturesTotal > 0) {
+            process.stderr.write(`\r${lastFile}: ${update.fileFeaturesDone}/${update.fileFeaturesTotal} features`);
+        }
+    });
+}
+
+function describeSync(job) {
+    const result = job.result || {};
+    const lines = [];
+
+    if (job.status === 'failed') {
+        lines.push(`Sync ${job.code} failed:`);
+        job.errors.forEach(e => lines.push(`  ${e.file ? `${e.file}: ` : ''}${e.message}`));
+        return lines;
+    }
+    if (job.status === 'cancelled') return [`Sync ${job.code} cancelled, nothing was written`];
+
+    if (result.dryRun) {
+        const s = result.summary;
+        lines.push(`Dry-run ${job.code}: ${result.processed} features, ${s.withProblems} with problems`);
+        if (s.withProblems > 0) {
+            lines.push(`  property: ${s.property}, duplicate: ${s.duplicate}, invalid geometry: ${s.invalid_geometry}, empty geometry: ${s.empty_geometry}`);
+            result.features.slice(0, 20).forEach(f => {
+                lines.push(`  ${f.file} #${f.index}${f.kode ? ` (${f.kode})` : ''}: ${f.problems.map(p => p.message).join('; ')}`);
+            });
+            if (result.features.length > 20) lines.push(`  ...and ${result.features.length - 20} more`);
+        }
+        if (!result.geometryCheck.checked) lines.push(`  Geometry check skipped: ${result.geometryCheck.error}`);
+    } else {
+        lines.push(`Synced ${job.code}: ${result.processed} features (${result.rows} rows) in ${(result.durationMs / 1000).toFixed(1)} s, ${result.featuresPerSecond} features/s`);
+        if (result.repairs && result.repairs.length > 0) lines.push(`  Repaired geometries: ${result.repairs.length}`);
+    }
+
+    if (result.orphans && result.orphans.length > 0) {
+        lines.push(`  Without parent: ${result.orphans.length} (${result.orphans.slice(0, 10).map(o => o.kode).join(', ')}${result.orphans.length > 10 ? ', ...' : ''})`);
+    }
+    if (result.orphanCheckError) lines.push(`  Orphan check skipped: ${result.orphanCheckError}`);
+    if (result.removed) lines.push(`  ${result.dryRun ? 'Would remove' : 'Removed'}: ${result.removed.length}`);
+    if (result.removedCheckError) lines.push(`  Removal check skipped: ${result.removedCheckError}`);
+    return lines;
+}
+
+async function syncCommand(code, flags) {
+    requireCode(code);
+    const files = listSources(code);
+    if (files.length === 0) throw new CliError(`No source files found for ${code}`);
+
+    const dryRun = Boolean(flags['dry-run']);
+    if (!dryRun) requireDatabase('sync');
+    const job = createJob(dryRun ? 'dry-run' : 'sync', code);
+    const stopProgress = flags.quiet ? () => {} : reportProgress(job);
+
+    // Ctrl+C / kill: stop between features and roll back instead of leaving a half-written run
+    const cancel = () => {
+        if (cancelJob(job)) console.error('\nCancelling, rolling back...');
+    };
+    process.once('SIGINT', cancel);
+    process.once('SIGTERM', cancel);
+
+    try {
+        await runSyncJob(job, files, { dryRun, repair: Boolean(flags.repair), mirror: Boolean(flags.mirror) });
+    } finally {
+        stopProgress();
+        process.off('SIGINT', cancel);
+        process.off('SIGTERM', cancel);
+        if (!flags.quiet && process.stderr.isTTY) process.stderr.write('\n');
+    }
+
+    let exitCode = EXIT.OK;
+    if (job.status !== 'completed') exitCode = EXIT.FAILED;
+    else if (dryRun && job.result.summary.withProblems > 0) exitCode = EXIT.PROBLEMS;
+
+    return { exitCode, data: toPublicJob(job), text: describeSync(job) };
+}
+
+async function statusCommand(code) {
+    requireCode(code);
+    const stats = await provider.getStatus(code);
+    const files = listSources(code).map(({ name, level, size, archive }) => ({ name, level, size, archive: archive || null }));
+
+    const store = provider.name === 'file' ? 'file index' : 'database';
+    const text = [`Code ${code}: ${stats.available ? `in ${store}` : `not in ${store}`}`];
+    Object.values(LEVEL_KEYS).forEach(key => text.push(`  ${key.padEnd(10)} ${stats[key]}`));
+    text.push(`Source files: ${files.length}`);
+    files.forEach(f => text.push(`  ${f.name}${f.archive ? ` (${f.archive})` : ''}`));
+
+    return { exitCode: EXIT.OK, data: { code, ...stats, files }, text };
+}
+
+async function seedCommand(flags) {
+    requireDatabase('seed');
+    const result = await seedInitialData({ force: Boolean(flags.force), dryRun: Boolean(flags['dry-run']) });
+
+    let text;
+    if (result.reason === 'exists') text = 'Initial data already exists, nothing seeded (use --force to load it anyway)';
+    else if (result.reason === 'missing-file') text = `File not found for seeding: ${result.file}`;
+    else if (!result.seeded) text = `Would seed ${result.features} features from ${result.file}`;
+    else text = `Seeded ${result.rows} features from ${result.file}`;
+
+    return { exitCode: result.reason === 'missing-file' ? EXIT.FAILED : EXIT.OK, data: result, text: [text] };
+}
+
+async function exportCommand(code, flags) {
+    requireCode(code);
+    requireDatabase('export');
+    const format = (flags.format || 'geojson').toLowerCase();
+    if (!FORMATS[format]) throw new CliError(`Format must be one of: ${Object.keys(FORMATS).join(', ')}`, EXIT.USAGE);
+
+    let level = null;
+    if (flags.level) {
+        level = parseLevel(flags.level);
+        if (!level) throw new CliError('Level must be 1-4 or provinsi/kabupaten/kecamatan/kelurahan', EXIT.USAGE);
+    }
+    const descendants = Boolean(flags.descendants);
+
+    let geometry;
+    try {
+        const { zoom, tolerance, precision } = flags;
+        geometry = parseGeometryOptions(zoom !== undefined || tolerance !== undefined ? { zoom, tolerance, precision } : { tolerance: 0, precision });
+    } catch (err) {
+        throw new CliError(err.message, EXIT.USAGE);
+    }
+
+    // Same layer name as the download from /api/db/export
+    const scope = level ? LEVEL_KEYS[level] : (descendants ? 'all' : LEVEL_KEYS[Math.min(code.split('.').length, 4)]);
+    const layerName = `wilayah_${code}_${scope}`;
+    const rows = iterateRegions({ code, level, descendants, geometry });
+
+    let next = await rows.next();
+    if (next.done) throw new CliError('No regions match the selection');
+
+    // The file is only created once there is something to write
+    const out = flags.output ? fs.createWriteStream(flags.output) : process.stdout;
+    const write = (chunk) => new Promise((resolve, reject) => {
+        if (!chunk || out.write(chunk)) return resolve();
+        out.once('drain', resolve);
+        out.once('error', reject);
+    });
+
+    const writer = createWriter(format, layerName);
+    let count = 0;
+    await write(writer.head());
+    while (!next.done) {
+        await write(writer.row(next.value, count++));
+        next = await rows.next();
+    }
+    await write(writer.tail());
+    if (flags.output) await new Promise((resolve, reject) => out.end(err => err ? reject(err) : resolve()));
+
+    const data = { code, format, layerName, regions: count, output: flags.output || null };
+    // Exported data on stdout is the result itself, so the summary goes to stderr
+    if (!flags.output) {
+        if (!flags.quiet) console.error(`Exported ${count} regions (${layerName}, ${format})`);
+        return { exitCode: EXIT.OK, data: null, text: [] };
+    }
+    return { exitCode: EXIT.OK, data, text: [`Exported ${count} regions (${layerName}, ${format}) to ${flags.output}`] };
+}
+
+async function importAliasesCommand(file, flags) {
+    if (!file) throw new CliError('CSV file is required', EXIT.USAGE);
+    requireDatabase('import-aliases');
+
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        throw new CliError(`Cannot read ${file}: ${err.message}`);
+    }
+
+    const { aliases, problems, problemCount } = parseAliasCsv(text);
+    if (problemCount > 0) {
+        const lines = [`${file}: ${problemCount} problems, nothing imported`];
+        problems.forEach(p => lines.push(`  ${p.line ? `line ${p.line}: ` : ''}${p.message}`));
+        if (problemCount > problems.length) lines.push(`  ... and ${problemCount - problems.length} more`);
+        return { exitCode: EXIT.PROBLEMS, data: { file, aliases: aliases.length, problems, problemCount }, text: lines };
+    }
+    if (flags['dry-run']) {
+        return { exitCode: EXIT.OK, data: { file, dryRun: true, aliases: aliases.length }, text: [`${file}: ${aliases.length} aliases, no problems`] };
+    }
+
+    const result = await importAliases(aliases);
+    const lines = [`Imported ${aliases.length} aliases from ${file}: ${result.inserted} new, ${result.updated} updated`];
+    if (result.unknownCodes.length > 0) lines.push(`Skipped codes not in the database: ${result.unknownCodes.join(', ')}`);
+    return { exitCode: EXIT.OK, data: { file, dryRun: false, aliases: aliases.length, ...result }, text: lines };
+}
+
+async function importDatasetCommand(name, file, flags) {
+    if (!name || !file) throw new CliError('Dataset name and file are required', EXIT.USAGE);
+    if (!isValidName(name)) throw new CliError('Dataset name must be lowercase letters, digits, _ or - (e.g. penduduk_2024)', EXIT.USAGE);
+    requireDatabase('import-dataset');
+
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        throw new CliError(`Cannot read ${file}: ${err.message}`);
+    }
+
+    const format = file.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+    const { fields, rows, problems, problemCount } = parseDataset(text, format);
+    const fieldList = fields.map(f => `${f.name} (${f.type})`).join(', ');
+    if (problemCount > 0) {
+        const lines = [`${file}: ${problemCount} problems, nothing imported`];
+        problems.forEach(p => lines.push(`  ${p.line !== null ? `${format === 'csv' ? 'line' : 'row'} ${p.line}: ` : ''}${p.message}`));
+        if (problemCount > problems.length) lines.push(`  ... and ${problemCount - problems.length} more`);
+        return { exitCode: EXIT.PROBLEMS, data: { name, file, rows: rows.length, fields, problems, problemCount }, text: lines };
+    }
+    if (flags['dry-run']) {
+        return { exitCode: EXIT.OK, data: { name, file, dryRun: true, rows: rows.length, fields }, text: [`${file}: ${rows.length} rows, fields ${fieldList}`] };
+    }
+
+    const result = await createDataset(name, { description: flags.description || null, fields, rows, createdBy: 'cli' });
+    const lines = [`Imported ${result.rows} rows from ${file} as ${name}@${result.version}, fields ${fieldList}`];
+    if (result.unmatched > 0) lines.push(`${result.unmatched} codes are not in the database (yet)`);
+    return { exitCode: EXIT.OK, data: { file, dryRun: false, ...result }, text: lines };
+}
+
+async function initDbCommand() {
+    const result = await initDB();
+    let text;
+    if (result.skipped && provider.name === 'file') text = ['File provider selected, there is no database to initialize.'];
+    else if (result.skipped) text = ["Supabase Provider selected, nothing to do. Run 'init_db.sql' in your Supabase SQL Editor."];
+    else text = ['Database initialized successfully.', ...(result.adminCreated ? [`Created editor "${result.adminCreated}" from AUTH_ADMIN_USERNAME.`] : [])];
+    return { exitCode: EXIT.OK, data: result, text };
+}
+
+const COMMANDS = {
+    sync: (args, flags) => syncCommand(args[0], flags),
+    status: (args) => statusCommand(args[0]),
+    seed: (args, flags) => seedCommand(flags),
+    export: (args, flags) => exportCommand(args[0], flags),
+    'import-aliases': (args, flags) => importAliasesCommand(args[0], flags),
+    'import-dataset': (args, flags) => importDatasetCommand(args[0], args[1], flags),
+    'init-db': () => initDbCommand()
+};
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (err) {
+        console.error(`${err.message}\n\n${USAGE}`);
+        return EXIT.USAGE;
+    }
+
+    const { values: flags, positionals: [command, ...args] } = parsed;
+    if (flags.help || !command) {
+        print(USAGE);
+        return flags.help ? EXIT.OK : EXIT.USAGE;
+    }
+    if (!COMMANDS[command]) {
+        console.error(`Unknown command "${command}"\n\n${USAGE}`);
+        return EXIT.USAGE;
+    }
+
+    try {
+        const { exitCode, data, text } = await COMMANDS[command](args, flags);
+        if (flags.json && data) print(JSON.stringify(data, null, 2));
+        else if (!flags.json) text.forEach(line => print(line));
+        return exitCode;
+    } catch (err) {
+        const exitCode = err instanceof CliError ? err.exitCode : EXIT.FAILED;
+        if (flags.json) print(JSON.stringify({ error: err.message, exitCode }, null, 2));
+        console.error(`Error: ${err.message}`);
+        return exitCode;
+    }
+}
+
+main(process.argv.slice(2))
+    .then(exitCode => { process.exitCode = exitCode; })
+    .finally(() => pool.end());
@@ -1,5 +1,7 @@
 -- Enable PostGIS Extension
 CREATE EXTENSION IF NOT EXISTS postgis;
+-- Trigram matching for fuzzy name search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
 
 -- Table: m_wilayah_poligon
 CREATE TABLE IF NOT EXISTS m_wilayah_poligon (
@@ -13,6 +15,76 @@ CREATE TABLE IF NOT EXISTS m_wilayah_poligon (
 
 CREATE INDEX IF NOT EXISTS idx_wilayah_code ON m_wilayah_poligon(kode_wilayah_kemendagri);
 CREATE INDEX IF NOT EXISTS idx_wilayah_nama ON m_wilayah_poligon(lower(nama_wilayah_kemendagri));
+CREATE INDEX IF NOT EXISTS idx_wilayah_nama_trgm ON m_wilayah_poligon USING GIN(lower(nama_wilayah_kemendagri) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_wilayah_geometry ON m_wilayah_poligon USING GIST(geometry);
+
+-- Parent code (kelurahan -> kecamatan -> kabupaten -> provinsi), NULL for provinsi
+ALTER TABLE m_wilayah_poligon ADD COLUMN IF NOT EXISTS kode_induk VARCHAR(255);
+CREATE INDEX IF NOT EXISTS idx_wilayah_induk ON m_wilayah_poligon(kode_induk);
+
+-- Backfill rows loaded before kode_induk existed: parent is the code without its last segment
+UPDATE m_wilayah_poligon
+SET kode_induk = regexp_replace(kode_wilayah_kemendagri, '\.[^.]+$', '')
+WHERE kode_induk IS NULL AND level > 1;
+
+-- Simplification levels. geometry keeps full resolution; the simplified copies are maintained by a trigger
+-- so every write path (upsert_wilayah, batched sync, staging commit) gets them. Tolerances in degrees,
+-- keep in sync with lib/simplification.js.
+ALTER TABLE m_wilayah_poligon ADD COLUMN IF NOT EXISTS geometry_s1 GEOMETRY(MultiPolygon, 4326); -- 0.0001 (~11 m)
+ALTER TABLE m_wilayah_poligon ADD COLUMN IF NOT EXISTS geometry_s2 GEOMETRY(MultiPolygon, 4326); -- 0.001 (~110 m)
+ALTER TABLE m_wilayah_poligon ADD COLUMN IF NOT EXISTS geometry_s3 GEOMETRY(MultiPolygon, 4326); -- 0.01 (~1.1 km)
+
+CREATE OR REPLACE FUNCTION simplify_wilayah_geometry()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.geometry_s1 := ST_Multi(ST_SimplifyPreserveTopology(NEW.geometry, 0.0001));
+    NEW.geometry_s2 := ST_Multi(ST_SimplifyPreserveTopology(NEW.geometry, 0.001));
+    NEW.geometry_s3 := ST_Multi(ST_SimplifyPreserveTopology(NEW.geometry, 0.01));
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_wilayah_simplify ON m_wilayah_poligon;
+CREATE TRIGGER trg_wilayah_simplify
+BEFORE INSERT OR UPDATE OF geometry ON m_wilayah_poligon
+FOR EACH ROW EXECUTE FUNCTION simplify_wilayah_geometry();
+
+-- Backfill rows loaded before the simplified columns existed.
+-- Their geometry was already simplified at 0.0001 on load; re-sync to get full resolution back.
+UPDATE m_wilayah_poligon SET geometry = geometry WHERE geometry_s1 IS NULL;
+
+-- Region metrics, computed on every geometry write: geodesic area (km2), perimeter (km),
+-- a label point guaranteed to lie inside the polygon and the bounding box [west, south, east, north]
+ALTER TABLE m_wilayah_poligon ADD COLUMN IF NOT EXISTS luas_km2 FLOAT8;
+ALTER TABLE m_wilayah_poligon ADD COLUMN IF NOT EXISTS keliling_km FLOAT8;
+ALTER TABLE m_wilayah_poligon ADD COLUMN IF NOT EXISTS titik_label GEOMETRY(Point, 4326);
+ALTER TABLE m_wilayah_poligon ADD COLUMN IF NOT EXISTS bbox FLOAT8[];
+
+CREATE OR REPLACE FUNCTION compute_wilayah_metrics()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.luas_km2 := ST_Area(NEW.geometry::geography) / 1000000.0;
+    NEW.keliling_km := ST_Perimeter(NEW.geometry::geography) / 1000.0;
+    NEW.bbox := ARRAY[ST_XMin(NEW.geometry), ST_YMin(NEW.geometry), ST_XMax(NEW.geometry), ST_YMax(NEW.geometry)];
+    BEGIN
+        NEW.titik_label := ST_PointOnSurface(NEW.geometry);
+    EXCEPTION WHEN OTHERS THEN
+        -- Invalid geometry (sync without repair): fall back to the centroid
+        NEW.titik_label := ST_Centroid(NEW.geometry);
+    END;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_wilayah_metrics ON m_wilayah_poligon;
+CREATE TRIGGER trg_wilayah_metrics
+BEFORE INSERT OR UPDATE OF geometry ON m_wilayah_poligon
+FOR EACH ROW EXECUTE FUNCTION compute_wilayah_metrics();
+
+UPDATE m_wilayah_poligon SET geometry = geometry WHERE luas_km2 IS NULL;
+
+-- Where a row comes from: 'sourced' (loaded from a GeoJSON file) or 'derived' (union of its children, see build_wilayah_parents)
+ALTER TABLE m_wilayah_poligon ADD COLUMN IF NOT EXISTS origin VARCHAR(16) NOT NULL DEFAULT 'sourced';
 
 -- Function: upsert_wilayah (Used for Sync)
 DROP FUNCTION IF EXISTS upsert_wilayah(TEXT, TEXT, INT, JSONB);
@@ -25,13 +97,177 @@ CREATE OR REPLACE FUNCTION upsert_wilayah(
     p_geojson JSONB
 ) RETURNS VOID AS $$
 BEGIN
-    INSERT INTO m_wilayah_poligon (kode_wilayah_kemendagri, nama_wilayah_kemendagri, level, geometry, updated_at)
-    VALUES (p_kode, p_nama, p_level, ST_Multi(ST_SimplifyPreserveTopology(ST_Force2D(ST_GeomFromGeoJSON(p_geojson)), 0.0001)), NOW())
+    INSERT INTO m_wilayah_poligon (kode_wilayah_kemendagri, nama_wilayah_kemendagri, level, kode_induk, geometry, updated_at)
+    VALUES (
+        p_kode, p_nama, p_level,
+        CASE WHEN p_level > 1 THEN regexp_replace(p_kode, '\.[^.]+$', '') END,
+        ST_Multi(ST_Force2D(ST_GeomFromGeoJSON(p_geojson))),
+        NOW()
+    )
     ON CONFLICT (kode_wilayah_kemendagri) 
     DO UPDATE SET 
         nama_wilayah_kemendagri = EXCLUDED.nama_wilayah_kemendagri,
+        kode_induk = EXCLUDED.kode_induk,
+        geometry = EXCLUDED.geometry,
+        origin = 'sourced',
+        updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql;
+
+-- Table: m_wilayah_poligon_staging (Batched Sync for Supabase)
+-- Rows are staged per sync run and moved into m_wilayah_poligon in one statement,
+-- so a failed run never leaves a region partly loaded.
+CREATE TABLE IF NOT EXISTS m_wilayah_poligon_staging (
+    run_id UUID NOT NULL,
+    kode_wilayah_kemendagri VARCHAR(255) NOT NULL,
+    nama_wilayah_kemendagri VARCHAR(255),
+    level INTEGER,
+    geometry GEOMETRY(MultiPolygon, 4326),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (run_id, kode_wilayah_kemendagri)
+);
+
+ALTER TABLE m_wilayah_poligon_staging ADD COLUMN IF NOT EXISTS kode_induk VARCHAR(255);
+ALTER TABLE m_wilayah_poligon_staging ADD COLUMN IF NOT EXISTS source_file TEXT;
+
+-- Function: stage_wilayah_batch (Used for Sync)
+-- p_features: JSONB array of { kode, nama, level, parent, geometry, source_file }
+-- p_repair: fix invalid geometries with ST_MakeValid. Returns the repaired features.
+DROP FUNCTION IF EXISTS stage_wilayah_batch(UUID, JSONB);
+DROP FUNCTION IF EXISTS stage_wilayah_batch(UUID, JSONB, BOOLEAN);
+
+CREATE OR REPLACE FUNCTION stage_wilayah_batch(p_run_id UUID, p_features JSONB, p_repair BOOLEAN DEFAULT FALSE)
+RETURNS TABLE (
+    repaired_kode TEXT,
+    repair_reason TEXT
+) AS $$
+BEGIN
+    IF p_repair THEN
+        RETURN QUERY
+        SELECT src.kode, ST_IsValidReason(src.geom)::text
+        FROM (
+            SELECT f->>'kode' AS kode, ST_Force2D(ST_GeomFromGeoJSON(f->'geometry')) AS geom
+            FROM jsonb_array_elements(p_features) AS f
+        ) AS src
+        WHERE NOT ST_IsValid(src.geom);
+    END IF;
+
+    INSERT INTO m_wilayah_poligon_staging (run_id, kode_wilayah_kemendagri, nama_wilayah_kemendagri, level, kode_induk, geometry, source_file)
+    SELECT
+        p_run_id,
+        src.kode,
+        src.nama,
+        src.level,
+        src.parent,
+        ST_Multi(
+            CASE WHEN p_repair AND NOT ST_IsValid(src.geom) THEN ST_CollectionExtract(ST_MakeValid(src.geom), 3) ELSE src.geom END
+        ),
+        src.source_file
+    FROM (
+        SELECT f->>'kode' AS kode, f->>'nama' AS nama, (f->>'level')::int AS level, f->>'parent' AS parent, f->>'source_file' AS source_file,
+            ST_Force2D(ST_GeomFromGeoJSON(f->'geometry')) AS geom
+        FROM jsonb_array_elements(p_features) AS f
+    ) AS src
+    ON CONFLICT (run_id, kode_wilayah_kemendagri)
+    DO UPDATE SET
+        nama_wilayah_kemendagri = EXCLUDED.nama_wilayah_kemendagri,
+        level = EXCLUDED.level,
+        kode_induk = EXCLUDED.kode_induk,
+        geometry = EXCLUDED.geometry,
+        source_file = EXCLUDED.source_file;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function: commit_wilayah_staging (Used for Sync)
+CREATE OR REPLACE FUNCTION commit_wilayah_staging(p_run_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    INSERT INTO m_wilayah_poligon (kode_wilayah_kemendagri, nama_wilayah_kemendagri, level, kode_induk, geometry, source_file, sync_run_id, updated_at)
+    SELECT kode_wilayah_kemendagri, nama_wilayah_kemendagri, level, kode_induk, geometry, source_file, run_id::text, NOW()
+    FROM m_wilayah_poligon_staging
+    WHERE run_id = p_run_id
+    ON CONFLICT (kode_wilayah_kemendagri)
+    DO UPDATE SET
+        nama_wilayah_kemendagri = EXCLUDED.nama_wilayah_kemendagri,
+        kode_induk = EXCLUDED.kode_induk,
         geometry = EXCLUDED.geometry,
+        origin = 'sourced',
+        source_file = EXCLUDED.source_file,
+        sync_run_id = EXCLUDED.sync_run_id,
         updated_at = NOW();
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    DELETE FROM m_wilayah_poligon_staging WHERE run_id = p_run_id;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function: commit_wilayah_staging_mirror (Used for Sync in mirror mode)
+-- Commits the run, then deletes the sourced rows under p_code at p_levels that the run did not write.
+-- The deletes are attributed to the run in the history. Returns the deleted rows as a JSON array of { kode, nama, level }.
+CREATE OR REPLACE FUNCTION commit_wilayah_staging_mirror(p_run_id UUID, p_code TEXT, p_levels INT[])
+RETURNS JSONB AS $$
+DECLARE
+    v_pruned JSONB;
+BEGIN
+    PERFORM commit_wilayah_staging(p_run_id);
+    PERFORM set_config('wilayah.run_id', p_run_id::text, true);
+
+    WITH deleted AS (
+        DELETE FROM m_wilayah_poligon w
+        WHERE (w.kode_wilayah_kemendagri = p_code OR w.kode_wilayah_kemendagri LIKE p_code || '.%')
+        AND w.level = ANY(p_levels)
+        AND w.origin = 'sourced'
+        AND w.sync_run_id IS DISTINCT FROM p_run_id::text
+        RETURNING w.kode_wilayah_kemendagri, w.nama_wilayah_kemendagri, w.level
+    )
+    SELECT COALESCE(jsonb_agg(jsonb_build_object('kode', d.kode_wilayah_kemendagri, 'nama', d.nama_wilayah_kemendagri, 'level', d.level)
+        ORDER BY d.kode_wilayah_kemendagri), '[]'::jsonb)
+    INTO v_pruned
+    FROM deleted d;
+
+    RETURN v_pruned;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function: discard_wilayah_staging (Used for Sync rollback)
+CREATE OR REPLACE FUNCTION discard_wilayah_staging(p_run_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    DELETE FROM m_wilayah_poligon_staging WHERE run_id = p_run_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function: validate_wilayah_batch (Used for Sync dry-run)
+-- Returns only the features whose geometry is invalid or can't be parsed. Writes nothing.
+-- p_features: JSONB array of { geometry }, feature_index is the position in that array.
+CREATE OR REPLACE FUNCTION validate_wilayah_batch(p_features JSONB)
+RETURNS TABLE (
+    feature_index INTEGER,
+    reason TEXT
+) AS $$
+DECLARE
+    v_feature JSONB;
+    v_index INTEGER := 0;
+    v_geom GEOMETRY;
+BEGIN
+    FOR v_feature IN SELECT * FROM jsonb_array_elements(p_features) LOOP
+        BEGIN
+            v_geom := ST_Force2D(ST_GeomFromGeoJSON(v_feature->'geometry'));
+            IF NOT ST_IsValid(v_geom) THEN
+                feature_index := v_index;
+                reason := ST_IsValidReason(v_geom);
+                RETURN NEXT;
+            END IF;
+        EXCEPTION WHEN OTHERS THEN
+            feature_index := v_index;
+            reason := SQLERRM;
+            RETURN NEXT;
+        END;
+        v_index := v_index + 1;
+    END LOOP;
 END;
 $$ LANGUAGE plpgsql;
 
@@ -50,7 +286,7 @@ BEGIN
         kode_wilayah_kemendagri as id, 
         nama_wilayah_kemendagri as name, 
         m_wilayah_poligon.level, 
-        ST_AsGeoJSON(geometry)::json as geom
+        ST_AsGeoJSON(geometry_s1)::json as geom
     FROM m_wilayah_poligon
     WHERE kode_wilayah_kemendagri LIKE p_code || '%'
     -- Optimize: If fetching kab/kec/kel based on logic, we might need more specific queries.
@@ -60,50 +296,150 @@ END;
 $$ LANGUAGE plpgsql;
 
 -- Function: get_wilayah_by_level (Used for Map)
+-- p_simplification: 0 = full resolution, 1-3 = geometry_s1..geometry_s3
+-- p_tolerance: simplify the chosen level further on the fly (degrees), NULL to skip
+-- p_precision: decimal digits of the GeoJSON coordinates
 DROP FUNCTION IF EXISTS get_wilayah_by_level(INT, TEXT);
+DROP FUNCTION IF EXISTS get_wilayah_by_level(INT, TEXT, INT, FLOAT8, INT);
 
-CREATE OR REPLACE FUNCTION get_wilayah_by_level(p_level INT, p_parent_code TEXT)
+CREATE OR REPLACE FUNCTION get_wilayah_by_level(
+    p_level INT,
+    p_parent_code TEXT,
+    p_simplification INT DEFAULT 1,
+    p_tolerance FLOAT8 DEFAULT NULL,
+    p_precision INT DEFAULT 9
+)
 RETURNS TABLE (
     id TEXT,
     name TEXT,
-    geom JSON
+    geom JSON,
+    area_km2 FLOAT8,
+    perimeter_km FLOAT8,
+    label_point JSON,
+    bbox FLOAT8[]
 ) AS $$
 BEGIN
     RETURN QUERY
     SELECT 
-        m_wilayah_poligon.kode_wilayah_kemendagri::text, 
-        m_wilayah_poligon.nama_wilayah_kemendagri::text, 
-        ST_AsGeoJSON(m_wilayah_poligon.geometry)::json
-    FROM m_wilayah_poligon
-    WHERE m_wilayah_poligon.level = p_level 
+        w.kode_wilayah_kemendagri::text, 
+        w.nama_wilayah_kemendagri::text, 
+        ST_AsGeoJSON(
+            CASE WHEN p_tolerance IS NULL THEN g.geom ELSE ST_Multi(ST_SimplifyPreserveTopology(g.geom, p_tolerance)) END,
+            p_precision
+        )::json,
+        w.luas_km2,
+        w.keliling_km,
+        ST_AsGeoJSON(w.titik_label, 6)::json,
+        w.bbox
+    FROM m_wilayah_poligon w
+    CROSS JOIN LATERAL (
+        SELECT CASE p_simplification
+            WHEN 1 THEN w.geometry_s1
+            WHEN 2 THEN w.geometry_s2
+            WHEN 3 THEN w.geometry_s3
+            ELSE w.geometry
+        END AS geom
+    ) g
+    WHERE w.level = p_level 
     AND (
         (p_parent_code IS NULL) OR 
-        (m_wilayah_poligon.kode_wilayah_kemendagri LIKE p_parent_code || '%')
+        (w.kode_wilayah_kemendagri LIKE p_parent_code || '%')
     );
 END;
 $$ LANGUAGE plpgsql;
 
--- Function for Search
+-- Function for Search: by code ("11.73", or "1173" normalized in lib/search.js) or by name and aliases
+-- (exact > prefix > contains > trigram word similarity), with up to three ancestors for the label.
+-- A region matched by several names counts once, with its best match; alias* columns say which alias it was.
+-- Same query as SEARCH_SQL in lib/providers/database.js
 DROP FUNCTION IF EXISTS search_wilayah(TEXT);
+DROP FUNCTION IF EXISTS search_wilayah(TEXT, TEXT, INTEGER, TEXT, FLOAT8, INTEGER, INTEGER);
 
-CREATE OR REPLACE FUNCTION search_wilayah(p_query TEXT)
+CREATE OR REPLACE FUNCTION search_wilayah(
+    p_query TEXT,
+    p_code TEXT DEFAULT NULL,
+    p_level INTEGER DEFAULT NULL,
+    p_parent TEXT DEFAULT NULL,
+    p_threshold FLOAT8 DEFAULT 0.4,
+    p_limit INTEGER DEFAULT 10,
+    p_offset INTEGER DEFAULT 0
+)
 RETURNS TABLE (
     id TEXT,
     name TEXT,
-    level INTEGER
+    level INTEGER,
+    parent TEXT,
+    match TEXT,
+    similarity FLOAT8,
+    alias TEXT,
+    alias_type TEXT,
+    alias_valid_from DATE,
+    alias_valid_to DATE,
+    parent_1_id TEXT,
+    parent_1_name TEXT,
+    parent_2_id TEXT,
+    parent_2_name TEXT,
+    parent_3_id TEXT,
+    parent_3_name TEXT
 ) AS $$
+DECLARE
+    v_query TEXT := lower(p_query);
+    -- LIKE pattern: the query with \, % and _ escaped
+    v_pattern TEXT := replace(replace(replace(lower(p_query), '\', '\\'), '%', '\%'), '_', '\_');
 BEGIN
     RETURN QUERY
-    SELECT 
-        m_wilayah_poligon.kode_wilayah_kemendagri::text, 
-        m_wilayah_poligon.nama_wilayah_kemendagri::text, 
-        m_wilayah_poligon.level
-    FROM m_wilayah_poligon
-    WHERE lower(m_wilayah_poligon.nama_wilayah_kemendagri) LIKE '%' || lower(p_query) || '%'
-    ORDER BY m_wilayah_poligon.level ASC, m_wilayah_poligon.nama_wilayah_kemendagri ASC
-    LIMIT 10;
+    WITH names AS (
+        SELECT w.kode_wilayah_kemendagri::text AS n_id, lower(w.nama_wilayah_kemendagri) AS n_text,
+            NULL::text AS n_alias, NULL::text AS n_alias_type, NULL::date AS n_valid_from, NULL::date AS n_valid_to
+        FROM m_wilayah_poligon w
+        UNION ALL
+        SELECT a.kode_wilayah_kemendagri::text, lower(a.nama_alias), a.nama_alias::text, a.jenis_alias::text, a.berlaku_mulai, a.berlaku_sampai
+        FROM m_wilayah_alias a
+        WHERE p_code IS NULL
+    ),
+    matches AS (
+        SELECT n.*,
+            CASE
+                WHEN n.n_id = p_code THEN 'code'
+                WHEN p_code IS NOT NULL THEN 'code_prefix'
+                WHEN n.n_text = v_query THEN 'exact'
+                WHEN n.n_text LIKE v_pattern || '%' THEN 'prefix'
+                WHEN n.n_text LIKE '%' || v_pattern || '%' THEN 'contains'
+                ELSE 'fuzzy'
+            END AS n_match,
+            CASE WHEN p_code IS NULL THEN word_similarity(v_query, n.n_text)::float8 ELSE 0 END AS n_similarity
+        FROM names n
+        WHERE CASE
+            WHEN p_code IS NOT NULL THEN n.n_id = p_code OR n.n_id LIKE p_code || '.%'
+            ELSE n.n_text LIKE '%' || v_pattern || '%' OR word_similarity(v_query, n.n_text) >= p_threshold
+        END
+    ),
+    hits AS (
+        SELECT DISTINCT ON (m.n_id) m.n_id AS h_id, w.nama_wilayah_kemendagri::text AS h_name, w.level AS h_level,
+            w.kode_induk::text AS h_parent, m.n_match, m.n_similarity, m.n_alias, m.n_alias_type, m.n_valid_from, m.n_valid_to
+        FROM matches m
+        JOIN m_wilayah_poligon w ON w.kode_wilayah_kemendagri = m.n_id
+        WHERE (p_level IS NULL OR w.level = p_level)
+        AND (p_parent IS NULL OR m.n_id LIKE p_parent || '.%')
+        ORDER BY m.n_id,
+            CASE m.n_match WHEN 'code' THEN 5 WHEN 'code_prefix' THEN 4 WHEN 'exact' THEN 3 WHEN 'prefix' THEN 2 WHEN 'contains' THEN 1 ELSE 0 END DESC,
+            m.n_similarity DESC, m.n_alias NULLS FIRST
+    )
+    SELECT h.h_id, h.h_name, h.h_level, h.h_parent, h.n_match, h.n_similarity,
+        h.n_alias, h.n_alias_type, h.n_valid_from, h.n_valid_to,
+        p1.kode_wilayah_kemendagri::text, p1.nama_wilayah_kemendagri::text,
+        p2.kode_wilayah_kemendagri::text, p2.nama_wilayah_kemendagri::text,
+        p3.kode_wilayah_kemendagri::text, p3.nama_wilayah_kemendagri::text
+    FROM hits h
+    LEFT JOIN m_wilayah_poligon p1 ON p1.kode_wilayah_kemendagri = h.h_parent
+    LEFT JOIN m_wilayah_poligon p2 ON p2.kode_wilayah_kemendagri = p1.kode_induk
+    LEFT JOIN m_wilayah_poligon p3 ON p3.kode_wilayah_kemendagri = p2.kode_induk
+    ORDER BY
+        CASE h.n_match WHEN 'code' THEN 5 WHEN 'code_prefix' THEN 4 WHEN 'exact' THEN 3 WHEN 'prefix' THEN 2 WHEN 'contains' THEN 1 ELSE 0 END DESC,
+        h.n_similarity DESC, h.h_level, h.h_name, h.h_id
+    LIMIT p_limit OFFSET p_offset;
 END;
-$$ LANGUAGE plpgsql;
+$$ LANGUAGE plpgsql STABLE;
 
 -- Function for Status (Count by Level)
 CREATE OR REPLACE FUNCTION get_wilayah_counts()
@@ -118,3 +454,767 @@ BEGIN
     GROUP BY m_wilayah_poligon.level;
 END;
 $$ LANGUAGE plpgsql;
+
+-- Functions for Hierarchy Navigation (no geometry, cheap to call)
+CREATE OR REPLACE FUNCTION get_wilayah_children(p_kode TEXT)
+RETURNS TABLE (
+    id TEXT,
+    name TEXT,
+    level INTEGER,
+    parent TEXT
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        m_wilayah_poligon.kode_wilayah_kemendagri::text,
+        m_wilayah_poligon.nama_wilayah_kemendagri::text,
+        m_wilayah_poligon.level,
+        m_wilayah_poligon.kode_induk::text
+    FROM m_wilayah_poligon
+    WHERE m_wilayah_poligon.kode_induk = p_kode
+    ORDER BY m_wilayah_poligon.kode_wilayah_kemendagri;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Ancestors from the nearest parent up to provinsi
+CREATE OR REPLACE FUNCTION get_wilayah_ancestors(p_kode TEXT)
+RETURNS TABLE (
+    id TEXT,
+    name TEXT,
+    level INTEGER,
+    parent TEXT
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH RECURSIVE chain AS (
+        SELECT w.kode_wilayah_kemendagri, w.nama_wilayah_kemendagri, w.level, w.kode_induk, 0 AS depth
+        FROM m_wilayah_poligon w
+        WHERE w.kode_wilayah_kemendagri = (SELECT s.kode_induk FROM m_wilayah_poligon s WHERE s.kode_wilayah_kemendagri = p_kode)
+        UNION ALL
+        SELECT w.kode_wilayah_kemendagri, w.nama_wilayah_kemendagri, w.level, w.kode_induk, chain.depth + 1
+        FROM m_wilayah_poligon w
+        JOIN chain ON w.kode_wilayah_kemendagri = chain.kode_induk
+        WHERE chain.depth < 10
+    )
+    SELECT chain.kode_wilayah_kemendagri::text, chain.nama_wilayah_kemendagri::text, chain.level, chain.kode_induk::text
+    FROM chain
+    ORDER BY chain.depth;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION get_wilayah_siblings(p_kode TEXT)
+RETURNS TABLE (
+    id TEXT,
+    name TEXT,
+    level INTEGER,
+    parent TEXT
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        w.kode_wilayah_kemendagri::text,
+        w.nama_wilayah_kemendagri::text,
+        w.level,
+        w.kode_induk::text
+    FROM m_wilayah_poligon w
+    JOIN m_wilayah_poligon s ON s.kode_wilayah_kemendagri = p_kode
+    WHERE w.kode_wilayah_kemendagri <> p_kode
+    AND w.level = s.level
+    AND w.kode_induk IS NOT DISTINCT FROM s.kode_induk
+    ORDER BY w.kode_wilayah_kemendagri;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function: locate_wilayah (Reverse Geocoding)
+-- p_points: JSONB array of { idx, lat, lng }. Returns every polygon covering each point
+-- (inside = FALSE when the point lies on its boundary) and, if p_snap_meters > 0,
+-- the nearest polygon within that distance for levels with no covering polygon.
+CREATE OR REPLACE FUNCTION locate_wilayah(p_points JSONB, p_snap_meters FLOAT8 DEFAULT 0)
+RETURNS TABLE (
+    idx INTEGER,
+    id TEXT,
+    name TEXT,
+    level INTEGER,
+    parent TEXT,
+    inside BOOLEAN,
+    distance_m FLOAT8
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH pts AS (
+        SELECT p.idx AS point_idx, ST_SetSRID(ST_MakePoint(p.lng, p.lat), 4326) AS pt
+        FROM jsonb_to_recordset(p_points) AS p(idx INT, lng FLOAT8, lat FLOAT8)
+    ),
+    hits AS (
+        SELECT pts.point_idx, w.kode_wilayah_kemendagri::text AS w_id, w.nama_wilayah_kemendagri::text AS w_name, w.level AS w_level, w.kode_induk::text AS w_parent,
+            ST_Contains(w.geometry, pts.pt) AS w_inside, 0::float8 AS w_distance
+        FROM pts
+        JOIN m_wilayah_poligon w ON ST_Covers(w.geometry, pts.pt)
+    ),
+    near AS (
+        SELECT DISTINCT ON (pts.point_idx, w.level)
+            pts.point_idx, w.kode_wilayah_kemendagri::text AS w_id, w.nama_wilayah_kemendagri::text AS w_name, w.level AS w_level, w.kode_induk::text AS w_parent,
+            FALSE AS w_inside, ST_Distance(w.geometry::geography, pts.pt::geography) AS w_distance
+        FROM pts
+        JOIN m_wilayah_poligon w ON p_snap_meters > 0 AND w.geometry && ST_Expand(pts.pt, p_snap_meters / 100000.0)
+        WHERE NOT EXISTS (SELECT 1 FROM hits h WHERE h.point_idx = pts.point_idx AND h.w_level = w.level)
+        AND ST_DWithin(w.geometry::geography, pts.pt::geography, p_snap_meters)
+        ORDER BY pts.point_idx, w.level, w_distance
+    )
+    SELECT * FROM hits
+    UNION ALL
+    SELECT * FROM near;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function: get_wilayah_tile (Vector Tiles)
+-- Mapbox Vector Tile for z/x/y with one layer per level in p_levels (provinsi, kabupaten, kecamatan, kelurahan),
+-- restricted to codes starting with p_code. Features carry id and name.
+-- p_simplification: which stored geometry to encode (0 = full resolution, 1-3 = geometry_s1..geometry_s3)
+DROP FUNCTION IF EXISTS get_wilayah_tile(INT, INT, INT, INT[], TEXT);
+
+CREATE OR REPLACE FUNCTION get_wilayah_tile(p_z INT, p_x INT, p_y INT, p_levels INT[], p_code TEXT DEFAULT '', p_simplification INT DEFAULT 0)
+RETURNS BYTEA AS $$
+DECLARE
+    v_env GEOMETRY := ST_TileEnvelope(p_z, p_x, p_y);
+    v_env_4326 GEOMETRY := ST_Transform(ST_TileEnvelope(p_z, p_x, p_y, margin => 64.0 / 4096), 4326);
+    v_tile BYTEA := ''::bytea;
+    v_layer BYTEA;
+    v_level INT;
+BEGIN
+    FOREACH v_level IN ARRAY p_levels LOOP
+        SELECT ST_AsMVT(t, (ARRAY['provinsi', 'kabupaten', 'kecamatan', 'kelurahan'])[v_level], 4096, 'geom')
+        INTO v_layer
+        FROM (
+            SELECT w.kode_wilayah_kemendagri AS id, w.nama_wilayah_kemendagri AS name,
+                ST_AsMVTGeom(ST_Transform(CASE p_simplification
+                    WHEN 1 THEN w.geometry_s1
+                    WHEN 2 THEN w.geometry_s2
+                    WHEN 3 THEN w.geometry_s3
+                    ELSE w.geometry
+                END, 3857), v_env, 4096, 64, true) AS geom
+            FROM m_wilayah_poligon w
+            WHERE w.level = v_level
+            AND w.geometry && v_env_4326
+            AND w.kode_wilayah_kemendagri LIKE p_code || '%'
+        ) t;
+        v_tile := v_tile || COALESCE(v_layer, ''::bytea);
+    END LOOP;
+    RETURN v_tile;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Function: get_wilayah_bounds (Vector Tiles metadata)
+CREATE OR REPLACE FUNCTION get_wilayah_bounds(p_code TEXT DEFAULT '')
+RETURNS TABLE (west FLOAT8, south FLOAT8, east FLOAT8, north FLOAT8) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT ST_XMin(e), ST_YMin(e), ST_XMax(e), ST_YMax(e)
+    FROM (SELECT ST_Extent(geometry) AS e FROM m_wilayah_poligon WHERE kode_wilayah_kemendagri LIKE p_code || '%') x;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Function: export_wilayah_page (Export, keyset paging ordered by code)
+-- Selects the region itself, its descendants at p_level, or (p_descendants) the region and all descendants.
+-- p_simplification / p_tolerance / p_precision as in get_wilayah_by_level.
+CREATE OR REPLACE FUNCTION export_wilayah_page(
+    p_code TEXT,
+    p_level INT DEFAULT NULL,
+    p_descendants BOOLEAN DEFAULT FALSE,
+    p_after TEXT DEFAULT NULL,
+    p_limit INT DEFAULT 200,
+    p_simplification INT DEFAULT 0,
+    p_tolerance FLOAT8 DEFAULT NULL,
+    p_precision INT DEFAULT 9
+)
+RETURNS TABLE (
+    code TEXT,
+    name TEXT,
+    level INTEGER,
+    parent TEXT,
+    geom JSON
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        w.kode_wilayah_kemendagri::text,
+        w.nama_wilayah_kemendagri::text,
+        w.level,
+        w.kode_induk::text,
+        ST_AsGeoJSON(
+            CASE WHEN p_tolerance IS NULL THEN g.geom ELSE ST_Multi(ST_SimplifyPreserveTopology(g.geom, p_tolerance)) END,
+            p_precision
+        )::json
+    FROM m_wilayah_poligon w
+    CROSS JOIN LATERAL (
+        SELECT CASE p_simplification
+            WHEN 1 THEN w.geometry_s1
+            WHEN 2 THEN w.geometry_s2
+            WHEN 3 THEN w.geometry_s3
+            ELSE w.geometry
+        END AS geom
+    ) g
+    WHERE (w.kode_wilayah_kemendagri = p_code OR w.kode_wilayah_kemendagri LIKE p_code || '.%')
+    AND (p_level IS NULL OR w.level = p_level)
+    AND (p_descendants OR p_level IS NOT NULL OR w.kode_wilayah_kemendagri = p_code)
+    AND (p_after IS NULL OR w.kode_wilayah_kemendagri > p_after)
+    ORDER BY w.kode_wilayah_kemendagri
+    LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Function: check_wilayah_coverage (Coverage QA)
+-- Compares a region with its direct children: overlaps between siblings, gaps inside the parent
+-- (one row per gap polygon) and child area outside the parent. Findings below p_min_area_m2 are dropped.
+CREATE OR REPLACE FUNCTION check_wilayah_coverage(p_kode TEXT, p_min_area_m2 FLOAT8 DEFAULT 10)
+RETURNS TABLE (
+    kind TEXT,
+    code_a TEXT,
+    code_b TEXT,
+    area_m2 FLOAT8,
+    geom JSON
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH parent AS (
+        SELECT w.kode_wilayah_kemendagri::text AS p_code,
+            CASE WHEN ST_IsValid(w.geometry) THEN w.geometry ELSE ST_MakeValid(w.geometry) END AS p_geom
+        FROM m_wilayah_poligon w WHERE w.kode_wilayah_kemendagri = p_kode
+    ),
+    children AS (
+        SELECT w.kode_wilayah_kemendagri::text AS c_code,
+            CASE WHEN ST_IsValid(w.geometry) THEN w.geometry ELSE ST_MakeValid(w.geometry) END AS c_geom
+        FROM m_wilayah_poligon w WHERE w.kode_induk = p_kode
+    ),
+    findings AS (
+        SELECT 'overlap'::text AS f_kind, a.c_code AS f_a, b.c_code AS f_b,
+            ST_CollectionExtract(ST_Intersection(a.c_geom, b.c_geom), 3) AS f_geom
+        FROM children a
+        JOIN children b ON a.c_code < b.c_code AND ST_Intersects(a.c_geom, b.c_geom)
+        UNION ALL
+        SELECT 'gap', p.p_code, NULL, d.geom
+        FROM parent p,
+            LATERAL ST_Dump(ST_Difference(p.p_geom, COALESCE((SELECT ST_Union(c_geom) FROM children), ST_SetSRID('POLYGON EMPTY'::geometry, 4326)))) d
+        UNION ALL
+        SELECT 'outside', c.c_code, p.p_code, ST_CollectionExtract(ST_Difference(c.c_geom, p.p_geom), 3)
+        FROM children c, parent p
+        WHERE NOT ST_CoveredBy(c.c_geom, p.p_geom)
+    )
+    SELECT f.f_kind, f.f_a, f.f_b, ST_Area(f.f_geom::geography), ST_AsGeoJSON(f.f_geom, 6)::json
+    FROM findings f
+    WHERE NOT ST_IsEmpty(f.f_geom) AND ST_Area(f.f_geom::geography) >= p_min_area_m2
+    ORDER BY f.f_kind, ST_Area(f.f_geom::geography) DESC;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Function: get_wilayah_info (Region info without geometry)
+DROP FUNCTION IF EXISTS get_wilayah_info(TEXT);
+
+CREATE OR REPLACE FUNCTION get_wilayah_info(p_kode TEXT)
+RETURNS TABLE (
+    id TEXT,
+    name TEXT,
+    level INTEGER,
+    parent TEXT,
+    area_km2 FLOAT8,
+    perimeter_km FLOAT8,
+    label_point JSON,
+    bbox FLOAT8[],
+    origin TEXT,
+    updated_at TIMESTAMP
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT w.kode_wilayah_kemendagri::text, w.nama_wilayah_kemendagri::text, w.level, w.kode_induk::text,
+        w.luas_km2, w.keliling_km, ST_AsGeoJSON(w.titik_label, 6)::json, w.bbox, w.origin::text, w.updated_at
+    FROM m_wilayah_poligon w
+    WHERE w.kode_wilayah_kemendagri = p_kode;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Functions for Build Parents
+-- Parent codes at p_level under p_code (or p_code itself) that have children but no row,
+-- plus, with p_rebuild, parents that were derived earlier
+CREATE OR REPLACE FUNCTION find_wilayah_parent_targets(p_code TEXT, p_level INT, p_rebuild BOOLEAN DEFAULT FALSE)
+RETURNS TABLE (kode TEXT) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT DISTINCT c.kode_induk::text
+    FROM m_wilayah_poligon c
+    LEFT JOIN m_wilayah_poligon p ON p.kode_wilayah_kemendagri = c.kode_induk
+    WHERE c.level = p_level + 1
+    AND (c.kode_induk = p_code OR c.kode_induk LIKE p_code || '.%')
+    AND (p.kode_wilayah_kemendagri IS NULL OR (p_rebuild AND p.origin = 'derived'))
+    ORDER BY 1;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Union the children of each target into a derived row. Sourced rows are never overwritten.
+-- p_targets: JSONB array of { kode, nama, level, parent }
+CREATE OR REPLACE FUNCTION build_wilayah_parents(p_targets JSONB)
+RETURNS TABLE (built_kode TEXT, built_nama TEXT, built_level INTEGER) AS $$
+BEGIN
+    RETURN QUERY
+    INSERT INTO m_wilayah_poligon AS m (kode_wilayah_kemendagri, nama_wilayah_kemendagri, level, kode_induk, geometry, origin, updated_at)
+    SELECT t.kode, COALESCE(t.nama, e.nama_wilayah_kemendagri, t.kode), t.level, t.parent,
+        ST_Multi(ST_CollectionExtract(ST_UnaryUnion(ST_Collect(
+            CASE WHEN ST_IsValid(c.geometry) THEN c.geometry ELSE ST_MakeValid(c.geometry) END
+        )), 3)),
+        'derived', NOW()
+    FROM jsonb_to_recordset(p_targets) AS t(kode TEXT, nama TEXT, level INT, parent TEXT)
+    JOIN m_wilayah_poligon c ON c.kode_induk = t.kode
+    LEFT JOIN m_wilayah_poligon e ON e.kode_wilayah_kemendagri = t.kode
+    GROUP BY t.kode, t.nama, t.level, t.parent, e.nama_wilayah_kemendagri
+    ON CONFLICT (kode_wilayah_kemendagri)
+    DO UPDATE SET
+        nama_wilayah_kemendagri = EXCLUDED.nama_wilayah_kemendagri,
+        kode_induk = EXCLUDED.kode_induk,
+        geometry = EXCLUDED.geometry,
+        updated_at = NOW()
+    WHERE m.origin = 'derived'
+    RETURNING m.kode_wilayah_kemendagri::text, m.nama_wilayah_kemendagri::text, m.level;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function: delete_wilayah (Delete a region, optionally with all descendants)
+-- Deletes are attributed to p_delete_id in the history, so they can be undone with rollback_wilayah_run().
+-- With p_dry_run nothing is deleted. Returns { regions: [{ kode, nama, level, origin }], remaining_descendants }.
+CREATE OR REPLACE FUNCTION delete_wilayah(p_kode TEXT, p_descendants BOOLEAN DEFAULT FALSE, p_delete_id TEXT DEFAULT NULL, p_dry_run BOOLEAN DEFAULT FALSE)
+RETURNS JSONB AS $$
+DECLARE
+    v_regions JSONB;
+    v_remaining INTEGER;
+BEGIN
+    IF p_dry_run THEN
+        SELECT COALESCE(jsonb_agg(jsonb_build_object('kode', w.kode_wilayah_kemendagri, 'nama', w.nama_wilayah_kemendagri, 'level', w.level, 'origin', w.origin)
+            ORDER BY w.kode_wilayah_kemendagri), '[]'::jsonb)
+        INTO v_regions
+        FROM m_wilayah_poligon w
+        WHERE w.kode_wilayah_kemendagri = p_kode OR (p_descendants AND w.kode_wilayah_kemendagri LIKE p_kode || '.%');
+    ELSE
+        PERFORM set_config('wilayah.run_id', p_delete_id, true);
+
+        WITH deleted AS (
+            DELETE FROM m_wilayah_poligon w
+            WHERE w.kode_wilayah_kemendagri = p_kode OR (p_descendants AND w.kode_wilayah_kemendagri LIKE p_kode || '.%')
+            RETURNING w.kode_wilayah_kemendagri, w.nama_wilayah_kemendagri, w.level, w.origin
+        )
+        SELECT COALESCE(jsonb_agg(jsonb_build_object('kode', d.kode_wilayah_kemendagri, 'nama', d.nama_wilayah_kemendagri, 'level', d.level, 'origin', d.origin)
+            ORDER BY d.kode_wilayah_kemendagri), '[]'::jsonb)
+        INTO v_regions
+        FROM deleted d;
+    END IF;
+
+    SELECT COUNT(*)::int INTO v_remaining FROM m_wilayah_poligon w
+    WHERE NOT p_descendants AND w.kode_wilayah_kemendagri LIKE p_kode || '.%';
+
+    RETURN jsonb_build_object('regions', v_regions, 'remaining_descendants', v_remaining);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Functions for Source Diff
+-- Compare source features (JSONB array of { kode, nama, geometry }) with the stored rows.
+-- The geometry goes through the same ST_Force2D/ST_Multi as the loader; ST_Equals ignores vertex and part order.
+CREATE OR REPLACE FUNCTION diff_wilayah_batch(p_features JSONB)
+RETURNS TABLE (
+    kode TEXT,
+    in_db BOOLEAN,
+    db_name TEXT,
+    origin TEXT,
+    geometry_changed BOOLEAN,
+    db_area_km2 FLOAT8,
+    source_area_km2 FLOAT8
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT src.src_kode,
+        w.kode_wilayah_kemendagri IS NOT NULL,
+        w.nama_wilayah_kemendagri::text,
+        w.origin::text,
+        w.kode_wilayah_kemendagri IS NOT NULL AND NOT ST_Equals(w.geometry, ST_Multi(src.src_geom)),
+        ST_Area(w.geometry::geography) / 1e6,
+        ST_Area(src.src_geom::geography) / 1e6
+    FROM (
+        SELECT f->>'kode' AS src_kode, ST_Force2D(ST_GeomFromGeoJSON(f->'geometry')) AS src_geom
+        FROM jsonb_array_elements(p_features) AS f
+    ) AS src
+    LEFT JOIN m_wilayah_poligon w ON w.kode_wilayah_kemendagri = src.src_kode;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Rows at p_levels under p_code (or p_code itself), keyset paged by code
+CREATE OR REPLACE FUNCTION list_wilayah_under(p_code TEXT, p_levels INT[], p_after TEXT DEFAULT NULL, p_limit INT DEFAULT 1000)
+RETURNS TABLE (kode TEXT, nama TEXT, level INTEGER, origin TEXT, area_km2 FLOAT8) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT w.kode_wilayah_kemendagri::text, w.nama_wilayah_kemendagri::text, w.level, w.origin::text, w.luas_km2::float8
+    FROM m_wilayah_poligon w
+    WHERE (w.kode_wilayah_kemendagri = p_code OR w.kode_wilayah_kemendagri LIKE p_code || '.%')
+    AND w.level = ANY(p_levels)
+    AND (p_after IS NULL OR w.kode_wilayah_kemendagri > p_after)
+    ORDER BY w.kode_wilayah_kemendagri
+    LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- History: every change to m_wilayah_poligon, with rollback (see lib/history.js)
+-- Which file and sync run last wrote a row
+ALTER TABLE m_wilayah_poligon ADD COLUMN IF NOT EXISTS source_file TEXT;
+ALTER TABLE m_wilayah_poligon ADD COLUMN IF NOT EXISTS sync_run_id TEXT;
+
+-- Table: m_wilayah_poligon_history
+-- One row per change to m_wilayah_poligon with the state BEFORE the change
+-- (all NULL for INSERT: the region did not exist yet) and what caused it.
+CREATE TABLE IF NOT EXISTS m_wilayah_poligon_history (
+    id BIGSERIAL PRIMARY KEY,
+    kode_wilayah_kemendagri VARCHAR(255) NOT NULL,
+    operation VARCHAR(10) NOT NULL,
+    nama_wilayah_kemendagri VARCHAR(255),
+    level INTEGER,
+    kode_induk VARCHAR(255),
+    geometry GEOMETRY(MultiPolygon, 4326),
+    origin VARCHAR(16),
+    source_file TEXT,
+    sync_run_id TEXT,
+    valid_from TIMESTAMP,
+    changed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    changed_by_run TEXT,
+    changed_by_file TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_wilayah_history_kode ON m_wilayah_poligon_history(kode_wilayah_kemendagri, id);
+CREATE INDEX IF NOT EXISTS idx_wilayah_history_run ON m_wilayah_poligon_history(changed_by_run);
+
+-- Rollbacks and deletes set wilayah.run_id for the transaction so their changes are attributed to them
+CREATE OR REPLACE FUNCTION record_wilayah_history()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_run TEXT := NULLIF(current_setting('wilayah.run_id', true), '');
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        INSERT INTO m_wilayah_poligon_history (kode_wilayah_kemendagri, operation, changed_at, changed_by_run, changed_by_file)
+        VALUES (NEW.kode_wilayah_kemendagri, TG_OP, NOW(), COALESCE(v_run, NEW.sync_run_id), NEW.source_file);
+        RETURN NULL;
+    END IF;
+
+    IF TG_OP = 'UPDATE'
+        AND OLD.geometry IS NOT DISTINCT FROM NEW.geometry
+        AND OLD.nama_wilayah_kemendagri IS NOT DISTINCT FROM NEW.nama_wilayah_kemendagri
+        AND OLD.kode_induk IS NOT DISTINCT FROM NEW.kode_induk
+        AND OLD.level IS NOT DISTINCT FROM NEW.level THEN
+        RETURN NULL; -- Re-sync of identical data
+    END IF;
+
+    INSERT INTO m_wilayah_poligon_history (
+        kode_wilayah_kemendagri, operation, nama_wilayah_kemendagri, level, kode_induk, geometry, origin,
+        source_file, sync_run_id, valid_from, changed_at, changed_by_run, changed_by_file
+    ) VALUES (
+        OLD.kode_wilayah_kemendagri, TG_OP, OLD.nama_wilayah_kemendagri, OLD.level, OLD.kode_induk, OLD.geometry, OLD.origin,
+        OLD.source_file, OLD.sync_run_id, OLD.updated_at, NOW(),
+        CASE WHEN TG_OP = 'DELETE' THEN v_run ELSE COALESCE(v_run, NEW.sync_run_id) END,
+        CASE WHEN TG_OP = 'DELETE' THEN NULL ELSE NEW.source_file END
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_wilayah_history ON m_wilayah_poligon;
+CREATE TRIGGER trg_wilayah_history
+AFTER INSERT OR UPDATE OR DELETE ON m_wilayah_poligon
+FOR EACH ROW EXECUTE FUNCTION record_wilayah_history();
+
+-- Function: restore_wilayah_version (Rollback)
+-- Put back the state recorded in a history row: upsert the old values, or delete the region
+-- if the history row is an INSERT (it did not exist before).
+CREATE OR REPLACE FUNCTION restore_wilayah_version(p_history_id BIGINT)
+RETURNS TEXT AS $$
+DECLARE
+    h m_wilayah_poligon_history%ROWTYPE;
+BEGIN
+    SELECT * INTO h FROM m_wilayah_poligon_history WHERE id = p_history_id;
+
+    IF h.operation = 'INSERT' THEN
+        DELETE FROM m_wilayah_poligon WHERE kode_wilayah_kemendagri = h.kode_wilayah_kemendagri;
+        RETURN 'deleted';
+    END IF;
+
+    INSERT INTO m_wilayah_poligon (kode_wilayah_kemendagri, nama_wilayah_kemendagri, level, kode_induk, geometry, origin, source_file, sync_run_id, updated_at)
+    VALUES (h.kode_wilayah_kemendagri, h.nama_wilayah_kemendagri, h.level, h.kode_induk, h.geometry, h.origin, h.source_file, h.sync_run_id, NOW())
+    ON CONFLICT (kode_wilayah_kemendagri)
+    DO UPDATE SET
+        nama_wilayah_kemendagri = EXCLUDED.nama_wilayah_kemendagri,
+        level = EXCLUDED.level,
+        kode_induk = EXCLUDED.kode_induk,
+        geometry = EXCLUDED.geometry,
+        origin = EXCLUDED.origin,
+        source_file = EXCLUDED.source_file,
+        sync_run_id = EXCLUDED.sync_run_id,
+        updated_at = NOW();
+    RETURN 'restored';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function: rollback_wilayah (Rollback one region to its state at p_at)
+-- The state at p_at is the "before" state of the first change after p_at; no change after p_at means nothing to do.
+CREATE OR REPLACE FUNCTION rollback_wilayah(p_kode TEXT, p_at TIMESTAMPTZ, p_rollback_id TEXT)
+RETURNS TABLE (kode TEXT, action TEXT) AS $$
+DECLARE
+    v_history_id BIGINT;
+BEGIN
+    PERFORM set_config('wilayah.run_id', p_rollback_id, true);
+
+    SELECT h.id INTO v_history_id
+    FROM m_wilayah_poligon_history h
+    WHERE h.kode_wilayah_kemendagri = p_kode AND h.changed_at > p_at
+    ORDER BY h.id
+    LIMIT 1;
+
+    kode := p_kode;
+    action := CASE WHEN v_history_id IS NULL THEN 'unchanged' ELSE restore_wilayah_version(v_history_id) END;
+    RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function: rollback_wilayah_run (Undo every change of one sync run)
+-- Regions changed again by a later run are skipped (action 'conflict') unless p_force.
+CREATE OR REPLACE FUNCTION rollback_wilayah_run(p_run_id TEXT, p_rollback_id TEXT, p_force BOOLEAN DEFAULT FALSE)
+RETURNS TABLE (kode TEXT, action TEXT) AS $$
+DECLARE
+    r RECORD;
+BEGIN
+    PERFORM set_config('wilayah.run_id', p_rollback_id, true);
+
+    FOR r IN
+        SELECT h.kode_wilayah_kemendagri AS h_kode, MIN(h.id) AS first_id, MAX(h.id) AS last_id
+        FROM m_wilayah_poligon_history h
+        WHERE h.changed_by_run = p_run_id
+        GROUP BY h.kode_wilayah_kemendagri
+        ORDER BY h.kode_wilayah_kemendagri
+    LOOP
+        kode := r.h_kode;
+        IF NOT p_force AND EXISTS (
+            SELECT 1 FROM m_wilayah_poligon_history l
+            WHERE l.kode_wilayah_kemendagri = r.h_kode AND l.id > r.last_id
+        ) THEN
+            action := 'conflict';
+        ELSE
+            action := restore_wilayah_version(r.first_id);
+        END IF;
+        RETURN NEXT;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function: get_wilayah_as_of (History)
+-- Region as it was at p_at: the "before" state of the first change after p_at, else the current row.
+-- No row when the region did not exist at p_at.
+CREATE OR REPLACE FUNCTION get_wilayah_as_of(p_kode TEXT, p_at TIMESTAMPTZ, p_precision INT DEFAULT 9)
+RETURNS TABLE (
+    id TEXT,
+    name TEXT,
+    level INTEGER,
+    parent TEXT,
+    source_file TEXT,
+    sync_run_id TEXT,
+    valid_from TIMESTAMP,
+    valid_to TIMESTAMP,
+    geom JSON
+) AS $$
+DECLARE
+    h m_wilayah_poligon_history%ROWTYPE;
+BEGIN
+    SELECT * INTO h
+    FROM m_wilayah_poligon_history x
+    WHERE x.kode_wilayah_kemendagri = p_kode AND x.changed_at > p_at
+    ORDER BY x.id
+    LIMIT 1;
+
+    IF FOUND THEN
+        IF h.operation <> 'INSERT' THEN
+            RETURN QUERY SELECT h.kode_wilayah_kemendagri::text, h.nama_wilayah_kemendagri::text, h.level, h.kode_induk::text,
+                h.source_file, h.sync_run_id, h.valid_from, h.changed_at, ST_AsGeoJSON(h.geometry, p_precision)::json;
+        END IF;
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    SELECT w.kode_wilayah_kemendagri::text, w.nama_wilayah_kemendagri::text, w.level, w.kode_induk::text,
+        w.source_file, w.sync_run_id, w.updated_at, NULL::timestamp, ST_AsGeoJSON(w.geometry, p_precision)::json
+    FROM m_wilayah_poligon w
+    WHERE w.kode_wilayah_kemendagri = p_kode;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Function: get_wilayah_sync_runs (History)
+-- Sync runs (and rollbacks) that changed regions, newest first
+CREATE OR REPLACE FUNCTION get_wilayah_sync_runs(p_limit INT DEFAULT 50)
+RETURNS TABLE (
+    run_id TEXT,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    changes BIGINT,
+    regions BIGINT,
+    files TEXT[]
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT h.changed_by_run, MIN(h.changed_at), MAX(h.changed_at), COUNT(*), COUNT(DISTINCT h.kode_wilayah_kemendagri),
+        ARRAY_REMOVE(ARRAY_AGG(DISTINCT h.changed_by_file), NULL)
+    FROM m_wilayah_poligon_history h
+    WHERE h.changed_by_run IS NOT NULL
+    GROUP BY h.changed_by_run
+    ORDER BY MAX(h.changed_at) DESC
+    LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Table: m_wilayah_alias
+-- Not a foreign key: aliases stay when a region is deleted and synced again
+CREATE TABLE IF NOT EXISTS m_wilayah_alias (
+    id BIGSERIAL PRIMARY KEY,
+    kode_wilayah_kemendagri VARCHAR(255) NOT NULL,
+    nama_alias VARCHAR(255) NOT NULL,
+    jenis_alias VARCHAR(16) NOT NULL CHECK (jenis_alias IN ('official', 'historical', 'local_spelling', 'abbreviation')),
+    berlaku_mulai DATE,
+    berlaku_sampai DATE,
+    sumber TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wilayah_alias_unique ON m_wilayah_alias(kode_wilayah_kemendagri, lower(nama_alias), jenis_alias);
+CREATE INDEX IF NOT EXISTS idx_wilayah_alias_nama ON m_wilayah_alias(lower(nama_alias));
+CREATE INDEX IF NOT EXISTS idx_wilayah_alias_nama_trgm ON m_wilayah_alias USING GIN(lower(nama_alias) gin_trgm_ops);
+
+-- Function: import_wilayah_aliases (Aliases)
+-- Upsert aliases given as [{ kode, alias, type, valid_from, valid_to, source }]. Rows for codes that are not
+-- in m_wilayah_poligon are skipped and returned with action 'unknown_code'.
+CREATE OR REPLACE FUNCTION import_wilayah_aliases(p_aliases JSONB)
+RETURNS TABLE (kode TEXT, alias TEXT, action TEXT) AS $$
+BEGIN
+    RETURN QUERY
+    WITH input AS (
+        SELECT a.kode AS a_kode, a.alias AS a_alias, a.type AS a_type, a.valid_from AS a_from, a.valid_to AS a_to, a.source AS a_source
+        FROM jsonb_to_recordset(p_aliases) AS a(kode TEXT, alias TEXT, type TEXT, valid_from DATE, valid_to DATE, source TEXT)
+    ),
+    upserted AS (
+        INSERT INTO m_wilayah_alias AS t (kode_wilayah_kemendagri, nama_alias, jenis_alias, berlaku_mulai, berlaku_sampai, sumber)
+        SELECT i.a_kode, i.a_alias, i.a_type, i.a_from, i.a_to, i.a_source
+        FROM input i
+        WHERE EXISTS (SELECT 1 FROM m_wilayah_poligon w WHERE w.kode_wilayah_kemendagri = i.a_kode)
+        ON CONFLICT (kode_wilayah_kemendagri, lower(nama_alias), jenis_alias)
+        DO UPDATE SET
+            nama_alias = EXCLUDED.nama_alias,
+            berlaku_mulai = EXCLUDED.berlaku_mulai,
+            berlaku_sampai = EXCLUDED.berlaku_sampai,
+            sumber = EXCLUDED.sumber,
+            updated_at = NOW()
+        RETURNING t.kode_wilayah_kemendagri::text AS u_kode, t.nama_alias::text AS u_alias, (t.xmax = 0) AS u_inserted
+    )
+    SELECT u.u_kode, u.u_alias, CASE WHEN u.u_inserted THEN 'inserted' ELSE 'updated' END FROM upserted u
+    UNION ALL
+    SELECT i.a_kode, i.a_alias, 'unknown_code' FROM input i
+    WHERE NOT EXISTS (SELECT 1 FROM m_wilayah_poligon w WHERE w.kode_wilayah_kemendagri = i.a_kode);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function: lookup_wilayah_name (Aliases)
+-- Regions whose name or an alias equals p_name (lowercased, single spaces). Aliases only count when valid
+-- at p_at (if given). alias/alias_type are NULL when the region name itself matched.
+CREATE OR REPLACE FUNCTION lookup_wilayah_name(p_name TEXT, p_level INT DEFAULT NULL, p_parent TEXT DEFAULT NULL, p_at DATE DEFAULT NULL)
+RETURNS TABLE (
+    id TEXT,
+    name TEXT,
+    level INTEGER,
+    parent TEXT,
+    alias TEXT,
+    alias_type TEXT,
+    valid_from DATE,
+    valid_to DATE
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT w.kode_wilayah_kemendagri::text, w.nama_wilayah_kemendagri::text, w.level, w.kode_induk::text,
+        m.nama_alias::text, m.jenis_alias::text, m.berlaku_mulai, m.berlaku_sampai
+    FROM (
+        SELECT x.kode_wilayah_kemendagri, NULL::varchar AS nama_alias, NULL::varchar AS jenis_alias, NULL::date AS berlaku_mulai, NULL::date AS berlaku_sampai
+        FROM m_wilayah_poligon x
+        WHERE lower(x.nama_wilayah_kemendagri) = p_name
+        UNION ALL
+        SELECT a.kode_wilayah_kemendagri, a.nama_alias, a.jenis_alias, a.berlaku_mulai, a.berlaku_sampai
+        FROM m_wilayah_alias a
+        WHERE lower(a.nama_alias) = p_name
+        AND (p_at IS NULL OR ((a.berlaku_mulai IS NULL OR a.berlaku_mulai <= p_at) AND (a.berlaku_sampai IS NULL OR a.berlaku_sampai >= p_at)))
+    ) m
+    JOIN m_wilayah_poligon w ON w.kode_wilayah_kemendagri = m.kode_wilayah_kemendagri
+    WHERE (p_level IS NULL OR w.level = p_level)
+    AND (p_parent IS NULL OR w.kode_wilayah_kemendagri LIKE p_parent || '.%')
+    ORDER BY (m.nama_alias IS NOT NULL), w.level, w.kode_wilayah_kemendagri;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Table: m_dataset
+-- One row per version of a named dataset. Versions are never changed; importing again adds one.
+CREATE TABLE IF NOT EXISTS m_dataset (
+    id SERIAL PRIMARY KEY,
+    nama VARCHAR(64) NOT NULL,
+    versi INTEGER NOT NULL,
+    deskripsi TEXT,
+    kolom JSONB NOT NULL DEFAULT '[]', -- [{ name, type: 'number' | 'text' }]
+    jumlah_baris INTEGER NOT NULL DEFAULT 0,
+    dibuat_oleh TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (nama, versi)
+);
+
+-- Table: m_dataset_nilai
+-- Values of one dataset version per region, as { field: value }
+CREATE TABLE IF NOT EXISTS m_dataset_nilai (
+    dataset_id INTEGER NOT NULL REFERENCES m_dataset(id) ON DELETE CASCADE,
+    kode_wilayah_kemendagri VARCHAR(255) NOT NULL,
+    nilai JSONB NOT NULL,
+    PRIMARY KEY (dataset_id, kode_wilayah_kemendagri)
+);
+
+-- Function: create_wilayah_dataset (Datasets)
+-- Store p_rows ([{ kode, values }]) as the next version of dataset p_name.
+-- unmatched: rows whose code is not in m_wilayah_poligon (kept, they join once the region is synced).
+CREATE OR REPLACE FUNCTION create_wilayah_dataset(p_name TEXT, p_description TEXT, p_fields JSONB, p_rows JSONB, p_created_by TEXT DEFAULT NULL)
+RETURNS TABLE (dataset_id INTEGER, version INTEGER, unmatched BIGINT) AS $$
+DECLARE
+    v_id INTEGER;
+    v_version INTEGER;
+BEGIN
+    -- Two imports of the same name must not take the same version
+    PERFORM pg_advisory_xact_lock(hashtext('m_dataset:' || p_name));
+    SELECT COALESCE(MAX(d.versi), 0) + 1 INTO v_version FROM m_dataset d WHERE d.nama = p_name;
+
+    INSERT INTO m_dataset (nama, versi, deskripsi, kolom, jumlah_baris, dibuat_oleh)
+    VALUES (p_name, v_version, p_description, p_fields, jsonb_array_length(p_rows), p_created_by)
+    RETURNING id INTO v_id;
+
+    INSERT INTO m_dataset_nilai (dataset_id, kode_wilayah_kemendagri, nilai)
+    SELECT v_id, r->>'kode', r->'values'
+    FROM jsonb_array_elements(p_rows) AS r;
+
+    dataset_id := v_id;
+    version := v_version;
+    SELECT COUNT(*) INTO unmatched
+    FROM m_dataset_nilai n
+    WHERE n.dataset_id = v_id
+    AND NOT EXISTS (SELECT 1 FROM m_wilayah_poligon w WHERE w.kode_wilayah_kemendagri = n.kode_wilayah_kemendagri);
+    RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Table: m_pengguna (Local users, POSTGRES only)
+-- Login and API keys for DB_PROVIDER=POSTGRES, see lib/auth.js. API keys are stored as SHA-256 hashes,
+-- passwords as scrypt hashes. Supabase uses Supabase Auth instead (role in app_metadata.role) and leaves this table empty.
+CREATE TABLE IF NOT EXISTS m_pengguna (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(255) NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    role VARCHAR(16) NOT NULL DEFAULT 'viewer',
+    api_key_hash TEXT UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
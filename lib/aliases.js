@@ -0,0 +1,161 @@
+const pool = require('./postgres');
+const { supabaseAdmin } = require('./supabase');
+const { parse } = require('csv-parse/sync');
+const { normalizeCode } = require('./search');
+require('dotenv').config();
+
+// Alternate names of regions: "Kab. Aceh Besar", names from before a region was split, Acehnese spellings.
+// Search (SEARCH_SQL / search_wilayah) and lookupName() match them besides nama_wilayah_kemendagri.
+const ALIAS_TYPES = ['official', 'historical', 'local_spelling', 'abbreviation'];
+const MAX_PROBLEMS = 100;
+
+async function rpc(name, params) {
+    if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
+    const { data, error } = await supabaseAdmin.rpc(name, params);
+    if (error) throw new Error(`Supabase RPC Error: ${error.message}`);
+    return data || [];
+}
+
+// How names are compared: lowercase, single spaces ("Kab.  Aceh Besar " -> "kab. aceh besar")
+const normalizeName = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// YYYY-MM-DD of a real day (no 2024-02-30)
+const isDate = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Alias CSV -> rows for importAliases(). Columns: kode,alias,type[,valid_from][,valid_to][,source]
+ * (type one of ALIAS_TYPES, dates as YYYY-MM-DD). Line numbers in `problems` count the header as line 1.
+ *
+ * @returns {{ aliases: object[], problems: { line: number|null, message: string }[], problemCount: number }}
+ */
+function parseAliasCsv(text) {
+    let rows;
+    try {
+        rows = parse(text, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+    } catch (err) {
+        return { aliases: [], problems: [{ line: null, message: `Invalid CSV: ${err.message}` }], problemCount: 1 };
+    }
+
+    const aliases = [];
+    const problems = [];
+    const seen = new Set();
+    rows.forEach((row, index) => {
+        const line = index + 2;
+        const problem = (message) => problems.push({ line, message });
+        const kode = normalizeCode(row.kode);
+        const type = String(row.type || '').toLowerCase();
+
+        if (!kode) return problem(`Invalid code "${row.kode || ''}"`);
+        if (!row.alias) return problem('Alias is empty');
+        if (!ALIAS_TYPES.includes(type)) return problem(`Type must be one of: ${ALIAS_TYPES.join(', ')}`);
+        if (row.valid_from && !isDate(row.valid_from)) return problem(`valid_from must be YYYY-MM-DD, got "${row.valid_from}"`);
+        if (row.valid_to && !isDate(row.valid_to)) return problem(`valid_to must be YYYY-MM-DD, got "${row.valid_to}"`);
+        if (row.valid_from && row.valid_to && row.valid_from > row.valid_to) return problem('valid_from is after valid_to');
+
+        // One upsert cannot touch the same row twice
+        const key = `${kode}|${normalizeName(row.alias)}|${type}`;
+        if (seen.has(key)) return problem(`Duplicate alias "${row.alias}" (${type}) for ${kode}`);
+        seen.add(key);
+
+        aliases.push({
+            kode,
+            alias: row.alias.replace(/\s+/g, ' '),
+            type,
+            valid_from: row.valid_from || null,
+            valid_to: row.valid_to || null,
+            source: row.source || null
+        });
+    });
+
+    return { aliases, problems: problems.slice(0, MAX_PROBLEMS), problemCount: problems.length };
+}
+
+/**
+ * Upsert aliases (from parseAliasCsv). An alias is identified by code, name (case-insensitive) and type;
+ * importing it again updates its dates and source.
+ *
+ * @returns {Promise<{ inserted: number, updated: number, unknownCodes: string[] }>}
+ */
+async function importAliases(aliases) {
+    const rows = process.env.DB_PROVIDER === 'SUPABASE'
+        ? await rpc('import_wilayah_aliases', { p_aliases: aliases })
+        : (await pool.query('SELECT * FROM import_wilayah_aliases($1::jsonb)', [JSON.stringify(aliases)])).rows;
+
+    return {
+        inserted: rows.filter(r => r.action === 'inserted').length,
+        updated: rows.filter(r => r.action === 'updated').length,
+        unknownCodes: [...new Set(rows.filter(r => r.action === 'unknown_code').map(r => r.kode))]
+    };
+}
+
+const ALIAS_COLUMNS = 'id, kode_wilayah_kemendagri, nama_alias, jenis_alias, berlaku_mulai, berlaku_sampai, sumber';
+
+const toAlias = (row) => ({
+    id: Number(row.id),
+    code: row.kode_wilayah_kemendagri,
+    name: row.nama_alias,
+    type: row.jenis_alias,
+    validFrom: row.berlaku_mulai,
+    validTo: row.berlaku_sampai,
+    source: row.sumber
+});
+
+// Aliases of one region, oldest validity first
+async function listAliases(code) {
+    let rows;
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
+        const { data, error } = await supabaseAdmin.from('m_wilayah_alias').select(ALIAS_COLUMNS)
+            .eq('kode_wilayah_kemendagri', code)
+            .order('berlaku_mulai', { ascending: true, nullsFirst: true })
+            .order('nama_alias', { ascending: true });
+        if (error) throw new Error(error.message);
+        rows = data || [];
+    } else {
+        const result = await pool.query(
+            `SELECT ${ALIAS_COLUMNS} FROM m_wilayah_alias WHERE kode_wilayah_kemendagri = $1 ORDER BY berlaku_mulai NULLS FIRST, nama_alias`,
+            [code]
+        );
+        rows = result.rows;
+    }
+    return rows.map(toAlias);
+}
+
+// Returns whether the alias existed
+async function deleteAlias(id) {
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
+        const { data, error } = await supabaseAdmin.from('m_wilayah_alias').delete().eq('id', id).select('id');
+        if (error) throw new Error(error.message);
+        return data.length > 0;
+    }
+    const result = await pool.query('DELETE FROM m_wilayah_alias WHERE id = $1', [id]);
+    return result.rowCount > 0;
+}
+
+/**
+ * Regions called `name`, by their name or an alias (exact, case-insensitive). `matched` tells which:
+ * null for the region name, else the alias with its type and validity.
+ *
+ * @param {{ level?: number, parent?: string, at?: string }} options at: YYYY-MM-DD, only aliases valid on that day
+ */
+async function lookupName(name, { level = null, parent = null, at = null } = {}) {
+    const params = [normalizeName(name), level, parent, at];
+    const rows = process.env.DB_PROVIDER === 'SUPABASE'
+        ? await rpc('lookup_wilayah_name', { p_name: params[0], p_level: level, p_parent: parent, p_at: at })
+        : (await pool.query('SELECT * FROM lookup_wilayah_name($1, $2, $3, $4)', params)).rows;
+
+    return rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        level: row.level,
+        parent: row.parent,
+        matched: row.alias ? { alias: row.alias, type: row.alias_type, validFrom: row.valid_from, validTo: row.valid_to } : null
+    }));
+}
+
+module.exports = { ALIAS_TYPES, isDate, parseAliasCsv, importAliases, listAliases, deleteAlias, lookupName };
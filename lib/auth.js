@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const pool = require('./postgres');
+const { createSupabaseClient, supabaseAdmin } = require('./supabase');
+require('dotenv').config();
+
+// Roles in ascending order of rights. Reads are public; writes (sync, delete, upload, ...) need 'editor'.
+// DB_PROVIDER=FILE has no users at all, so it stays read-only.
+const ROLES = ['viewer', 'editor'];
+
+const SESSION_COOKIE = 'wilayah_session';
+const SESSION_MAX_AGE_MS = (parseInt(process.env.SESSION_MAX_AGE_HOURS, 10) || 12) * 60 * 60 * 1000;
+
+// Failed logins allowed per client IP and per username before logins are refused for the rest of the window
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 10;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+// Signs the POSTGRES session cookie (cookie-parser). Without SESSION_SECRET sessions end on restart.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET && !['SUPABASE', 'FILE'].includes(process.env.DB_PROVIDER)) {
+    console.warn('SESSION_SECRET is not set, using a random one: logins will not survive a restart');
+}
+
+const isSupabase = () => process.env.DB_PROVIDER === 'SUPABASE';
+const isFileOnly = () => process.env.DB_PROVIDER === 'FILE';
+
+const hasRole = (user, role) => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// scrypt runs on the libuv thread pool, so hashing doesn't hold up other requests
+const scrypt = promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = (await scrypt(password, salt, 64)).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// "ip:127.0.0.1" / "user:budi" -> { count, resetAt }: failed logins in the current window
+const failedLogins = new Map();
+const loginKeys = (req, username) => [`ip:${req.ip}`, `user:${String(username).toLowerCase()}`];
+
+function pruneFailedLogins(now) {
+    failedLogins.forEach((entry, key) => {
+        if (entry.resetAt <= now) failedLogins.delete(key);
+    });
+}
+
+/**
+ * Seconds until the client may try to log in as `username` again, 0 if it may now.
+ * Counted per IP (guessing many accounts) and per username (guessing one account from many IPs).
+ */
+function loginRetryAfter(req, username) {
+    const now = Date.now();
+    pruneFailedLogins(now);
+    const waits = loginKeys(req, username).map(key => {
+        const entry = failedLogins.get(key);
+        return entry && entry.count >= LOGIN_MAX_ATTEMPTS ? Math.ceil((entry.resetAt - now) / 1000) : 0;
+    });
+    return Math.max(...waits);
+}
+
+// A failed login counts against the IP and the username; a successful one clears the username only,
+// so logging in to one's own account doesn't reset the count of an IP guessing others
+function recordLogin(req, username, success) {
+    const [ipKey, userKey] = loginKeys(req, username);
+    if (success) {
+        failedLogins.delete(userKey);
+        return;
+    }
+    const now = Date.now();
+    [ipKey, userKey].forEach(key => {
+        const entry = failedLogins.get(key);
+        if (entry && entry.resetAt > now) entry.count++;
+        else failedLogins.set(key, { count: 1, resetAt: now + LOGIN_WINDOW_MS });
+    });
+}
+
+const toLocalUser = (row) => ({ id: String(row.id), name: row.username, role: row.role });
+
+// Supabase user -> { id, name, role }. The role lives in app_metadata, which only the service key can change.
+const toSupabaseUser = (user) => ({
+    id: user.id,
+    name: user.email || user.phone || user.id,
+    role: ROLES.includes(user.app_metadata?.role) ? user.app_metadata.role : 'viewer'
+});
+
+const bearerToken = (req) => {
+    const header = req.get('authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+/**
+ * The user making the request, or null for anonymous requests.
+ * SUPABASE: the Supabase Auth session cookie (SSR client) or an access token in "Authorization: Bearer".
+ * POSTGRES: an API key in "X-API-Key" (or "Authorization: Bearer") or the signed session cookie from POST /api/auth/login.
+ *
+ * @returns {Promise<{ id: string, name: string, role: string } | null>}
+ */
+async function getCurrentUser(req, res) {
+    if (isFileOnly()) return null;
+    if (isSupabase()) {
+        const token = bearerToken(req);
+        if (token) {
+            if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
+            const { data, error } = await supabaseAdmin.auth.getUser(token);
+            return error || !data.user ? null : toSupabaseUser(data.user);
+        }
+        const { data, error } = await createSupabaseClient(req, res).auth.getUser();
+        return error || !data.user ? null : toSupabaseUser(data.user);
+    }
+
+    const apiKey = req.get('x-api-key') || bearerToken(req);
+    if (apiKey) {
+        const result = await pool.query('SELECT id, username, role FROM m_pengguna WHERE api_key_hash = $1', [sha256(apiKey)]);
+        return result.rows[0] ? toLocalUser(result.rows[0]) : null;
+    }
+
+    // Signed cookie value: "<user id>.<expiry ms>"
+    const session = req.signedCookies && req.signedCookies[SESSION_COOKIE];
+    if (!session) return null;
+    const [id, expires] = session.split('.');
+    if (!id || !(Number(expires) > Date.now())) return null;
+
+    const result = await pool.query('SELECT id, username, role FROM m_pengguna WHERE id = $1', [id]);
+    return result.rows[0] ? toLocalUser(result.rows[0]) : null;
+}
+
+/**
+ * Log in with a username (POSTGRES) or email (SUPABASE) and password; sets the session cookie.
+ * Returns the user, or null when the credentials are wrong.
+ */
+async function login(req, res, username, password) {
+    if (isFileOnly()) return null;
+    if (isSupabase()) {
+        const { data, error } = await createSupabaseClient(req, res).auth.signInWithPassword({ email: username, password });
+        return error || !data.user ? null : toSupabaseUser(data.user);
+    }
+
+    const result = await pool.query('SELECT id, username, role, password_hash FROM m_pengguna WHERE username = $1', [username]);
+    const row = result.rows[0];
+    if (!row || !(await verifyPassword(password, row.password_hash))) return null;
+
+    res.cookie(SESSION_COOKIE, `${row.id}.${Date.now() + SESSION_MAX_AGE_MS}`, {
+        signed: true,
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: SESSION_MAX_AGE_MS
+    });
+    return toLocalUser(row);
+}
+
+async function logout(req, res) {
+    if (isSupabase()) {
+        await createSupabaseClient(req, res).auth.signOut();
+        return;
+    }
+    res.clearCookie(SESSION_COOKIE);
+}
+
+// POSTGRES mode: new API key for a user, replacing the previous one. The key itself is only returned here.
+async function createApiKey(userId) {
+    const apiKey = `wk_${crypto.randomBytes(24).toString('hex')}`;
+    await pool.query('UPDATE m_pengguna SET api_key_hash = $1 WHERE id = $2', [sha256(apiKey), userId]);
+    return apiKey;
+}
+
+// POSTGRES mode: add or update a local user
+async function saveUser(username, password, role = 'viewer') {
+    if (!ROLES.includes(role)) throw new Error(`Unknown role "${role}" (use ${ROLES.join(', ')})`);
+    const result = await pool.query(`
+        INSERT INTO m_pengguna (username, password_hash, role) VALUES ($1, $2, $3)
+        ON CONFLICT (username) DO UPDATE SET password_hash = EXCLUDED.password_hash, role = EXCLUDED.role
+        RETURNING id, username, role
+    `, [username, await hashPassword(password), role]);
+    return toLocalUser(result.rows[0]);
+}
+
+// POSTGRES mode: first editor from AUTH_ADMIN_USERNAME / AUTH_ADMIN_PASSWORD, only if no user exists yet
+async function ensureAdminUser() {
+    const username = process.env.AUTH_ADMIN_USERNAME;
+    const password = process.env.AUTH_ADMIN_PASSWORD;
+    if (!username || !password) return null;
+
+    const result = await pool.query('SELECT COUNT(*)::int AS count FROM m_pengguna');
+    if (result.rows[0].count > 0) return null;
+    return saveUser(username, password, 'editor');
+}
+
+/**
+ * Middleware: 401 without a user, 403 when the user's role is below `role`. Sets req.user.
+ */
+const requireRole = (role) => async (req, res, next) => {
+    try {
+        const user = await getCurrentUser(req, res);
+        if (!user) return res.status(401).json({ error: 'Login required' });
+        if (!hasRole(user, role)) return res.status(403).json({ error: `Role ${role} required` });
+        req.user = user;
+        next();
+    } catch (err) {
+        console.error("Auth Error:", err.message);
+        res.status(500).json({ error: "Authentication error" });
+    }
+};
+
+module.exports = {
+    ROLES,
+    SESSION_SECRET,
+    hasRole,
+    getCurrentUser,
+    loginRetryAfter,
+    recordLogin,
+    login,
+    logout,
+    createApiKey,
+    saveUser,
+    ensureAdminUser,
+    requireRole
+};
@@ -0,0 +1,20 @@
+// Region codes (kode_wilayah_kemendagri): provinsi "11", kabupaten "11.73", kecamatan "11.73.02", kelurahan "11.73.02.2001".
+// Queries select a region and its descendants with `kode = $1 OR kode LIKE $1 || '.%'`, so a code that reaches them
+// must not contain LIKE wildcards: "%" would match every row, "1_" every 1x.* subtree. Check codes from requests,
+// the CLI and other callers with these before querying.
+const CODE_PATTERN = /^\d{2}(\.\d{2}(\.\d{2}(\.\d{4})?)?)?$/;
+
+const CODE_FORMAT = 'a region code like 11, 11.73, 11.73.02 or 11.73.02.2001';
+
+const isValidCode = (code) => typeof code === 'string' && CODE_PATTERN.test(code);
+
+// 1 provinsi, 2 kabupaten, 3 kecamatan, 4 kelurahan; null for anything that isn't a region code
+const levelOfCode = (code) => (isValidCode(code) ? code.split('.').length : null);
+
+// Throws unless `code` is a region code
+function assertValidCode(code) {
+    if (!isValidCode(code)) throw new Error(`Invalid code ${JSON.stringify(code)}: expected ${CODE_FORMAT}`);
+    return code;
+}
+
+module.exports = { CODE_PATTERN, CODE_FORMAT, isValidCode, levelOfCode, assertValidCode };
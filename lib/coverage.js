@@ -0,0 +1,106 @@
+const pool = require('./postgres');
+const { supabaseAdmin } = require('./supabase');
+require('dotenv').config();
+
+// Findings smaller than this (m²) are floating-point slivers, not real problems
+const DEFAULT_MIN_AREA_M2 = parseFloat(process.env.QA_MIN_AREA_M2) || 10;
+
+// Overlaps between direct children, parts of the parent not covered by any child (one row per gap polygon)
+// and parts of a child outside the parent. Invalid geometries are made valid first so the overlay can't fail.
+// Same query as check_wilayah_coverage() in init_db.sql
+const COVERAGE_SQL = `
+    WITH parent AS (
+        SELECT kode_wilayah_kemendagri AS code,
+            CASE WHEN ST_IsValid(geometry) THEN geometry ELSE ST_MakeValid(geometry) END AS geom
+        FROM m_wilayah_poligon WHERE kode_wilayah_kemendagri = $1
+    ),
+    children AS (
+        SELECT kode_wilayah_kemendagri AS code,
+            CASE WHEN ST_IsValid(geometry) THEN geometry ELSE ST_MakeValid(geometry) END AS geom
+        FROM m_wilayah_poligon WHERE kode_induk = $1
+    ),
+    findings AS (
+        SELECT 'overlap'::text AS kind, a.code AS code_a, b.code AS code_b,
+            ST_CollectionExtract(ST_Intersection(a.geom, b.geom), 3) AS geom
+        FROM children a
+        JOIN children b ON a.code < b.code AND ST_Intersects(a.geom, b.geom)
+        UNION ALL
+        SELECT 'gap', p.code, NULL, d.geom
+        FROM parent p,
+            LATERAL ST_Dump(ST_Difference(p.geom, COALESCE((SELECT ST_Union(geom) FROM children), ST_SetSRID('POLYGON EMPTY'::geometry, 4326)))) d
+        UNION ALL
+        SELECT 'outside', c.code, p.code, ST_CollectionExtract(ST_Difference(c.geom, p.geom), 3)
+        FROM children c, parent p
+        WHERE NOT ST_CoveredBy(c.geom, p.geom)
+    )
+    SELECT kind, code_a, code_b, ST_Area(geom::geography) AS area_m2, ST_AsGeoJSON(geom, 6) AS geom
+    FROM findings
+    WHERE NOT ST_IsEmpty(geom) AND ST_Area(geom::geography) >= $2
+    ORDER BY kind, area_m2 DESC
+`;
+
+async function queryFindings(code, minAreaM2) {
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
+        const { data, error } = await supabaseAdmin.rpc('check_wilayah_coverage', { p_kode: code, p_min_area_m2: minAreaM2 });
+        if (error) throw new Error(`Supabase RPC Error: ${error.message}`);
+        return data || [];
+    }
+
+    const result = await pool.query(COVERAGE_SQL, [code, minAreaM2]);
+    return result.rows;
+}
+
+// Number of direct children, without loading them
+async function countChildren(code) {
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
+        const { count, error } = await supabaseAdmin
+            .from('m_wilayah_poligon')
+            .select('*', { count: 'exact', head: true })
+            .eq('kode_induk', code);
+        if (error) throw new Error(`Supabase Error: ${error.message}`);
+        return count;
+    }
+
+    const result = await pool.query('SELECT COUNT(*)::int AS count FROM m_wilayah_poligon WHERE kode_induk = $1', [code]);
+    return result.rows[0].count;
+}
+
+const roundArea = (m2) => Math.round(m2 * 10) / 10;
+
+/**
+ * Coverage QA of a region against its direct children (e.g. kecamatan of a kabupaten):
+ * sibling overlaps, gaps inside the parent and child area outside the parent, largest first.
+ * Each finding has its area in m² and the offending geometry as GeoJSON; `children` is the number of children checked.
+ *
+ * @param {string} code Parent code
+ * @param {{ minAreaM2?: number }} [options] Ignore findings smaller than this
+ */
+async function checkCoverage(code, { minAreaM2 = DEFAULT_MIN_AREA_M2 } = {}) {
+    const [rows, children] = await Promise.all([queryFindings(code, minAreaM2), countChildren(code)]);
+    const report = { children, overlaps: [], gaps: [], outside: [] };
+
+    rows.forEach(row => {
+        const geometry = typeof row.geom === 'string' ? JSON.parse(row.geom) : row.geom;
+        const areaM2 = roundArea(Number(row.area_m2));
+
+        if (row.kind === 'overlap') report.overlaps.push({ codes: [row.code_a, row.code_b], areaM2, geometry });
+        else if (row.kind === 'gap') report.gaps.push({ areaM2, geometry });
+        else report.outside.push({ code: row.code_a, areaM2, geometry });
+    });
+
+    const total = (list) => roundArea(list.reduce((sum, f) => sum + f.areaM2, 0));
+    report.summary = {
+        overlaps: report.overlaps.length,
+        overlapAreaM2: total(report.overlaps),
+        gaps: report.gaps.length,
+        gapAreaM2: total(report.gaps),
+        outside: report.outside.length,
+        outsideAreaM2: total(report.outside)
+    };
+
+    return report;
+}
+
+module.exports = { checkCoverage, DEFAULT_MIN_AREA_M2 };
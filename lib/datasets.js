@@ -0,0 +1,226 @@
+const pool = require('./postgres');
+const { supabaseAdmin } = require('./supabase');
+const { parse } = require('csv-parse/sync');
+const { normalizeCode } = require('./search');
+require('dotenv').config();
+
+// Attribute datasets keyed by region code (population, poverty, facility counts, ...), joined into
+// /api/db/geojson feature properties for choropleths. Importing a dataset again adds a new version.
+
+const DATASET_NAME = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+// Columns that hold the region code; every other column becomes a field
+const CODE_COLUMNS = ['kode', 'kode_wilayah_kemendagri'];
+// Feature properties the map already uses (name, id and the metrics)
+const RESERVED_FIELDS = ['id', 'name', 'areaKm2', 'perimeterKm', 'labelPoint', 'bbox'];
+const MAX_PROBLEMS = 100;
+// Supabase returns at most this many rows per request
+const PAGE_SIZE = 1000;
+
+/**
+ * "penduduk" (latest version) or "penduduk@2" -> { name, version }. Throws on anything else.
+ */
+function parseDatasetRef(value) {
+    const [name, version, ...rest] = String(value || '').trim().toLowerCase().split('@');
+    if (!DATASET_NAME.test(name) || rest.length > 0) throw new Error('dataset must be a name like "penduduk" or "penduduk@2"');
+    if (version === undefined) return { name, version: null };
+    if (!/^[1-9]\d*$/.test(version)) throw new Error('Dataset version must be a positive number');
+    return { name, version: parseInt(version, 10) };
+}
+
+const isValidName = (name) => DATASET_NAME.test(name);
+
+// "12.5" -> 12.5, "" -> null, anything else stays text
+const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+    const number = Number(String(value).trim());
+    return String(value).trim() !== '' && Number.isFinite(number) ? number : NaN;
+};
+
+/**
+ * CSV or JSON dataset file -> { fields, rows, problems, problemCount }.
+ * CSV: a kode (or kode_wilayah_kemendagri) column plus one column per field.
+ * JSON: an array of objects with kode, or an object { "11.73.01": { field: value } }.
+ * Fields whose values are all numeric (or empty) become 'number' fields, the rest 'text'.
+ *
+ * @param {string|object|Array} input CSV text, JSON text or already parsed JSON
+ * @param {'csv'|'json'} format
+ */
+function parseDataset(input, format) {
+    const problems = [];
+    let records;
+
+    try {
+        if (format === 'csv') {
+            records = parse(input, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+        } else {
+            const data = typeof input === 'string' ? JSON.parse(input) : input;
+            records = Array.isArray(data)
+                ? data
+                : Object.entries(data || {}).map(([kode, values]) => ({ kode, ...values }));
+        }
+    } catch (err) {
+        return { fields: [], rows: [], problems: [{ line: null, message: `Invalid ${format.toUpperCase()}: ${err.message}` }], problemCount: 1 };
+    }
+    if (records.length === 0) problems.push({ line: null, message: 'The dataset has no rows' });
+
+    const rows = [];
+    const names = new Set();
+    const seen = new Set();
+    records.forEach((record, index) => {
+        // CSV line numbers count the header as line 1, JSON uses the array index
+        const line = format === 'csv' ? index + 2 : index;
+        if (!record || typeof record !== 'object') return problems.push({ line, message: 'Row is not an object' });
+
+        const codeColumn = CODE_COLUMNS.find(column => record[column] !== undefined);
+        const kode = normalizeCode(codeColumn ? record[codeColumn] : null);
+        if (!kode) return problems.push({ line, message: `Invalid code "${codeColumn ? record[codeColumn] : ''}"` });
+        if (seen.has(kode)) return problems.push({ line, message: `Duplicate code ${kode}` });
+        seen.add(kode);
+
+        const values = {};
+        Object.entries(record).forEach(([field, value]) => {
+            if (CODE_COLUMNS.includes(field)) return;
+            names.add(field);
+            values[field] = value === undefined ? null : value;
+        });
+        rows.push({ kode, values });
+    });
+
+    [...names].filter(name => RESERVED_FIELDS.includes(name) || !name.trim())
+        .forEach(name => problems.push({ line: null, message: `Field name "${name}" is reserved or empty, rename the column` }));
+
+    const fields = [...names].map(name => {
+        const present = rows.map(row => row.values[name]).filter(value => value !== null && value !== undefined && value !== '');
+        const numeric = present.length > 0 && present.every(value => !Number.isNaN(toNumber(value)));
+        return { name, type: numeric ? 'number' : 'text' };
+    });
+
+    // Numbers as numbers, missing values as null, so the map can classify them
+    rows.forEach(row => fields.forEach(({ name, type }) => {
+        const value = row.values[name];
+        if (value === undefined || value === '') row.values[name] = null;
+        else if (type === 'number') row.values[name] = toNumber(value);
+    }));
+
+    return { fields, rows, problems: problems.slice(0, MAX_PROBLEMS), problemCount: problems.length };
+}
+
+/**
+ * Store parsed rows as the next version of dataset `name`.
+ *
+ * @returns {Promise<{ name: string, version: number, rows: number, fields: object[], unmatched: number }>}
+ */
+async function createDataset(name, { description = null, fields, rows, createdBy = null }) {
+    let result;
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
+        const { data, error } = await supabaseAdmin.rpc('create_wilayah_dataset', {
+            p_name: name, p_description: description, p_fields: fields, p_rows: rows, p_created_by: createdBy
+        });
+        if (error) throw new Error(`Supabase RPC Error: ${error.message}`);
+        result = data[0];
+    } else {
+        result = (await pool.query(
+            'SELECT * FROM create_wilayah_dataset($1, $2, $3::jsonb, $4::jsonb, $5)',
+            [name, description, JSON.stringify(fields), JSON.stringify(rows), createdBy]
+        )).rows[0];
+    }
+    return { name, version: result.version, rows: rows.length, fields, unmatched: Number(result.unmatched) };
+}
+
+const DATASET_COLUMNS = 'id, nama, versi, deskripsi, kolom, jumlah_baris, dibuat_oleh, created_at';
+
+const toDataset = (row) => ({
+    id: row.id,
+    name: row.nama,
+    version: row.versi,
+    description: row.deskripsi,
+    fields: row.kolom || [],
+    rows: row.jumlah_baris,
+    createdBy: row.dibuat_oleh,
+    createdAt: row.created_at
+});
+
+/**
+ * Datasets with their versions, newest version first: [{ name, latest, versions: [...] }]
+ */
+async function listDatasets() {
+    let rows;
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
+        const { data, error } = await supabaseAdmin.from('m_dataset').select(DATASET_COLUMNS)
+            .order('nama', { ascending: true })
+            .order('versi', { ascending: false });
+        if (error) throw new Error(error.message);
+        rows = data || [];
+    } else {
+        rows = (await pool.query(`SELECT ${DATASET_COLUMNS} FROM m_dataset ORDER BY nama, versi DESC`)).rows;
+    }
+
+    const datasets = new Map();
+    rows.map(toDataset).forEach(({ id, ...version }) => {
+        if (!datasets.has(version.name)) datasets.set(version.name, { name: version.name, latest: version.version, versions: [] });
+        datasets.get(version.name).versions.push(version);
+    });
+    return [...datasets.values()];
+}
+
+// One version of a dataset (the latest if `version` is null), or null
+async function getDataset(name, version = null) {
+    let row;
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
+        let query = supabaseAdmin.from('m_dataset').select(DATASET_COLUMNS).eq('nama', name);
+        if (version) query = query.eq('versi', version);
+        const { data, error } = await query.order('versi', { ascending: false }).limit(1);
+        if (error) throw new Error(error.message);
+        row = data[0];
+    } else {
+        const result = await pool.query(
+            `SELECT ${DATASET_COLUMNS} FROM m_dataset WHERE nama = $1 AND ($2::int IS NULL OR versi = $2::int) ORDER BY versi DESC LIMIT 1`,
+            [name, version]
+        );
+        row = result.rows[0];
+    }
+    return row ? toDataset(row) : null;
+}
+
+/**
+ * Values of a dataset version for the regions under a code: Map<kode, { field: value }>
+ */
+async function getDatasetValues(datasetId, codePrefix) {
+    const values = new Map();
+
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
+        for (let from = 0; ; from += PAGE_SIZE) {
+            const { data, error } = await supabaseAdmin.from('m_dataset_nilai').select('kode_wilayah_kemendagri, nilai')
+                .eq('dataset_id', datasetId)
+                .like('kode_wilayah_kemendagri', `${codePrefix}%`)
+                .order('kode_wilayah_kemendagri', { ascending: true })
+                .range(from, from + PAGE_SIZE - 1);
+            if (error) throw new Error(error.message);
+            data.forEach(row => values.set(row.kode_wilayah_kemendagri, row.nilai));
+            if (data.length < PAGE_SIZE) break;
+        }
+        return values;
+    }
+
+    const result = await pool.query(
+        'SELECT kode_wilayah_kemendagri, nilai FROM m_dataset_nilai WHERE dataset_id = $1 AND kode_wilayah_kemendagri LIKE $2',
+        [datasetId, `${codePrefix}%`]
+    );
+    result.rows.forEach(row => values.set(row.kode_wilayah_kemendagri, row.nilai));
+    return values;
+}
+
+module.exports = {
+    isValidName,
+    parseDatasetRef,
+    parseDataset,
+    createDataset,
+    listDatasets,
+    getDataset,
+    getDatasetValues
+};
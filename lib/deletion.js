@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const pool = require('./postgres');
+const { supabaseAdmin } = require('./supabase');
+const { assertValidCode } = require('./codes');
+require('dotenv').config();
+
+// The region itself, and with $2 = true all of its descendants.
+// Same selection as delete_wilayah() in init_db.sql
+const SELECT_SQL = `
+    SELECT kode_wilayah_kemendagri AS kode, nama_wilayah_kemendagri AS nama, level, origin
+    FROM m_wilayah_poligon
+    WHERE kode_wilayah_kemendagri = $1 OR ($2 AND kode_wilayah_kemendagri LIKE $1 || '.%')
+    ORDER BY kode_wilayah_kemendagri
+`;
+
+const DELETE_SQL = `
+    DELETE FROM m_wilayah_poligon
+    WHERE kode_wilayah_kemendagri = $1 OR ($2 AND kode_wilayah_kemendagri LIKE $1 || '.%')
+    RETURNING kode_wilayah_kemendagri AS kode, nama_wilayah_kemendagri AS nama, level, origin
+`;
+
+// Descendants left behind when only the region itself is deleted
+const COUNT_DESCENDANTS_SQL = `
+    SELECT COUNT(*)::int AS count FROM m_wilayah_poligon WHERE kode_wilayah_kemendagri LIKE $1 || '.%'
+`;
+
+async function deleteWithPostgres(code, descendants, deleteId, dryRun) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        let regions;
+        if (dryRun) {
+            regions = (await client.query(SELECT_SQL, [code, descendants])).rows;
+        } else {
+            // The history trigger attributes the deletes to this id, so they can be undone like a sync run
+            await client.query("SELECT set_config('wilayah.run_id', $1, true)", [deleteId]);
+            regions = (await client.query(DELETE_SQL, [code, descendants])).rows;
+        }
+        const remaining = descendants ? 0 : (await client.query(COUNT_DESCENDANTS_SQL, [code])).rows[0].count;
+        await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+        return { regions, remaining };
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+async function deleteWithSupabase(code, descendants, deleteId, dryRun) {
+    if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
+    const { data, error } = await supabaseAdmin.rpc('delete_wilayah', {
+        p_kode: code,
+        p_descendants: descendants,
+        p_delete_id: deleteId,
+        p_dry_run: dryRun
+    });
+    if (error) throw new Error(`Supabase RPC Error: ${error.message}`);
+    return { regions: data.regions || [], remaining: data.remaining_descendants };
+}
+
+/**
+ * Delete a region, or with `descendants` the region and everything under it, in one transaction.
+ * With `dryRun` nothing is deleted and the result lists what would be.
+ * Deletes are recorded in the history under `deleteId`; POST /api/db/history/rollback { runId: deleteId } restores them.
+ *
+ * @returns {Promise<{ deleteId: string|null, deleted: Array<{ kode, nama, level, origin }>, remainingDescendants: number }>}
+ *   remainingDescendants: rows still under the code afterwards (their parent is gone unless descendants was set)
+ */
+async function deleteRegion(code, { descendants = false, dryRun = false } = {}) {
+    assertValidCode(code);
+    const deleteId = dryRun ? null : crypto.randomUUID();
+    const { regions, remaining } = process.env.DB_PROVIDER === 'SUPABASE'
+        ? await deleteWithSupabase(code, descendants, deleteId, dryRun)
+        : await deleteWithPostgres(code, descendants, deleteId, dryRun);
+
+    return {
+        deleteId,
+        dryRun,
+        deleted: regions.sort((a, b) => a.kode.localeCompare(b.kode)),
+        remainingDescendants: remaining
+    };
+}
+
+module.exports = { deleteRegion };
@@ -0,0 +1,201 @@
+const pool = require('./postgres');
+const { supabaseAdmin } = require('./supabase');
+const { listSources } = require('./sources');
+const { transformProperties } = require('./mapping');
+const { assertValidCode } = require('./codes');
+require('dotenv').config();
+
+// Source features sent per comparison query / RPC call
+const BATCH_SIZE = parseInt(process.env.SYNC_BATCH_SIZE, 10) || 100;
+// Rows per page when listing what the database has under a code
+const PAGE_SIZE = 1000;
+
+// Compare a JSONB array of { kode, nama, geometry } with the stored rows. The source geometry goes through
+// the same ST_Force2D/ST_Multi as the loader, and ST_Equals compares the shapes, so a source file that only
+// starts its rings at another vertex or lists its parts in another order is unchanged
+// (features repaired with ST_MakeValid on sync will show up as changed).
+// Same query as diff_wilayah_batch() in init_db.sql
+const DIFF_BATCH_SQL = `
+    SELECT src.kode,
+        w.kode_wilayah_kemendagri IS NOT NULL AS in_db,
+        w.nama_wilayah_kemendagri AS db_name,
+        w.origin,
+        w.kode_wilayah_kemendagri IS NOT NULL AND NOT ST_Equals(w.geometry, ST_Multi(src.geom)) AS geometry_changed,
+        ST_Area(w.geometry::geography) / 1e6 AS db_area_km2,
+        ST_Area(src.geom::geography) / 1e6 AS source_area_km2
+    FROM (
+        SELECT f->>'kode' AS kode, ST_Force2D(ST_GeomFromGeoJSON(f->'geometry')) AS geom
+        FROM jsonb_array_elements($1::jsonb) AS f
+    ) AS src
+    LEFT JOIN m_wilayah_poligon w ON w.kode_wilayah_kemendagri = src.kode
+`;
+
+// Rows at the given levels under $1 (or $1 itself), keyset paged by code.
+// Same query as list_wilayah_under() in init_db.sql
+const LIST_UNDER_SQL = `
+    SELECT kode_wilayah_kemendagri AS kode, nama_wilayah_kemendagri AS nama, level, origin, luas_km2 AS area_km2
+    FROM m_wilayah_poligon
+    WHERE (kode_wilayah_kemendagri = $1 OR kode_wilayah_kemendagri LIKE $1 || '.%')
+    AND level = ANY($2)
+    AND ($3::text IS NULL OR kode_wilayah_kemendagri > $3)
+    ORDER BY kode_wilayah_kemendagri
+    LIMIT $4
+`;
+
+async function rpc(name, params) {
+    if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
+    const { data, error } = await supabaseAdmin.rpc(name, params);
+    if (error) throw new Error(`Supabase RPC Error: ${error.message}`);
+    return data || [];
+}
+
+async function compareBatch(features) {
+    if (process.env.DB_PROVIDER === 'SUPABASE') return rpc('diff_wilayah_batch', { p_features: features });
+    const result = await pool.query(DIFF_BATCH_SQL, [JSON.stringify(features)]);
+    return result.rows;
+}
+
+async function listUnder(code, levels) {
+    assertValidCode(code);
+    const rows = [];
+    let after = null;
+    while (true) {
+        let page;
+        if (process.env.DB_PROVIDER === 'SUPABASE') {
+            page = await rpc('list_wilayah_under', { p_code: code, p_levels: levels, p_after: after, p_limit: PAGE_SIZE });
+        } else {
+            page = (await pool.query(LIST_UNDER_SQL, [code, levels, after, PAGE_SIZE])).rows;
+        }
+        rows.push(...page);
+        if (page.length < PAGE_SIZE) return rows;
+        after = page[page.length - 1].kode;
+    }
+}
+
+const round = (value) => value === null || value === undefined ? null : Math.round(Number(value) * 1000) / 1000;
+
+/**
+ * Sourced rows under `code` (or `code` itself) at the given levels whose code is not in `codes`:
+ * what a mirror sync removes. Derived rows (build-parents) are kept.
+ *
+ * @returns {Promise<Array<{ kode: string, nama: string, level: number, areaKm2: number }>>}
+ */
+async function findMissingFromSource(code, levels, codes) {
+    if (levels.length === 0) return [];
+    const rows = await listUnder(code, levels);
+    return rows
+        .filter(row => !codes.has(row.kode) && row.origin !== 'derived')
+        .map(row => ({ kode: row.kode, nama: row.nama, level: row.level, areaKm2: round(row.area_km2) }));
+}
+
+/**
+ * What a sync of `code` would change: codes in the source files but not in the database (added),
+ * sourced rows at the same levels that the files no longer have (removed), different names (renamed)
+ * and different geometry (geometryChanged, with the area before/after in km²).
+ * Derived rows (build-parents) are not reported as removed.
+ */
+async function diffSource(code) {
+    const sources = listSources(code);
+    const levels = [...new Set(sources.map(s => s.level))];
+    const report = { added: [], removed: [], renamed: [], geometryChanged: [], skipped: [] };
+    const seen = new Set();
+    let unchanged = 0;
+
+    const flush = async (batch) => {
+        if (batch.length === 0) return;
+        const byCode = new Map(batch.map(f => [f.kode, f]));
+        const rows = await compareBatch(batch.map(({ kode, nama, geometry }) => ({ kode, nama, geometry })));
+
+        rows.forEach(row => {
+            const feature = byCode.get(row.kode);
+            const entry = { kode: row.kode, nama: feature.nama, level: feature.level, file: feature.file };
+
+            if (!row.in_db) {
+                report.added.push({ ...entry, areaKm2: round(row.source_area_km2) });
+                return;
+            }
+
+            let changed = false;
+            if (row.db_name !== feature.nama) {
+                report.renamed.push({ ...entry, oldName: row.db_name, newName: feature.nama });
+                changed = true;
+            }
+            if (row.geometry_changed) {
+                const oldAreaKm2 = round(row.db_area_km2);
+                const newAreaKm2 = round(row.source_area_km2);
+                report.geometryChanged.push({
+                    ...entry,
+                    origin: row.origin,
+                    oldAreaKm2,
+                    newAreaKm2,
+                    areaDiffKm2: round(newAreaKm2 - oldAreaKm2),
+                    areaDiffPct: oldAreaKm2 ? Math.round(((newAreaKm2 - oldAreaKm2) / oldAreaKm2) * 10000) / 100 : null
+                });
+                changed = true;
+            }
+            if (!changed) unchanged++;
+        });
+    };
+
+    for (const source of sources) {
+        const features = source.read().features || [];
+        let batch = [];
+
+        for (const [index, feature] of features.entries()) {
+            let kode, nama;
+            try {
+                ({ kode, nama } = transformProperties(feature, source.level));
+            } catch (err) {
+                report.skipped.push({ file: source.name, index, error: err.message });
+                continue;
+            }
+            if (seen.has(kode)) continue; // Same code twice: the first one is compared
+            seen.add(kode);
+
+            batch.push({ kode, nama, level: source.level, file: source.name, geometry: feature.geometry });
+            if (batch.length >= BATCH_SIZE) {
+                await flush(batch);
+                batch = [];
+            }
+        }
+        await flush(batch);
+    }
+
+    report.removed = await findMissingFromSource(code, levels, seen);
+
+    report.geometryChanged.sort((a, b) => Math.abs(b.areaDiffKm2) - Math.abs(a.areaDiffKm2));
+    report.summary = {
+        files: sources.length,
+        levels: levels.sort(),
+        features: seen.size,
+        added: report.added.length,
+        removed: report.removed.length,
+        renamed: report.renamed.length,
+        geometryChanged: report.geometryChanged.length,
+        unchanged,
+        skipped: report.skipped.length
+    };
+    return report;
+}
+
+// The source feature for one region code: files of the region's level whose code prefix contains it
+// (e.g. 11.73_kelurahan.geojson for 11.73.03.2001). Returns { kode, nama, level, file, geometry } or null.
+function findSourceFeature(kode) {
+    const level = kode.split('.').length;
+    const sources = listSources(kode.split('.')[0])
+        .filter(s => s.level === level && (kode === s.name.split('_')[0] || kode.startsWith(`${s.name.split('_')[0]}.`)));
+
+    for (const source of sources) {
+        for (const feature of source.read().features || []) {
+            try {
+                const { nama, kode: featureCode } = transformProperties(feature, level);
+                if (featureCode === kode) return { kode, nama, level, file: source.name, geometry: feature.geometry };
+            } catch (err) {
+                // Not a valid feature for this level, keep looking
+            }
+        }
+    }
+    return null;
+}
+
+module.exports = { diffSource, findMissingFromSource, findSourceFeature };
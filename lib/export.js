@@ -0,0 +1,157 @@
+const pool = require('./postgres');
+const { supabaseAdmin } = require('./supabase');
+const { stringify } = require('csv-stringify/sync');
+const { geometrySql } = require('./simplification');
+const { assertValidCode } = require('./codes');
+require('dotenv').config();
+
+// Rows fetched per query while streaming (keyset paging on kode_wilayah_kemendagri)
+const PAGE_SIZE = parseInt(process.env.EXPORT_PAGE_SIZE, 10) || 200;
+
+const FORMATS = {
+    geojson: { extension: 'geojson', contentType: 'application/geo+json' },
+    kml: { extension: 'kml', contentType: 'application/vnd.google-earth.kml+xml' },
+    csv: { extension: 'csv', contentType: 'text/csv' },
+    topojson: { extension: 'topojson', contentType: 'application/json' }
+};
+
+// Selection: the region itself, its descendants at one level, or the region and all its descendants.
+// Same filter as export_wilayah_page() in init_db.sql
+const pageSql = (geometry) => `
+    SELECT kode_wilayah_kemendagri AS code, nama_wilayah_kemendagri AS name, level, kode_induk AS parent,
+        ST_AsGeoJSON(${geometry}, $5) AS geom
+    FROM m_wilayah_poligon
+    WHERE (kode_wilayah_kemendagri = $1 OR kode_wilayah_kemendagri LIKE $1 || '.%')
+    AND ($2::int IS NULL OR level = $2)
+    AND ($3 OR $2::int IS NOT NULL OR kode_wilayah_kemendagri = $1)
+    AND ($4::text IS NULL OR kode_wilayah_kemendagri > $4)
+    ORDER BY kode_wilayah_kemendagri
+    LIMIT $6
+`;
+
+async function fetchPage({ code, level, descendants, geometry }, after) {
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
+        const { data, error } = await supabaseAdmin.rpc('export_wilayah_page', {
+            p_code: code,
+            p_level: level,
+            p_descendants: descendants,
+            p_after: after,
+            p_limit: PAGE_SIZE,
+            p_simplification: geometry.level,
+            p_tolerance: geometry.simplifyOnTheFly ? geometry.tolerance : null,
+            p_precision: geometry.precision
+        });
+        if (error) throw new Error(`Supabase RPC Error: ${error.message}`);
+        return data || [];
+    }
+
+    const result = await pool.query(pageSql(geometrySql(geometry)), [
+        code, level, descendants, after, geometry.precision, PAGE_SIZE
+    ]);
+    return result.rows;
+}
+
+/**
+ * Iterate the selected rows page by page, ordered by code. Each row: { code, name, level, parent, geometry }.
+ *
+ * @param {{ code: string, level: number|null, descendants: boolean, geometry: object }} selection
+ *   `geometry` comes from parseGeometryOptions()
+ */
+async function* iterateRegions(selection) {
+    assertValidCode(selection.code);
+    let after = null;
+    while (true) {
+        const rows = await fetchPage(selection, after);
+        for (const row of rows) {
+            const geometry = typeof row.geom === 'string' ? JSON.parse(row.geom) : row.geom;
+            yield { code: row.code, name: row.name, level: row.level, parent: row.parent || null, geometry };
+        }
+        if (rows.length < PAGE_SIZE) return;
+        after = rows[rows.length - 1].code;
+    }
+}
+
+// Polygons of a Polygon/MultiPolygon as arrays of rings
+const polygonsOf = (geometry) => {
+    if (!geometry) return [];
+    return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+};
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+function toWkt(geometry) {
+    const polygons = polygonsOf(geometry);
+    if (polygons.length === 0) return 'MULTIPOLYGON EMPTY';
+    const ring = (coords) => `(${coords.map(c => `${c[0]} ${c[1]}`).join(', ')})`;
+    return `MULTIPOLYGON (${polygons.map(rings => `(${rings.map(ring).join(', ')})`).join(', ')})`;
+}
+
+function toKmlPlacemark(row) {
+    const ring = (coords) => `<LinearRing><coordinates>${coords.map(c => `${c[0]},${c[1]}`).join(' ')}</coordinates></LinearRing>`;
+    const polygons = polygonsOf(row.geometry).map(([outer, ...holes]) =>
+        `<Polygon><outerBoundaryIs>${ring(outer)}</outerBoundaryIs>${holes.map(h => `<innerBoundaryIs>${ring(h)}</innerBoundaryIs>`).join('')}</Polygon>`
+    ).join('');
+
+    const data = ['code', 'name', 'level', 'parent']
+        .map(key => `<Data name="${key}"><value>${escapeXml(row[key])}</value></Data>`)
+        .join('');
+
+    return `<Placemark><name>${escapeXml(row.name)}</name><ExtendedData>${data}</ExtendedData><MultiGeometry>${polygons}</MultiGeometry></Placemark>\n`;
+}
+
+const propertiesOf = ({ code, name, level, parent }) => ({ code, name, level, parent });
+
+/**
+ * Writers per format. Each has head(), row(row, index) and tail(), all returning strings.
+ * TopoJSON arcs are written as the rows stream in (one arc per ring, not shared between regions);
+ * only the small per-region objects are kept until the end.
+ */
+function createWriter(format, layerName) {
+    switch (format) {
+        case 'geojson':
+            return {
+                head: () => '{"type":"FeatureCollection","features":[\n',
+                row: (row, i) => `${i > 0 ? ',\n' : ''}${JSON.stringify({ type: 'Feature', properties: propertiesOf(row), geometry: row.geometry })}`,
+                tail: () => '\n]}\n'
+            };
+        case 'kml':
+            return {
+                head: () => `<?xml version="1.0" encoding="UTF-8"?>\n<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>${escapeXml(layerName)}</name>\n`,
+                row: (row) => toKmlPlacemark(row),
+                tail: () => '</Document></kml>\n'
+            };
+        case 'csv':
+            return {
+                head: () => stringify([['code', 'name', 'level', 'parent', 'wkt']]),
+                row: (row) => stringify([[row.code, row.name, row.level, row.parent, toWkt(row.geometry)]]),
+                tail: () => ''
+            };
+        case 'topojson': {
+            const objects = [];
+            let arcCount = 0;
+            return {
+                head: () => '{"type":"Topology","arcs":[\n',
+                row: (row) => {
+                    const arcs = [];
+                    const polygons = polygonsOf(row.geometry).map(rings => rings.map(ring => {
+                        arcs.push(JSON.stringify(ring));
+                        return [arcCount++];
+                    }));
+                    objects.push({ type: 'MultiPolygon', id: row.code, properties: propertiesOf(row), arcs: polygons });
+                    const prefix = arcCount - arcs.length > 0 && arcs.length > 0 ? ',\n' : '';
+                    return prefix + arcs.join(',\n');
+                },
+                tail: () => `\n],"objects":${JSON.stringify({ [layerName]: { type: 'GeometryCollection', geometries: objects } })}}\n`
+            };
+        }
+        default:
+            throw new Error(`Unknown format "${format}"`);
+    }
+}
+
+module.exports = { FORMATS, PAGE_SIZE, iterateRegions, createWriter, toWkt };
@@ -0,0 +1,152 @@
+const pool = require('./postgres');
+const { supabaseAdmin } = require('./supabase');
+const { LEVEL_KEYS } = require('./sources');
+require('dotenv').config();
+
+// Points per query for bulk lookups
+const CHUNK_SIZE = 1000;
+const MAX_POINTS = parseInt(process.env.LOCATE_MAX_POINTS, 10) || 10000;
+// Upper limit for the snap distance: larger values make the nearest-polygon search scan most of the table
+const MAX_SNAP_METERS = parseInt(process.env.LOCATE_MAX_SNAP_METERS, 10) || 5000;
+
+// Polygons covering each point (inside = false means the point is on the boundary),
+// plus, when snapping is on, the nearest polygon within p_snap_meters for levels with no hit.
+// Same query as locate_wilayah() in init_db.sql
+const LOCATE_SQL = `
+    WITH pts AS (
+        SELECT p.idx, ST_SetSRID(ST_MakePoint(p.lng, p.lat), 4326) AS pt
+        FROM jsonb_to_recordset($1::jsonb) AS p(idx INT, lng FLOAT8, lat FLOAT8)
+    ),
+    hits AS (
+        SELECT pts.idx, w.kode_wilayah_kemendagri::text AS id, w.nama_wilayah_kemendagri::text AS name, w.level, w.kode_induk::text AS parent,
+            ST_Contains(w.geometry, pts.pt) AS inside, 0::float8 AS distance_m
+        FROM pts
+        JOIN m_wilayah_poligon w ON ST_Covers(w.geometry, pts.pt)
+    ),
+    near AS (
+        SELECT DISTINCT ON (pts.idx, w.level)
+            pts.idx, w.kode_wilayah_kemendagri::text AS id, w.nama_wilayah_kemendagri::text AS name, w.level, w.kode_induk::text AS parent,
+            FALSE AS inside, ST_Distance(w.geometry::geography, pts.pt::geography) AS distance_m
+        FROM pts
+        JOIN m_wilayah_poligon w ON $2::float8 > 0 AND w.geometry && ST_Expand(pts.pt, $2::float8 / 100000.0)
+        WHERE NOT EXISTS (SELECT 1 FROM hits h WHERE h.idx = pts.idx AND h.level = w.level)
+        AND ST_DWithin(w.geometry::geography, pts.pt::geography, $2::float8)
+        ORDER BY pts.idx, w.level, distance_m
+    )
+    SELECT * FROM hits
+    UNION ALL
+    SELECT * FROM near
+`;
+
+async function queryMatches(points, snapMeters) {
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
+        const { data, error } = await supabaseAdmin.rpc('locate_wilayah', { p_points: points, p_snap_meters: snapMeters });
+        if (error) throw new Error(`Supabase RPC Error: ${error.message}`);
+        return data || [];
+    }
+
+    const result = await pool.query(LOCATE_SQL, [JSON.stringify(points), snapMeters]);
+    return result.rows;
+}
+
+// Parse and range-check a coordinate pair. Returns null if invalid.
+function parsePoint(lat, lng) {
+    const latNum = typeof lat === 'number' ? lat : parseFloat(lat);
+    const lngNum = typeof lng === 'number' ? lng : parseFloat(lng);
+    if (!Number.isFinite(latNum) || !Number.isFinite(lngNum)) return null;
+    if (latNum < -90 || latNum > 90 || lngNum < -180 || lngNum > 180) return null;
+    return { lat: latNum, lng: lngNum };
+}
+
+// Parse the snap distance in meters: 0 when absent, null if not a number in [0, MAX_SNAP_METERS]
+function parseSnap(value) {
+    if (value === undefined || value === null || value === '') return 0;
+    const meters = typeof value === 'number' ? value : Number(value);
+    if (!Number.isFinite(meters) || meters < 0 || meters > MAX_SNAP_METERS) return null;
+    return meters;
+}
+
+// Pick one region per level. On a shared boundary prefer the candidate under the chosen parent.
+function buildChain(matches) {
+    const chain = {};
+    let status = 'inside';
+
+    [1, 2, 3, 4].forEach(level => {
+        const key = LEVEL_KEYS[level];
+        const candidates = matches.filter(m => m.level === level).sort((a, b) => a.id.localeCompare(b.id));
+
+        if (candidates.length === 0) {
+            chain[key] = null;
+            return;
+        }
+
+        const parent = level > 1 && chain[LEVEL_KEYS[level - 1]];
+        const chosen = (parent && candidates.find(c => c.parent === parent.id)) || candidates[0];
+        const entry = { id: chosen.id, name: chosen.name };
+
+        if (chosen.distance_m > 0) {
+            entry.status = 'nearest';
+            entry.distanceM = Math.round(chosen.distance_m * 10) / 10;
+            if (status === 'inside') status = 'nearest';
+        } else if (candidates.length > 1 || !chosen.inside) {
+            // On the edge of one polygon or shared by several
+            entry.status = 'boundary';
+            entry.candidates = candidates.map(c => ({ id: c.id, name: c.name }));
+            status = 'boundary';
+        } else {
+            entry.status = 'inside';
+        }
+
+        chain[key] = entry;
+    });
+
+    const deepest = [4, 3, 2, 1].map(level => chain[LEVEL_KEYS[level]]).find(Boolean);
+    if (!deepest) status = 'outside';
+
+    return { status, code: deepest ? deepest.id : null, ...chain };
+}
+
+/**
+ * Reverse geocode points to the provinsi/kabupaten/kecamatan/kelurahan chain.
+ * Each result has `status`: inside, boundary (on an edge shared by regions), nearest (snapped), outside or invalid.
+ *
+ * @param {Array<{ lat: number|string, lng: number|string }>} points
+ * @param {{ snapMeters?: number }} [options] Snap points outside every polygon of a level to the nearest one within this distance
+ *   (capped at MAX_SNAP_METERS)
+ */
+async function locatePoints(points, { snapMeters = 0 } = {}) {
+    if (points.length > MAX_POINTS) throw new Error(`Too many points (max ${MAX_POINTS})`);
+
+    const results = new Array(points.length);
+    const valid = [];
+
+    snapMeters = Math.min(Math.max(snapMeters, 0), MAX_SNAP_METERS);
+
+    points.forEach((point, idx) => {
+        const parsed = point && typeof point === 'object' ? parsePoint(point.lat, point.lng) : null;
+        if (!parsed) {
+            results[idx] = { status: 'invalid', error: 'lat/lng missing or out of range', code: null };
+        } else {
+            valid.push({ idx, ...parsed });
+        }
+    });
+
+    for (let i = 0; i < valid.length; i += CHUNK_SIZE) {
+        const chunk = valid.slice(i, i + CHUNK_SIZE);
+        const matches = await queryMatches(chunk, snapMeters);
+
+        const byPoint = new Map();
+        matches.forEach(m => {
+            if (!byPoint.has(m.idx)) byPoint.set(m.idx, []);
+            byPoint.get(m.idx).push(m);
+        });
+        chunk.forEach(({ idx }) => {
+            results[idx] = buildChain(byPoint.get(idx) || []);
+        });
+    }
+
+    return results;
+}
+
+module.exports = { locatePoints, parsePoint, parseSnap, MAX_POINTS, MAX_SNAP_METERS };
@@ -0,0 +1,140 @@
+const pool = require('./postgres');
+const { supabaseAdmin } = require('./supabase');
+const { METRIC_COLUMNS, metricsOf } = require('./metrics');
+require('dotenv').config();
+
+// Columns returned by the navigation endpoints (no geometry)
+const NODE_COLUMNS = `
+    kode_wilayah_kemendagri as id,
+    nama_wilayah_kemendagri as name,
+    level,
+    kode_induk as parent
+`;
+
+const requireSupabase = () => {
+    if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
+};
+
+async function rpc(name, params) {
+    requireSupabase();
+    const { data, error } = await supabaseAdmin.rpc(name, params);
+    if (error) throw new Error(`Supabase RPC Error: ${error.message}`);
+    return data || [];
+}
+
+// Single region without geometry, or null
+async function getNode(code) {
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        requireSupabase();
+        const { data, error } = await supabaseAdmin
+            .from('m_wilayah_poligon')
+            .select('id:kode_wilayah_kemendagri, name:nama_wilayah_kemendagri, level, parent:kode_induk')
+            .eq('kode_wilayah_kemendagri', code)
+            .maybeSingle();
+        if (error) throw new Error(error.message);
+        return data;
+    }
+
+    const result = await pool.query(`SELECT ${NODE_COLUMNS} FROM m_wilayah_poligon WHERE kode_wilayah_kemendagri = $1`, [code]);
+    return result.rows[0] || null;
+}
+
+// Region with its stored metrics (area, perimeter, label point, bbox) and origin (sourced/derived), or null
+async function getInfo(code) {
+    let row;
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        row = (await rpc('get_wilayah_info', { p_kode: code }))[0];
+    } else {
+        const result = await pool.query(`
+            SELECT ${NODE_COLUMNS}, ${METRIC_COLUMNS}, origin, updated_at
+            FROM m_wilayah_poligon
+            WHERE kode_wilayah_kemendagri = $1
+        `, [code]);
+        row = result.rows[0];
+    }
+    if (!row) return null;
+
+    const { id, name, level, parent, origin, updated_at } = row;
+    return { id, name, level, parent, origin, ...metricsOf(row), updatedAt: updated_at };
+}
+
+// Direct children (kabupaten of a provinsi, kecamatan of a kabupaten, ...)
+async function getChildren(code) {
+    if (process.env.DB_PROVIDER === 'SUPABASE') return rpc('get_wilayah_children', { p_kode: code });
+
+    const result = await pool.query(`
+        SELECT ${NODE_COLUMNS}
+        FROM m_wilayah_poligon
+        WHERE kode_induk = $1
+        ORDER BY kode_wilayah_kemendagri
+    `, [code]);
+    return result.rows;
+}
+
+// Ancestor chain, nearest parent first (kecamatan -> kabupaten -> provinsi)
+async function getAncestors(code) {
+    if (process.env.DB_PROVIDER === 'SUPABASE') return rpc('get_wilayah_ancestors', { p_kode: code });
+
+    const result = await pool.query(`
+        WITH RECURSIVE chain AS (
+            SELECT w.kode_wilayah_kemendagri, w.nama_wilayah_kemendagri, w.level, w.kode_induk, 0 AS depth
+            FROM m_wilayah_poligon w
+            WHERE w.kode_wilayah_kemendagri = (SELECT kode_induk FROM m_wilayah_poligon WHERE kode_wilayah_kemendagri = $1)
+            UNION ALL
+            SELECT w.kode_wilayah_kemendagri, w.nama_wilayah_kemendagri, w.level, w.kode_induk, chain.depth + 1
+            FROM m_wilayah_poligon w
+            JOIN chain ON w.kode_wilayah_kemendagri = chain.kode_induk
+            WHERE chain.depth < 10
+        )
+        SELECT ${NODE_COLUMNS} FROM chain ORDER BY depth
+    `, [code]);
+    return result.rows;
+}
+
+// Regions with the same parent and level, excluding the region itself
+async function getSiblings(code) {
+    if (process.env.DB_PROVIDER === 'SUPABASE') return rpc('get_wilayah_siblings', { p_kode: code });
+
+    const result = await pool.query(`
+        SELECT w.kode_wilayah_kemendagri as id, w.nama_wilayah_kemendagri as name, w.level, w.kode_induk as parent
+        FROM m_wilayah_poligon w
+        JOIN m_wilayah_poligon s ON s.kode_wilayah_kemendagri = $1
+        WHERE w.kode_wilayah_kemendagri <> $1
+        AND w.level = s.level
+        AND w.kode_induk IS NOT DISTINCT FROM s.kode_induk
+        ORDER BY w.kode_wilayah_kemendagri
+    `, [code]);
+    return result.rows;
+}
+
+// Which of the given codes exist in m_wilayah_poligon
+async function findExistingCodes(codes) {
+    if (codes.length === 0) return new Set();
+
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        requireSupabase();
+        const { data, error } = await supabaseAdmin
+            .from('m_wilayah_poligon')
+            .select('kode_wilayah_kemendagri')
+            .in('kode_wilayah_kemendagri', codes);
+        if (error) throw new Error(error.message);
+        return new Set(data.map(r => r.kode_wilayah_kemendagri));
+    }
+
+    const result = await pool.query(
+        'SELECT kode_wilayah_kemendagri FROM m_wilayah_poligon WHERE kode_wilayah_kemendagri = ANY($1)',
+        [codes]
+    );
+    return new Set(result.rows.map(r => r.kode_wilayah_kemendagri));
+}
+
+// Rows ({ kode, parent, level }) whose parent is neither in `rows` nor in the database
+async function findOrphans(rows) {
+    const codes = new Set(rows.map(r => r.kode));
+    const missing = [...new Set(rows.map(r => r.parent).filter(parent => parent && !codes.has(parent)))];
+    const existing = await findExistingCodes(missing);
+
+    return rows.filter(r => r.parent && !codes.has(r.parent) && !existing.has(r.parent));
+}
+
+module.exports = { getNode, getInfo, getChildren, getAncestors, getSiblings, findExistingCodes, findOrphans };
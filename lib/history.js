@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const pool = require('./postgres');
+const { supabaseAdmin } = require('./supabase');
+require('dotenv').config();
+
+async function rpc(name, params) {
+    if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
+    const { data, error } = await supabaseAdmin.rpc(name, params);
+    if (error) throw new Error(`Supabase RPC Error: ${error.message}`);
+    return data || [];
+}
+
+const HISTORY_COLUMNS = 'id, operation, nama_wilayah_kemendagri, level, kode_induk, origin, source_file, sync_run_id, valid_from, changed_at, changed_by_run, changed_by_file';
+const CURRENT_COLUMNS = 'kode_wilayah_kemendagri, nama_wilayah_kemendagri, level, kode_induk, origin, source_file, sync_run_id, updated_at';
+
+/**
+ * Versions of a region, newest first: the current row (version "current") followed by every earlier state.
+ * A version with `exists: false` marks the time before the region was first created (or after it was deleted).
+ */
+async function listVersions(code) {
+    let current;
+    let history;
+
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
+        const currentResult = await supabaseAdmin.from('m_wilayah_poligon').select(CURRENT_COLUMNS).eq('kode_wilayah_kemendagri', code).maybeSingle();
+        if (currentResult.error) throw new Error(currentResult.error.message);
+        const historyResult = await supabaseAdmin.from('m_wilayah_poligon_history').select(HISTORY_COLUMNS)
+            .eq('kode_wilayah_kemendagri', code).order('id', { ascending: false });
+        if (historyResult.error) throw new Error(historyResult.error.message);
+        current = currentResult.data;
+        history = historyResult.data || [];
+    } else {
+        const currentResult = await pool.query(`SELECT ${CURRENT_COLUMNS} FROM m_wilayah_poligon WHERE kode_wilayah_kemendagri = $1`, [code]);
+        const historyResult = await pool.query(
+            `SELECT ${HISTORY_COLUMNS} FROM m_wilayah_poligon_history WHERE kode_wilayah_kemendagri = $1 ORDER BY id DESC`,
+            [code]
+        );
+        current = currentResult.rows[0];
+        history = historyResult.rows;
+    }
+
+    const versions = [];
+    if (current) {
+        versions.push({
+            version: 'current',
+            exists: true,
+            name: current.nama_wilayah_kemendagri,
+            level: current.level,
+            parent: current.kode_induk,
+            origin: current.origin,
+            sourceFile: current.source_file,
+            syncRunId: current.sync_run_id,
+            validFrom: current.updated_at,
+            validTo: null
+        });
+    }
+
+    history.forEach(h => {
+        const replacedBy = { operation: h.operation, runId: h.changed_by_run, file: h.changed_by_file };
+        if (h.operation === 'INSERT') {
+            versions.push({ version: h.id, exists: false, validFrom: null, validTo: h.changed_at, replacedBy });
+            return;
+        }
+        versions.push({
+            version: h.id,
+            exists: true,
+            name: h.nama_wilayah_kemendagri,
+            level: h.level,
+            parent: h.kode_induk,
+            origin: h.origin,
+            sourceFile: h.source_file,
+            syncRunId: h.sync_run_id,
+            validFrom: h.valid_from,
+            validTo: h.changed_at,
+            replacedBy
+        });
+    });
+
+    return versions;
+}
+
+// Region (with GeoJSON geometry) as it was at `at`, or null if it did not exist then
+async function getAsOf(code, at, precision = 9) {
+    let row;
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        row = (await rpc('get_wilayah_as_of', { p_kode: code, p_at: at.toISOString(), p_precision: precision }))[0];
+    } else {
+        const result = await pool.query('SELECT * FROM get_wilayah_as_of($1, $2, $3)', [code, at.toISOString(), precision]);
+        row = result.rows[0];
+    }
+    if (!row) return null;
+
+    return {
+        type: 'Feature',
+        properties: {
+            id: row.id,
+            name: row.name,
+            level: row.level,
+            parent: row.parent,
+            sourceFile: row.source_file,
+            syncRunId: row.sync_run_id,
+            validFrom: row.valid_from,
+            validTo: row.valid_to,
+            asOf: at.toISOString()
+        },
+        geometry: typeof row.geom === 'string' ? JSON.parse(row.geom) : row.geom
+    };
+}
+
+// Postgres: one transaction per rollback so a failure leaves nothing half restored
+async function runRollback(sql, params) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await client.query(sql, params);
+        await client.query('COMMIT');
+        return result.rows;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Put a region back to its state at `at` (deleting it if it did not exist yet).
+ * The rollback is itself recorded in the history under the returned rollbackId, so it can be undone too.
+ */
+async function rollbackRegion(code, at) {
+    const rollbackId = crypto.randomUUID();
+    const results = process.env.DB_PROVIDER === 'SUPABASE'
+        ? await rpc('rollback_wilayah', { p_kode: code, p_at: at.toISOString(), p_rollback_id: rollbackId })
+        : await runRollback('SELECT * FROM rollback_wilayah($1, $2, $3)', [code, at.toISOString(), rollbackId]);
+    return { rollbackId, results };
+}
+
+/**
+ * Undo every change made by one sync run (or an earlier rollback).
+ * Regions changed again afterwards are reported as 'conflict' and left alone unless `force`.
+ */
+async function rollbackRun(runId, { force = false } = {}) {
+    const rollbackId = crypto.randomUUID();
+    const results = process.env.DB_PROVIDER === 'SUPABASE'
+        ? await rpc('rollback_wilayah_run', { p_run_id: runId, p_rollback_id: rollbackId, p_force: force })
+        : await runRollback('SELECT * FROM rollback_wilayah_run($1, $2, $3)', [runId, rollbackId, force]);
+    return { rollbackId, results };
+}
+
+// Sync runs and rollbacks that changed regions, newest first
+async function listRuns(limit = 50) {
+    const rows = process.env.DB_PROVIDER === 'SUPABASE'
+        ? await rpc('get_wilayah_sync_runs', { p_limit: limit })
+        : (await pool.query('SELECT * FROM get_wilayah_sync_runs($1)', [limit])).rows;
+
+    return rows.map(r => ({
+        runId: r.run_id,
+        startedAt: r.started_at,
+        finishedAt: r.finished_at,
+        changes: Number(r.changes),
+        regions: Number(r.regions),
+        files: r.files || []
+    }));
+}
+
+module.exports = { listVersions, getAsOf, rollbackRegion, rollbackRun, listRuns };
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// In-memory registry for long running jobs (e.g. sync).
+// Jobs are lost on restart, which is fine for a single ETL instance.
+const jobs = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0); // One listener per open SSE stream
+
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000; // Keep finished jobs around for 1 hour
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const isFinished = (job) => FINISHED_STATUSES.includes(job.status);
+
+// Drop finished jobs older than the TTL
+function pruneJobs() {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+        if (isFinished(job) && now - new Date(job.finishedAt).getTime() > FINISHED_JOB_TTL_MS) {
+            jobs.delete(id);
+        }
+    }
+}
+
+function createJob(type, code) {
+    pruneJobs();
+
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        code,
+        status: 'queued',
+        filesTotal: 0,
+        filesDone: 0,
+        featuresTotal: 0, // Features of the files read so far
+        featuresDone: 0,
+        fileFeaturesTotal: 0, // Features of the current file
+        fileFeaturesDone: 0,
+        currentFile: null,
+        errors: [],
+        result: null,
+        cancelRequested: false,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null
+    };
+    jobs.set(job.id, job);
+    return job;
+}
+
+const getJob = (id) => jobs.get(id) || null;
+
+// Same region, or one contains the other ("11" and "11.73", not "11.7" and "11.73")
+const codesOverlap = (a, b) => a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+
+// Running or queued sync or dry-run of the code, one of its ancestors or one of its descendants.
+// Runs over overlapping codes would write (or check) the same rows at the same time.
+function findActiveJob(code) {
+    for (const job of jobs.values()) {
+        if (codesOverlap(job.code, code) && !isFinished(job)) return job;
+    }
+    return null;
+}
+
+// Apply changes and notify listeners (SSE streams)
+function updateJob(job, changes) {
+    Object.assign(job, changes);
+    if (isFinished(job) && !job.finishedAt) job.finishedAt = new Date().toISOString();
+    events.emit(job.id, toPublicJob(job));
+}
+
+// Ask a job to stop. The runner checks `cancelRequested` between features.
+function cancelJob(job) {
+    if (isFinished(job)) return false;
+    job.cancelRequested = true;
+    events.emit(job.id, toPublicJob(job));
+    return true;
+}
+
+// Snapshot returned by the API
+function toPublicJob(job) {
+    const { cancelRequested, ...rest } = job;
+    return { ...rest, cancelling: cancelRequested && !isFinished(job) };
+}
+
+// Subscribe to updates of a job. Returns an unsubscribe function.
+function onJobUpdate(id, listener) {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+}
+
+module.exports = { createJob, getJob, codesOverlap, findActiveJob, updateJob, cancelJob, toPublicJob, onJobUpdate, isFinished };
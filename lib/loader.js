@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const pool = require('./postgres');
+const { supabaseAdmin } = require('./supabase');
+const { parentCodeOf } = require('./mapping');
+const { assertValidCode } = require('./codes');
+require('dotenv').config();
+
+// Features per INSERT / RPC call
+const DEFAULT_BATCH_SIZE = parseInt(process.env.SYNC_BATCH_SIZE, 10) || 100;
+
+// Multi-row upsert from a JSONB array of { kode, nama, level, parent, geometry, source_file }, $3 = sync run id
+// Same transformation as upsert_wilayah() in init_db.sql. With $2 = true, invalid geometries are repaired with ST_MakeValid.
+// Geometry is stored in full resolution; the simplified copies come from the simplify_wilayah_geometry() trigger.
+const UPSERT_BATCH_SQL = `
+    INSERT INTO m_wilayah_poligon (kode_wilayah_kemendagri, nama_wilayah_kemendagri, level, kode_induk, geometry, source_file, sync_run_id, updated_at)
+    SELECT
+        src.kode,
+        src.nama,
+        src.level,
+        src.parent,
+        ST_Multi(
+            CASE WHEN $2 AND NOT ST_IsValid(src.geom) THEN ST_CollectionExtract(ST_MakeValid(src.geom), 3) ELSE src.geom END
+        ),
+        src.source_file,
+        $3,
+        NOW()
+    FROM (
+        SELECT f->>'kode' AS kode, f->>'nama' AS nama, (f->>'level')::int AS level, f->>'parent' AS parent, f->>'source_file' AS source_file,
+            ST_Force2D(ST_GeomFromGeoJSON(f->'geometry')) AS geom
+        FROM jsonb_array_elements($1::jsonb) AS f
+    ) AS src
+    ON CONFLICT (kode_wilayah_kemendagri)
+    DO UPDATE SET
+        nama_wilayah_kemendagri = EXCLUDED.nama_wilayah_kemendagri,
+        kode_induk = EXCLUDED.kode_induk,
+        geometry = EXCLUDED.geometry,
+        origin = 'sourced',
+        source_file = EXCLUDED.source_file,
+        sync_run_id = EXCLUDED.sync_run_id,
+        updated_at = NOW();
+`;
+
+// Features of a batch that will be repaired, with the reason reported by PostGIS
+const INVALID_IN_BATCH_SQL = `
+    SELECT src.kode, ST_IsValidReason(src.geom) AS reason
+    FROM (
+        SELECT f->>'kode' AS kode, ST_Force2D(ST_GeomFromGeoJSON(f->'geometry')) AS geom
+        FROM jsonb_array_elements($1::jsonb) AS f
+    ) AS src
+    WHERE NOT ST_IsValid(src.geom);
+`;
+
+// Mirror mode: sourced rows under $1 (or $1 itself) at levels $2 that this run ($3) did not write.
+// Runs after the upserts, in the same transaction. Same query as commit_wilayah_staging_mirror() in init_db.sql
+const PRUNE_SQL = `
+    DELETE FROM m_wilayah_poligon
+    WHERE (kode_wilayah_kemendagri = $1 OR kode_wilayah_kemendagri LIKE $1 || '.%')
+    AND level = ANY($2)
+    AND origin = 'sourced'
+    AND sync_run_id IS DISTINCT FROM $3
+    RETURNING kode_wilayah_kemendagri AS kode, nama_wilayah_kemendagri AS nama, level
+`;
+
+// Postgres: one client, one transaction for the whole load
+async function createPostgresLoader(runId) {
+    const client = await pool.connect();
+    // The client stays checked out until commit() or rollback(), unless the transaction can't even start
+    try {
+        await client.query('BEGIN');
+    } catch (err) {
+        client.release(err);
+        throw err;
+    }
+
+    return {
+        // Returns the repaired features ({ kode, reason }) when repair is on
+        async write(rows, repair) {
+            const payload = JSON.stringify(rows);
+            let repairs = [];
+            if (repair) {
+                const result = await client.query(INVALID_IN_BATCH_SQL, [payload]);
+                repairs = result.rows;
+            }
+            await client.query(UPSERT_BATCH_SQL, [payload, repair, runId]);
+            return repairs;
+        },
+        // Returns the rows removed by mirror mode ({ code, levels }), if any
+        async commit(mirror) {
+            try {
+                let pruned = [];
+                if (mirror) {
+                    // Deletes are attributed to this run in the history (see lib/history.js)
+                    await client.query("SELECT set_config('wilayah.run_id', $1, true)", [runId]);
+                    pruned = (await client.query(PRUNE_SQL, [mirror.code, mirror.levels, runId])).rows;
+                }
+                await client.query('COMMIT');
+                return pruned;
+            } catch (err) {
+                await client.query('ROLLBACK');
+                throw err;
+            } finally {
+                client.release();
+            }
+        },
+        async rollback() {
+            try {
+                await client.query('ROLLBACK');
+            } finally {
+                client.release();
+            }
+        }
+    };
+}
+
+// Supabase: RPC calls can't share a transaction, so batches go into a staging table
+// and commit_wilayah_staging() moves them into m_wilayah_poligon in one statement.
+// The staging run id doubles as the sync run id recorded on the rows.
+async function createSupabaseLoader(runId) {
+    if (!supabaseAdmin) throw new Error("Supabase Admin client is not initialized. Check SUPABASE_URL and SUPABASE_SERVICE_KEY in .env");
+
+    return {
+        async write(rows, repair) {
+            const { data, error } = await supabaseAdmin.rpc('stage_wilayah_batch', {
+                p_run_id: runId,
+                p_features: rows,
+                p_repair: repair
+            });
+            if (error) throw new Error(`Supabase RPC Error: ${error.message}`);
+            return (data || []).map(r => ({ kode: r.repaired_kode, reason: r.repair_reason }));
+        },
+        async commit(mirror) {
+            const { data, error } = mirror
+                ? await supabaseAdmin.rpc('commit_wilayah_staging_mirror', { p_run_id: runId, p_code: mirror.code, p_levels: mirror.levels })
+                : await supabaseAdmin.rpc('commit_wilayah_staging', { p_run_id: runId });
+            if (error) {
+                await this.rollback();
+                throw new Error(`Supabase RPC Error: ${error.message}`);
+            }
+            return mirror ? data || [] : [];
+        },
+        async rollback() {
+            const { error } = await supabaseAdmin.rpc('discard_wilayah_staging', { p_run_id: runId });
+            if (error) console.error("Failed to discard staged rows:", error.message);
+        }
+    };
+}
+
+/**
+ * Create a batched, all-or-nothing loader for m_wilayah_poligon.
+ * Nothing is visible in the table until commit(); rollback() discards everything added.
+ * With `repair`, invalid geometries are fixed with ST_MakeValid and listed in `repairs`.
+ * Every row is stamped with `runId` and its source file, which the history table uses to tell
+ * which sync run changed a region (see lib/history.js).
+ * With `mirror` ({ code, levels }), commit() also deletes the sourced rows under that code and those levels
+ * that were not added in this run, and lists them in `pruned`.
+ *
+ * @param {{ batchSize?: number, repair?: boolean, runId?: string, mirror?: { code: string, levels: number[] } }} [options]
+ *   runId must be a UUID (e.g. the sync job id)
+ */
+async function createBulkLoader({ batchSize = DEFAULT_BATCH_SIZE, repair = false, runId = crypto.randomUUID(), mirror = null } = {}) {
+    if (mirror) assertValidCode(mirror.code);
+    const target = process.env.DB_PROVIDER === 'SUPABASE'
+        ? await createSupabaseLoader(runId)
+        : await createPostgresLoader(runId);
+
+    // Keyed by code: a multi-row ON CONFLICT can't touch the same row twice, last one wins
+    let buffer = new Map();
+    let loaded = 0;
+    let closed = false;
+    const repairs = [];
+    let pruned = [];
+
+    const flush = async () => {
+        if (buffer.size === 0) return;
+        const rows = [...buffer.values()];
+        buffer = new Map();
+        const repaired = await target.write(rows, repair);
+        repairs.push(...repaired);
+        loaded += rows.length;
+    };
+
+    return {
+        async add(kode, nama, level, geometry, sourceFile = null) {
+            if (closed) throw new Error('Loader is already closed');
+            buffer.delete(kode);
+            buffer.set(kode, { kode, nama, level, parent: parentCodeOf(kode, level), geometry, source_file: sourceFile });
+            if (buffer.size >= batchSize) await flush();
+        },
+        async commit() {
+            if (closed) throw new Error('Loader is already closed');
+            await flush();
+            try {
+                pruned = await target.commit(mirror);
+            } finally {
+                closed = true;
+            }
+            return loaded;
+        },
+        async rollback() {
+            if (closed) return;
+            closed = true;
+            buffer.clear();
+            await target.rollback();
+        },
+        get loaded() {
+            return loaded;
+        },
+        get runId() {
+            return runId;
+        },
+        get repairs() {
+            return repairs;
+        },
+        get pruned() {
+            return pruned;
+        }
+    };
+}
+
+module.exports = { createBulkLoader, DEFAULT_BATCH_SIZE };
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const { CODE_FORMAT, isValidCode, levelOfCode } = require('./codes');
+require('dotenv').config();
+
+const CONFIG_DIR = path.join(__dirname, '..', 'config');
+const MAPPING_FILE = process.env.CODE_MAPPING_FILE || path.join(CONFIG_DIR, 'code_mapping.json');
+const OVERRIDES_FILE = process.env.CODE_OVERRIDES_FILE || path.join(CONFIG_DIR, 'code_overrides.csv');
+
+// Raw source properties that identify a feature per level, e.g. "11.73.003.001" for a kelurahan
+const SOURCE_KEY_FIELDS = ['kd_propinsi', 'kd_dati2', 'kd_kecamatan', 'kd_kelurahan'];
+
+// Built-in rules (same as the original hard-coded derivation):
+// kecamatan keeps the last 2 digits of kd_kecamatan, kelurahan gets "2" in front of kd_kelurahan
+const DEFAULT_RULES = {
+    levels: {
+        1: { code: '{kd_propinsi}', name: '{nm_propinsi}' },
+        2: { code: '{kd_propinsi}.{kd_dati2}', name: '{nm_dati2}' },
+        3: { code: '{kd_propinsi}.{kd_dati2}.{kd_kecamatan|last:2}', name: '{nm_kecamatan}' },
+        4: { code: '{kd_propinsi}.{kd_dati2}.{kd_kecamatan|last:2}.2{kd_kelurahan}', name: '{nm_kelurahan}' }
+    },
+    scopes: {}
+};
+
+// Template modifiers: {field|last:2}, {field|first:2}, {field|pad:3}
+const MODIFIERS = {
+    last: (value, n) => value.slice(-n),
+    first: (value, n) => value.slice(0, n),
+    pad: (value, n) => value.padStart(n, '0')
+};
+
+// Cache keyed by file mtime so edits are picked up without a restart
+const cache = { rules: null, rulesMtime: null, overrides: null, overridesMtime: null };
+
+const mtimeOf = (file) => fs.existsSync(file) ? fs.statSync(file).mtimeMs : 0;
+
+function loadRules() {
+    const mtime = mtimeOf(MAPPING_FILE);
+    if (cache.rules && cache.rulesMtime === mtime) return cache.rules;
+
+    let rules = DEFAULT_RULES;
+    if (mtime) {
+        const custom = JSON.parse(fs.readFileSync(MAPPING_FILE, 'utf8'));
+        rules = {
+            levels: { ...DEFAULT_RULES.levels, ...(custom.levels || {}) },
+            scopes: custom.scopes || {}
+        };
+    }
+
+    cache.rules = rules;
+    cache.rulesMtime = mtime;
+    return rules;
+}
+
+// Overrides CSV: source_key,kode,nama (nama may be empty to keep the source name)
+function loadOverrides() {
+    const mtime = mtimeOf(OVERRIDES_FILE);
+    if (cache.overrides && cache.overridesMtime === mtime) return cache.overrides;
+
+    const overrides = new Map();
+    if (mtime) {
+        const rows = parse(fs.readFileSync(OVERRIDES_FILE, 'utf8'), { columns: true, skip_empty_lines: true, trim: true });
+        rows.forEach((row, index) => {
+            if (!row.source_key || !row.kode) return;
+            // A bad override would be synced, then refused by every code lookup; line numbers count the header as 1
+            if (!isValidCode(row.kode)) {
+                throw new Error(`${path.basename(OVERRIDES_FILE)} line ${index + 2}: kode "${row.kode}" is not ${CODE_FORMAT}`);
+            }
+            overrides.set(row.source_key, { kode: row.kode, nama: row.nama || null });
+        });
+    }
+
+    cache.overrides = overrides;
+    cache.overridesMtime = mtime;
+    return overrides;
+}
+
+function renderTemplate(template, properties) {
+    return template.replace(/\{([a-z0-9_]+)(?:\|([a-z]+):(\d+))?\}/gi, (match, field, modifier, arg) => {
+        const raw = properties[field];
+        if (raw === undefined || raw === null || raw === '') throw new Error(`Missing property ${field}`);
+        const value = String(raw);
+        if (!modifier) return value;
+        if (!MODIFIERS[modifier]) throw new Error(`Unknown modifier "${modifier}" in ${template}`);
+        return MODIFIERS[modifier](value, parseInt(arg, 10));
+    });
+}
+
+// Raw identity of a feature, independent of the mapping rules
+function sourceKeyOf(properties, level) {
+    return SOURCE_KEY_FIELDS.slice(0, level).map(field => properties[field]).join('.');
+}
+
+// Rule for a level, taking the longest matching scope (e.g. "11.01" for all of Aceh Selatan) into account
+function ruleFor(rules, level, sourceKey) {
+    const scope = Object.keys(rules.scopes)
+        .filter(key => rules.scopes[key][level] && (sourceKey === key || sourceKey.startsWith(`${key}.`)))
+        .sort((a, b) => b.length - a.length)[0];
+
+    return scope ? { ...rules.levels[level], ...rules.scopes[scope][level] } : rules.levels[level];
+}
+
+// Helper to transform properties into the Kemendagri code and name
+// Applies the configured rules per level, then the per-feature override table
+function transformProperties(feature, level) {
+    const p = feature.properties || {};
+    const rules = loadRules();
+    const sourceKey = sourceKeyOf(p, level);
+    const rule = ruleFor(rules, level, sourceKey);
+
+    if (!rule) throw new Error(`No code mapping rule for level ${level}`);
+
+    let kode = renderTemplate(rule.code, p);
+    let nama = renderTemplate(rule.name, p);
+    let overridden = false;
+
+    const override = loadOverrides().get(sourceKey);
+    if (override) {
+        kode = override.kode;
+        if (override.nama) nama = override.nama;
+        overridden = true;
+    }
+
+    // Templates can render anything; only codes of the feature's own level may be loaded
+    if (levelOfCode(kode) !== level) {
+        throw new Error(`Code "${kode}" is not a level ${level} region code (${CODE_FORMAT})`);
+    }
+
+    return { kode, nama, sourceKey, overridden };
+}
+
+// Parent code: the code without its last segment ("11.73.03.2001" -> "11.73.03"), null for provinsi
+function parentCodeOf(kode, level) {
+    if (level <= 1 || !kode) return null;
+    const cut = kode.lastIndexOf('.');
+    return cut > 0 ? kode.substring(0, cut) : null;
+}
+
+module.exports = { DEFAULT_RULES, MAPPING_FILE, OVERRIDES_FILE, transformProperties, sourceKeyOf, parentCodeOf, loadRules, loadOverrides };
@@ -0,0 +1,31 @@
+// Per-region metrics stored on sync by the compute_wilayah_metrics() trigger (init_db.sql):
+// geodesic area (km²), perimeter (km), a label point inside the polygon and the bounding box.
+
+// Columns to select alongside a region, aliased to what metricsOf() reads
+const METRIC_COLUMNS = `
+    luas_km2 AS area_km2,
+    keliling_km AS perimeter_km,
+    ST_AsGeoJSON(titik_label, 6) AS label_point,
+    bbox
+`;
+
+const round = (value, digits) => {
+    if (value === null || value === undefined) return null;
+    const factor = 10 ** digits;
+    return Math.round(Number(value) * factor) / factor;
+};
+
+// { areaKm2, perimeterKm, labelPoint: [lng, lat], bbox: [west, south, east, north] } from a row with METRIC_COLUMNS
+function metricsOf(row) {
+    let labelPoint = row.label_point;
+    if (typeof labelPoint === 'string') labelPoint = JSON.parse(labelPoint);
+
+    return {
+        areaKm2: round(row.area_km2, 3),
+        perimeterKm: round(row.perimeter_km, 3),
+        labelPoint: labelPoint ? labelPoint.coordinates : null,
+        bbox: row.bbox ? row.bbox.map(Number) : null
+    };
+}
+
+module.exports = { METRIC_COLUMNS, metricsOf };
@@ -0,0 +1,165 @@
+const pool = require('./postgres');
+const { supabaseAdmin } = require('./supabase');
+const { listSources } = require('./sources');
+const { transformProperties, parentCodeOf, loadOverrides } = require('./mapping');
+const { assertValidCode } = require('./codes');
+require('dotenv').config();
+
+// Parent codes at `level` under $1 (or $1 itself) that have children but no row,
+// plus, with $3 = rebuild, parents that were derived earlier.
+// Same query as find_wilayah_parent_targets() in init_db.sql
+const TARGETS_SQL = `
+    SELECT DISTINCT c.kode_induk AS kode
+    FROM m_wilayah_poligon c
+    LEFT JOIN m_wilayah_poligon p ON p.kode_wilayah_kemendagri = c.kode_induk
+    WHERE c.level = $2 + 1
+    AND (c.kode_induk = $1 OR c.kode_induk LIKE $1 || '.%')
+    AND (p.kode_wilayah_kemendagri IS NULL OR ($3 AND p.origin = 'derived'))
+    ORDER BY 1
+`;
+
+// Union the children of each target ({ kode, nama, level, parent }) into a derived row.
+// Sourced rows are never overwritten. Same query as build_wilayah_parents() in init_db.sql
+const BUILD_SQL = `
+    INSERT INTO m_wilayah_poligon (kode_wilayah_kemendagri, nama_wilayah_kemendagri, level, kode_induk, geometry, origin, updated_at)
+    SELECT t.kode, COALESCE(t.nama, e.nama_wilayah_kemendagri, t.kode), t.level, t.parent,
+        ST_Multi(ST_CollectionExtract(ST_UnaryUnion(ST_Collect(
+            CASE WHEN ST_IsValid(c.geometry) THEN c.geometry ELSE ST_MakeValid(c.geometry) END
+        )), 3)),
+        'derived', NOW()
+    FROM jsonb_to_recordset($1::jsonb) AS t(kode TEXT, nama TEXT, level INT, parent TEXT)
+    JOIN m_wilayah_poligon c ON c.kode_induk = t.kode
+    LEFT JOIN m_wilayah_poligon e ON e.kode_wilayah_kemendagri = t.kode
+    GROUP BY t.kode, t.nama, t.level, t.parent, e.nama_wilayah_kemendagri
+    ON CONFLICT (kode_wilayah_kemendagri)
+    DO UPDATE SET
+        nama_wilayah_kemendagri = EXCLUDED.nama_wilayah_kemendagri,
+        kode_induk = EXCLUDED.kode_induk,
+        geometry = EXCLUDED.geometry,
+        updated_at = NOW()
+    WHERE m_wilayah_poligon.origin = 'derived'
+    RETURNING kode_wilayah_kemendagri AS kode, nama_wilayah_kemendagri AS nama, level
+`;
+
+async function rpc(name, params) {
+    if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
+    const { data, error } = await supabaseAdmin.rpc(name, params);
+    if (error) throw new Error(`Supabase RPC Error: ${error.message}`);
+    return data || [];
+}
+
+async function findTargets(client, code, level, rebuild) {
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        const rows = await rpc('find_wilayah_parent_targets', { p_code: code, p_level: level, p_rebuild: rebuild });
+        return rows.map(r => r.kode);
+    }
+    const result = await client.query(TARGETS_SQL, [code, level, rebuild]);
+    return result.rows.map(r => r.kode);
+}
+
+async function buildTargets(client, targets) {
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        const rows = await rpc('build_wilayah_parents', { p_targets: targets });
+        return rows.map(r => ({ kode: r.built_kode, nama: r.built_nama, level: r.built_level }));
+    }
+    const result = await client.query(BUILD_SQL, [JSON.stringify(targets)]);
+    return result.rows;
+}
+
+// Names of regions as found in the source files: the feature's own name (nm_kecamatan in a kecamatan
+// file that was never synced) and any parent names it carries (nm_kecamatan on kelurahan features).
+// Codes come from the mapping rules of each level. Names in the override table win.
+// Returns lookup(level, codes) -> Map of kode -> nama. Files are read parents first, each at most once,
+// and only until every requested code has a name: kelurahan files stay unread when the kecamatan files
+// already name every target. Only names are kept, not the parsed features.
+function createSourceNames(code, minLevel) {
+    const sources = listSources(code);
+    const names = new Map();
+    let next = 0;
+
+    const overrides = new Map();
+    loadOverrides().forEach(({ kode, nama }) => {
+        if (nama) overrides.set(kode, nama);
+    });
+
+    async function readNext() {
+        const source = sources[next++];
+        if (source.level < minLevel) return;
+        // Yield between files so a provinsi-wide build does not hold the event loop for all of its reads
+        await new Promise(resolve => setImmediate(resolve));
+        for (const feature of source.read().features || []) {
+            for (let level = minLevel; level <= Math.min(source.level, 3); level++) {
+                try {
+                    const { kode, nama } = transformProperties(feature, level);
+                    if (nama && !names.has(kode)) names.set(kode, nama);
+                } catch (err) {
+                    // Feature lacks the properties of this level; other features may have them
+                }
+            }
+        }
+    }
+
+    return async function lookup(level, codes) {
+        const missing = () => codes.some(kode => !overrides.has(kode) && !names.has(kode));
+        while (next < sources.length && missing()) await readNext();
+
+        const found = new Map();
+        codes.forEach(kode => {
+            const nama = overrides.get(kode) || names.get(kode);
+            if (nama) found.set(kode, nama);
+        });
+        return found;
+    };
+}
+
+/**
+ * Build missing kecamatan/kabupaten/provinsi rows under `code` (and `code` itself) by
+ * unioning their children, bottom-up so a new kecamatan can feed a new kabupaten.
+ * Built rows get origin = 'derived'; with `rebuild`, earlier derived rows are recomputed too.
+ * Names come from the source files (via the code mapping), else the existing row, else the code.
+ *
+ * @returns {Promise<{ built: Array<{ kode: string, nama: string, level: number, nameFrom: string }> }>}
+ */
+async function buildParents(code, { rebuild = false } = {}) {
+    assertValidCode(code);
+    const deepest = Math.min(code.split('.').length, 4);
+    const sourceNames = createSourceNames(code, deepest);
+    const built = [];
+
+    // Supabase RPC calls can't share a transaction; each level is one statement there
+    const client = process.env.DB_PROVIDER === 'SUPABASE' ? null : await pool.connect();
+    try {
+        if (client) await client.query('BEGIN');
+
+        for (let level = 3; level >= deepest; level--) {
+            const codes = await findTargets(client, code, level, rebuild);
+            if (codes.length === 0) continue;
+
+            const names = await sourceNames(level, codes);
+            const targets = codes.map(kode => ({
+                kode,
+                nama: names.get(kode) || null,
+                level,
+                parent: parentCodeOf(kode, level)
+            }));
+            const rows = await buildTargets(client, targets);
+            rows.forEach(row => built.push({
+                kode: row.kode,
+                nama: row.nama,
+                level: row.level,
+                nameFrom: names.has(row.kode) ? 'source' : (row.nama === row.kode ? 'code' : 'existing')
+            }));
+        }
+
+        if (client) await client.query('COMMIT');
+    } catch (err) {
+        if (client) await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        if (client) client.release();
+    }
+
+    return { built };
+}
+
+module.exports = { buildParents, createSourceNames };
@@ -0,0 +1,159 @@
+const pool = require('../postgres');
+const { supabaseAdmin } = require('../supabase');
+const { getStatus } = require('../status');
+const { getNode, getChildren, getAncestors, getSiblings } = require('../hierarchy');
+const { METRIC_COLUMNS } = require('../metrics');
+const { geometrySql } = require('../simplification');
+const { FUZZY_THRESHOLD, toSearchPage } = require('../search');
+require('dotenv').config();
+
+const isSupabase = () => process.env.DB_PROVIDER === 'SUPABASE';
+
+// Search by code ($3) or by name and aliases (exact > prefix > contains > trigram word similarity), with up to three
+// ancestors. A region matched by several names counts once, with its best match; alias* columns say which alias it was.
+// $1 lowercased query, $2 its LIKE-escaped form, $4 level, $5 parent code, $6 fuzzy threshold, $7 limit, $8 offset.
+// Same query as search_wilayah() in init_db.sql
+const SEARCH_SQL = `
+    WITH names AS (
+        SELECT w.kode_wilayah_kemendagri AS id, lower(w.nama_wilayah_kemendagri) AS text,
+            NULL::text AS alias, NULL::text AS alias_type, NULL::date AS alias_valid_from, NULL::date AS alias_valid_to
+        FROM m_wilayah_poligon w
+        UNION ALL
+        SELECT a.kode_wilayah_kemendagri, lower(a.nama_alias), a.nama_alias, a.jenis_alias, a.berlaku_mulai, a.berlaku_sampai
+        FROM m_wilayah_alias a
+        WHERE $3::text IS NULL
+    ),
+    matches AS (
+        SELECT n.*,
+            CASE
+                WHEN n.id = $3::text THEN 'code'
+                WHEN $3::text IS NOT NULL THEN 'code_prefix'
+                WHEN n.text = $1::text THEN 'exact'
+                WHEN n.text LIKE $2::text || '%' THEN 'prefix'
+                WHEN n.text LIKE '%' || $2::text || '%' THEN 'contains'
+                ELSE 'fuzzy'
+            END AS match,
+            CASE WHEN $3::text IS NULL THEN word_similarity($1::text, n.text) ELSE 0 END AS similarity
+        FROM names n
+        WHERE CASE
+            WHEN $3::text IS NOT NULL THEN n.id = $3::text OR n.id LIKE $3::text || '.%'
+            ELSE n.text LIKE '%' || $2::text || '%' OR word_similarity($1::text, n.text) >= $6::float8
+        END
+    ),
+    hits AS (
+        SELECT DISTINCT ON (m.id) m.id, w.nama_wilayah_kemendagri AS name, w.level, w.kode_induk AS parent, m.match, m.similarity,
+            m.alias, m.alias_type, m.alias_valid_from, m.alias_valid_to
+        FROM matches m
+        JOIN m_wilayah_poligon w ON w.kode_wilayah_kemendagri = m.id
+        WHERE ($4::int IS NULL OR w.level = $4::int)
+        AND ($5::text IS NULL OR m.id LIKE $5::text || '.%')
+        ORDER BY m.id,
+            CASE m.match WHEN 'code' THEN 5 WHEN 'code_prefix' THEN 4 WHEN 'exact' THEN 3 WHEN 'prefix' THEN 2 WHEN 'contains' THEN 1 ELSE 0 END DESC,
+            m.similarity DESC, m.alias NULLS FIRST
+    )
+    SELECT h.*,
+        p1.kode_wilayah_kemendagri AS parent_1_id, p1.nama_wilayah_kemendagri AS parent_1_name,
+        p2.kode_wilayah_kemendagri AS parent_2_id, p2.nama_wilayah_kemendagri AS parent_2_name,
+        p3.kode_wilayah_kemendagri AS parent_3_id, p3.nama_wilayah_kemendagri AS parent_3_name
+    FROM hits h
+    LEFT JOIN m_wilayah_poligon p1 ON p1.kode_wilayah_kemendagri = h.parent
+    LEFT JOIN m_wilayah_poligon p2 ON p2.kode_wilayah_kemendagri = p1.kode_induk
+    LEFT JOIN m_wilayah_poligon p3 ON p3.kode_wilayah_kemendagri = p2.kode_induk
+    ORDER BY
+        CASE h.match WHEN 'code' THEN 5 WHEN 'code_prefix' THEN 4 WHEN 'exact' THEN 3 WHEN 'prefix' THEN 2 WHEN 'contains' THEN 1 ELSE 0 END DESC,
+        h.similarity DESC, h.level, h.name, h.id
+    LIMIT $7 OFFSET $8
+`;
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Ranked, paged search (see lib/search.js for the options and the hit format)
+ *
+ * @param {{ query, code, level, parent, limit, offset }} params from parseSearchParams()
+ */
+async function search(params) {
+    // One extra row tells whether there is a next page
+    const limit = params.limit + 1;
+
+    if (isSupabase()) {
+        const { data, error } = await supabaseAdmin.rpc('search_wilayah', {
+            p_query: params.query,
+            p_code: params.code,
+            p_level: params.level,
+            p_parent: params.parent,
+            p_threshold: FUZZY_THRESHOLD,
+            p_limit: limit,
+            p_offset: params.offset
+        });
+        if (!error) return toSearchPage(params, data || []);
+
+        // Fallback: If the RPC is missing or outdated (init_db.sql not re-run), plain name match without ancestors or aliases
+        console.warn("RPC search_wilayah failed, trying direct select:", error.message);
+        let fallback = supabaseAdmin
+            .from('m_wilayah_poligon')
+            .select('id:kode_wilayah_kemendagri, name:nama_wilayah_kemendagri, level, parent:kode_induk');
+        fallback = params.code
+            ? fallback.like('kode_wilayah_kemendagri', `${params.code}%`)
+            : fallback.ilike('nama_wilayah_kemendagri', `%${escapeLike(params.query)}%`);
+        if (params.level) fallback = fallback.eq('level', params.level);
+        if (params.parent) fallback = fallback.like('kode_wilayah_kemendagri', `${params.parent}.%`);
+
+        const { data: fallbackData, error: fallbackError } = await fallback
+            .order('level', { ascending: true })
+            .order('nama_wilayah_kemendagri', { ascending: true })
+            .range(params.offset, params.offset + limit - 1);
+        if (fallbackError) throw new Error(fallbackError.message);
+
+        return toSearchPage(params, fallbackData.map(row => ({ ...row, match: params.code ? (row.id === params.code ? 'code' : 'code_prefix') : 'contains', similarity: 0 })));
+    }
+
+    const result = await pool.query(SEARCH_SQL, [
+        params.query, escapeLike(params.query), params.code, params.level, params.parent, FUZZY_THRESHOLD, limit, params.offset
+    ]);
+    return toSearchPage(params, result.rows);
+}
+
+/**
+ * Regions of one level whose code starts with `codePrefix`, with geometry (GeoJSON string) and metrics.
+ * Rows: { id, name, geom, area_km2, perimeter_km, label_point, bbox } (see METRIC_COLUMNS)
+ *
+ * @param {object} geometryOptions from parseGeometryOptions()
+ */
+async function getRegions(level, codePrefix, geometryOptions) {
+    console.log(`Fetching GeoData: L${level}, CodePrefix: ${codePrefix}`);
+    if (isSupabase()) {
+        const { data, error } = await supabaseAdmin.rpc('get_wilayah_by_level', {
+            p_level: level,
+            p_parent_code: codePrefix,
+            p_simplification: geometryOptions.level,
+            p_tolerance: geometryOptions.simplifyOnTheFly ? geometryOptions.tolerance : null,
+            p_precision: geometryOptions.precision
+        });
+        if (error) {
+            console.error(`Supabase RPC Error (L${level}, ${codePrefix}):`, error.message);
+            return [];
+        }
+        console.log(`Supabase RPC Success (L${level}, ${codePrefix}): Found ${data ? data.length : 0} rows`);
+        return data;
+    }
+
+    const result = await pool.query(`
+        SELECT kode_wilayah_kemendagri as id, nama_wilayah_kemendagri as name, ST_AsGeoJSON(${geometrySql(geometryOptions)}, $3) as geom,
+            ${METRIC_COLUMNS}
+        FROM m_wilayah_poligon
+        WHERE level = $1 AND kode_wilayah_kemendagri LIKE $2
+    `, [level, `${codePrefix}%`, geometryOptions.precision]);
+    return result.rows;
+}
+
+module.exports = {
+    name: isSupabase() ? 'supabase' : 'postgres',
+    getStatus,
+    search,
+    getNode,
+    getChildren,
+    getAncestors,
+    getSiblings,
+    getRegions
+};
@@ -0,0 +1,319 @@
+const { LEVEL_KEYS, listSources } = require('../sources');
+const { transformProperties, parentCodeOf } = require('../mapping');
+const { FUZZY_THRESHOLD, MATCH_RANKS, toSearchPage } = require('../search');
+
+// DB_PROVIDER=FILE: status, search, hierarchy and map geometry straight from geojson/ (loose files and ZIPs),
+// for development and offline laptops without PostGIS. The index holds codes, names and metrics only;
+// geometry is read from the files when a map layer asks for it.
+
+// geojson/ is listed again at most this often; the index is rebuilt when a file was added, removed or resized
+const RESCAN_INTERVAL_MS = 10 * 1000;
+// Parsed files kept for geometry requests (a kelurahan file can be tens of MB)
+const FILE_CACHE_SIZE = 4;
+
+const EARTH_RADIUS_KM = 6371.0088;
+
+let index = null; // { signature, regions: Map<kode, entry>, children: Map<parent, kode[]> }
+let checkedAt = 0;
+const fileCache = new Map(); // name -> parsed FeatureCollection, least recently used first
+
+const rad = (degrees) => degrees * Math.PI / 180;
+
+// Geodesic area of a ring on a sphere (same approximation as turf/d3)
+function ringAreaKm2(ring) {
+    const n = ring.length;
+    if (n < 3) return 0;
+    let area = 0;
+    for (let i = 0; i < n; i++) {
+        const lower = ring[i];
+        const middle = ring[(i + 1) % n];
+        const upper = ring[(i + 2) % n];
+        area += (rad(upper[0]) - rad(lower[0])) * Math.sin(rad(middle[1]));
+    }
+    return Math.abs(area * EARTH_RADIUS_KM * EARTH_RADIUS_KM / 2);
+}
+
+// Haversine length of a ring
+function ringLengthKm(ring) {
+    let length = 0;
+    for (let i = 1; i < ring.length; i++) {
+        const [lng1, lat1] = ring[i - 1];
+        const [lng2, lat2] = ring[i];
+        const a = Math.sin(rad(lat2 - lat1) / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lng2 - lng1) / 2) ** 2;
+        length += 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+    }
+    return length;
+}
+
+const polygonsOf = (geometry) => {
+    if (!geometry) return [];
+    if (geometry.type === 'Polygon') return [geometry.coordinates];
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+    return [];
+};
+
+// Same fields as METRIC_COLUMNS, so metricsOf() works on file rows. No label point (that needs PostGIS).
+function metricsOfGeometry(geometry) {
+    let area = 0;
+    let perimeter = 0;
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+
+    polygonsOf(geometry).forEach(([outer, ...holes]) => {
+        if (!outer) return;
+        area += ringAreaKm2(outer) - holes.reduce((sum, hole) => sum + ringAreaKm2(hole), 0);
+        [outer, ...holes].forEach(ring => {
+            perimeter += ringLengthKm(ring);
+            ring.forEach(([lng, lat]) => {
+                bbox[0] = Math.min(bbox[0], lng);
+                bbox[1] = Math.min(bbox[1], lat);
+                bbox[2] = Math.max(bbox[2], lng);
+                bbox[3] = Math.max(bbox[3], lat);
+            });
+        });
+    });
+
+    return {
+        area_km2: area,
+        perimeter_km: perimeter,
+        label_point: null,
+        bbox: Number.isFinite(bbox[0]) ? bbox : null
+    };
+}
+
+const signatureOf = (sources) => sources.map(s => `${s.name}:${s.size}`).join('|');
+
+// Every feature of every source, keyed by the same code the sync would give it. First file wins on duplicates.
+function buildIndex(sources) {
+    const startedAt = Date.now();
+    const regions = new Map();
+    const children = new Map();
+
+    for (const source of sources) {
+        let data;
+        try {
+            data = source.read();
+        } catch (err) {
+            console.error(`File index: cannot read ${source.name}:`, err.message);
+            continue;
+        }
+
+        (data.features || []).forEach((feature, position) => {
+            let kode, nama;
+            try {
+                ({ kode, nama } = transformProperties(feature, source.level));
+            } catch (err) {
+                return; // Reported by the sync dry-run, not usable here
+            }
+            if (regions.has(kode)) return;
+
+            const parent = parentCodeOf(kode, source.level);
+            regions.set(kode, {
+                id: kode,
+                name: nama,
+                level: source.level,
+                parent,
+                file: source.name,
+                position,
+                metrics: metricsOfGeometry(feature.geometry)
+            });
+            if (parent) {
+                if (!children.has(parent)) children.set(parent, []);
+                children.get(parent).push(kode);
+            }
+        });
+    }
+
+    children.forEach(codes => codes.sort());
+    fileCache.clear();
+    console.log(`File index: ${regions.size} regions from ${sources.length} files in ${Date.now() - startedAt} ms`);
+    return { signature: signatureOf(sources), regions, children };
+}
+
+function getIndex() {
+    if (index && Date.now() - checkedAt < RESCAN_INTERVAL_MS) return index;
+
+    const sources = listSources('');
+    checkedAt = Date.now();
+    if (!index || index.signature !== signatureOf(sources)) index = buildIndex(sources);
+    return index;
+}
+
+// Parsed source file by name, through the LRU cache
+function readFile(name) {
+    if (fileCache.has(name)) {
+        const data = fileCache.get(name);
+        fileCache.delete(name);
+        fileCache.set(name, data);
+        return data;
+    }
+
+    const source = listSources(name.split('_')[0]).find(s => s.name === name);
+    if (!source) throw new Error(`Source file ${name} not found`);
+    const data = source.read();
+
+    fileCache.set(name, data);
+    if (fileCache.size > FILE_CACHE_SIZE) fileCache.delete(fileCache.keys().next().value);
+    return data;
+}
+
+const toNode = ({ id, name, level, parent }) => ({ id, name, level, parent });
+
+// Round coordinates to `digits` decimals, like ST_AsGeoJSON(geom, digits)
+function roundGeometry(geometry, digits) {
+    const factor = 10 ** digits;
+    const round = (coords) => typeof coords[0] === 'number'
+        ? coords.map(value => Math.round(value * factor) / factor)
+        : coords.map(round);
+    return { type: geometry.type, coordinates: round(geometry.coordinates) };
+}
+
+async function getStatus(code) {
+    const stats = { provinsi: 0, kabupaten: 0, kecamatan: 0, kelurahan: 0, available: false, fileAvailable: false };
+
+    // Same selection as the database status (code LIKE 'code%')
+    for (const region of getIndex().regions.values()) {
+        if (region.id.startsWith(code) && LEVEL_KEYS[region.level]) stats[LEVEL_KEYS[region.level]]++;
+    }
+    stats.available = stats.provinsi + stats.kabupaten + stats.kecamatan + stats.kelurahan > 0;
+    stats.fileAvailable = listSources(code).length > 0;
+    return stats;
+}
+
+// pg_trgm style trigrams: lowercase words padded with two spaces in front and one behind
+function trigramsOf(text) {
+    const trigrams = new Set();
+    text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean).forEach(word => {
+        const padded = `  ${word} `;
+        for (let i = 0; i < padded.length - 2; i++) trigrams.add(padded.slice(i, i + 3));
+    });
+    return trigrams;
+}
+
+const similarity = (a, b) => {
+    let shared = 0;
+    a.forEach(trigram => { if (b.has(trigram)) shared++; });
+    return a.size + b.size - shared > 0 ? shared / (a.size + b.size - shared) : 0;
+};
+
+// Like pg_trgm word_similarity(): best similarity of the query against any run of consecutive words in the name
+function wordSimilarity(queryTrigrams, name) {
+    const words = name.split(/\s+/).filter(Boolean);
+    let best = 0;
+    for (let start = 0; start < words.length; start++) {
+        for (let end = start + 1; end <= words.length; end++) {
+            best = Math.max(best, similarity(queryTrigrams, trigramsOf(words.slice(start, end).join(' '))));
+        }
+    }
+    return best;
+}
+
+// Same match types and order as the database search (search_wilayah() in init_db.sql)
+function matchRegion(region, params, queryTrigrams) {
+    if (params.code) {
+        if (region.id === params.code) return { match: 'code', similarity: 0 };
+        return region.id.startsWith(`${params.code}.`) ? { match: 'code_prefix', similarity: 0 } : null;
+    }
+
+    const name = (region.name || '').toLowerCase();
+    const score = wordSimilarity(queryTrigrams, name);
+    if (name === params.query) return { match: 'exact', similarity: score };
+    if (name.startsWith(params.query)) return { match: 'prefix', similarity: score };
+    if (name.includes(params.query)) return { match: 'contains', similarity: score };
+    return score >= FUZZY_THRESHOLD ? { match: 'fuzzy', similarity: score } : null;
+}
+
+// Region names only: aliases are kept in the database (m_wilayah_alias)
+async function search(params) {
+    const { regions } = getIndex();
+    const queryTrigrams = params.code ? null : trigramsOf(params.query);
+    const hits = [];
+
+    for (const region of regions.values()) {
+        if (params.level && region.level !== params.level) continue;
+        if (params.parent && !region.id.startsWith(`${params.parent}.`)) continue;
+        const found = matchRegion(region, params, queryTrigrams);
+        if (found) hits.push({ ...region, ...found });
+    }
+
+    hits.sort((a, b) => MATCH_RANKS[b.match] - MATCH_RANKS[a.match]
+        || b.similarity - a.similarity
+        || a.level - b.level
+        || a.name.localeCompare(b.name)
+        || a.id.localeCompare(b.id));
+
+    const rows = hits.slice(params.offset, params.offset + params.limit + 1).map(hit => {
+        const row = { id: hit.id, name: hit.name, level: hit.level, parent: hit.parent, match: hit.match, similarity: hit.similarity };
+        let ancestor = hit;
+        for (let n = 1; n <= 3 && ancestor && ancestor.parent; n++) {
+            ancestor = regions.get(ancestor.parent);
+            if (!ancestor) break;
+            row[`parent_${n}_id`] = ancestor.id;
+            row[`parent_${n}_name`] = ancestor.name;
+        }
+        return row;
+    });
+    return toSearchPage(params, rows);
+}
+
+async function getNode(code) {
+    const region = getIndex().regions.get(code);
+    return region ? toNode(region) : null;
+}
+
+async function getChildren(code) {
+    const { regions, children } = getIndex();
+    return (children.get(code) || []).map(kode => toNode(regions.get(kode)));
+}
+
+// Nearest parent first, like the database version
+async function getAncestors(code) {
+    const { regions } = getIndex();
+    const chain = [];
+    let region = regions.get(code);
+    while (region && region.parent && regions.has(region.parent)) {
+        region = regions.get(region.parent);
+        chain.push(toNode(region));
+    }
+    return chain;
+}
+
+async function getSiblings(code) {
+    const { regions } = getIndex();
+    const region = regions.get(code);
+    if (!region) return [];
+
+    const siblings = [];
+    for (const other of regions.values()) {
+        if (other.id !== code && other.level === region.level && other.parent === region.parent) siblings.push(toNode(other));
+    }
+    return siblings.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Same rows as the database provider. Geometry comes at full resolution (the files have no simplified copies);
+ * only the coordinate precision is applied.
+ */
+async function getRegions(level, codePrefix, geometryOptions) {
+    const matches = [...getIndex().regions.values()].filter(r => r.level === level && r.id.startsWith(codePrefix));
+
+    return matches.map(region => {
+        const feature = readFile(region.file).features[region.position];
+        return {
+            id: region.id,
+            name: region.name,
+            geom: feature.geometry ? roundGeometry(feature.geometry, geometryOptions.precision) : null,
+            ...region.metrics
+        };
+    });
+}
+
+module.exports = {
+    name: 'file',
+    getStatus,
+    search,
+    getNode,
+    getChildren,
+    getAncestors,
+    getSiblings,
+    getRegions
+};
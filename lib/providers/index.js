@@ -0,0 +1,17 @@
+require('dotenv').config();
+
+/**
+ * Read queries for the map and navigation, for the configured DB_PROVIDER:
+ * POSTGRES / SUPABASE query m_wilayah_poligon, FILE serves an in-process index over geojson/ (no database).
+ *
+ * Every provider has:
+ *   name                                        'postgres' | 'supabase' | 'file'
+ *   getStatus(code)                             rows per level + whether source files exist
+ *   search(query)                               [{ id, name, level }]
+ *   getNode(code)                               { id, name, level, parent } or null
+ *   getChildren(code), getAncestors(code), getSiblings(code)
+ *   getRegions(level, codePrefix, geometryOptions)  rows for toFeatureCollection(): { id, name, geom, ...metric columns }
+ */
+const provider = process.env.DB_PROVIDER === 'FILE' ? require('./file') : require('./database');
+
+module.exports = provider;
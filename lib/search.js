@@ -0,0 +1,119 @@
+const { LEVEL_KEYS, parseLevel } = require('./sources');
+const { isValidCode } = require('./codes');
+
+// Region search shared by the providers: query parsing, match ranking and the hit format.
+
+// Name matches below this word similarity (pg_trgm word_similarity, 0-1) are dropped. "kuwala" vs "kuala" is ~0.44.
+const FUZZY_THRESHOLD = 0.4;
+const MIN_QUERY_LENGTH = 2;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// Match types, best first. Same ranking as search_wilayah() in init_db.sql
+const MATCH_RANKS = { code: 5, code_prefix: 4, exact: 3, prefix: 2, contains: 1, fuzzy: 0 };
+
+// Digits per code segment: provinsi, kabupaten, kecamatan, kelurahan ("11.73.02.2001")
+const CODE_SEGMENTS = [2, 2, 2, 4];
+
+/**
+ * A code typed with or without dots, or null if the text isn't one: "11.73" and "1173" -> "11.73",
+ * "1173022001" -> "11.73.02.2001"
+ */
+function normalizeCode(value) {
+    const text = String(value || '').trim().replace(/\.$/, '');
+    if (isValidCode(text)) return text;
+    if (!/^\d+$/.test(text)) return null;
+
+    const parts = [];
+    let rest = text;
+    for (const size of CODE_SEGMENTS) {
+        if (!rest) break;
+        if (rest.length < size) return null;
+        parts.push(rest.slice(0, size));
+        rest = rest.slice(size);
+    }
+    return rest ? null : parts.join('.');
+}
+
+/**
+ * Query string of GET /api/search -> search options. Throws on an invalid level or parent.
+ * `query` is lowercased; `code` is set when the query is a code, which then replaces the name match.
+ *
+ * @returns {{ query: string, code: string|null, level: number|null, parent: string|null, limit: number, offset: number }}
+ */
+function parseSearchParams({ q, level, parent, limit, offset } = {}) {
+    const query = String(q || '').trim().toLowerCase();
+
+    let parsedLevel = null;
+    if (level) {
+        parsedLevel = parseLevel(level);
+        if (!parsedLevel) throw new Error('level must be 1-4 or provinsi/kabupaten/kecamatan/kelurahan');
+    }
+
+    let parentCode = null;
+    if (parent) {
+        parentCode = normalizeCode(parent);
+        if (!parentCode) throw new Error('parent must be a region code, e.g. 11.73');
+    }
+
+    const pageSize = limit === undefined || limit === '' ? DEFAULT_LIMIT : parseInt(limit, 10);
+    if (!(pageSize >= 1 && pageSize <= MAX_LIMIT)) throw new Error(`limit must be between 1 and ${MAX_LIMIT}`);
+    const skip = offset === undefined || offset === '' ? 0 : parseInt(offset, 10);
+    if (!(skip >= 0)) throw new Error('offset must be 0 or more');
+
+    return { query, code: normalizeCode(query), level: parsedLevel, parent: parentCode, limit: pageSize, offset: skip };
+}
+
+// Too short to search by name and not a code
+const isSearchable = (search) => Boolean(search.code) || search.query.length >= MIN_QUERY_LENGTH;
+
+/**
+ * Row -> hit. Rows carry id, name, level, parent, match, similarity, the matched alias (alias, alias_type,
+ * alias_valid_from, alias_valid_to; NULL when the region name matched) and the ancestors as
+ * parent_1_id / parent_1_name (nearest) up to parent_3_*.
+ */
+function toSearchHit(row) {
+    const parents = [1, 2, 3]
+        .filter(n => row[`parent_${n}_id`])
+        .map(n => ({ id: row[`parent_${n}_id`], name: row[`parent_${n}_name`], level: row.level - n }));
+
+    return {
+        id: row.id,
+        name: row.name,
+        level: row.level,
+        levelName: LEVEL_KEYS[row.level] || null,
+        parent: row.parent || null,
+        parents,
+        // "Kuala — Banda Sakti, Kota Lhokseumawe, Aceh"
+        label: parents.length > 0 ? `${row.name} — ${parents.map(p => p.name).join(', ')}` : row.name,
+        match: row.match,
+        score: Math.round(Number(row.similarity || 0) * 1000) / 1000,
+        // The alias the query matched instead of the name, e.g. { name: "Kab. Aceh Besar", type: "abbreviation" }
+        alias: row.alias
+            ? { name: row.alias, type: row.alias_type, validFrom: row.alias_valid_from || null, validTo: row.alias_valid_to || null }
+            : null
+    };
+}
+
+// Providers fetch limit + 1 rows; the extra one only tells whether there is a next page
+function toSearchPage(search, rows) {
+    return {
+        query: search.query,
+        code: search.code,
+        items: rows.slice(0, search.limit).map(toSearchHit),
+        limit: search.limit,
+        offset: search.offset,
+        hasMore: rows.length > search.limit
+    };
+}
+
+module.exports = {
+    FUZZY_THRESHOLD,
+    MIN_QUERY_LENGTH,
+    MATCH_RANKS,
+    normalizeCode,
+    parseSearchParams,
+    isSearchable,
+    toSearchHit,
+    toSearchPage
+};
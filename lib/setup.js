@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const pool = require('./postgres');
+const { supabaseAdmin } = require('./supabase');
+const { GEOJSON_DIR } = require('./sources');
+const { transformProperties } = require('./mapping');
+const { createBulkLoader } = require('./loader');
+const { ensureAdminUser } = require('./auth');
+require('dotenv').config();
+
+// Provinsi file loaded into an empty database
+const SEED_FILE = '11_Aceh.geojson';
+
+// The whole schema: every statement can run again, so the same file creates a new database and upgrades an old one.
+// POSTGRES runs it on start and with `cli.js init-db`; Supabase users paste it into the SQL Editor.
+const SCHEMA_FILE = path.join(__dirname, '..', 'init_db.sql');
+
+/**
+ * Create or upgrade the schema from init_db.sql: main table, triggers, history, aliases, datasets and local users.
+ * Skipped for Supabase (run init_db.sql in the Supabase SQL Editor instead) and for FILE (no database).
+ *
+ * @returns {Promise<{ skipped: boolean, adminCreated: string|null }>} adminCreated: editor created from AUTH_ADMIN_USERNAME
+ */
+async function initDB() {
+    if (['SUPABASE', 'FILE'].includes(process.env.DB_PROVIDER)) return { skipped: true, adminCreated: null };
+
+    await pool.query(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+    const admin = await ensureAdminUser();
+    return { skipped: false, adminCreated: admin ? admin.name : null };
+}
+
+// Whether any provinsi (level 1) row exists
+async function hasInitialData() {
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
+        const { count, error } = await supabaseAdmin
+            .from('m_wilayah_poligon')
+            .select('*', { count: 'exact', head: true })
+            .eq('level', 1);
+
+        // Fails when the table doesn't exist yet (init_db.sql not run)
+        if (error) throw new Error(`Supabase Error: ${error.message}`);
+        return count > 0;
+    }
+
+    const res = await pool.query('SELECT 1 FROM m_wilayah_poligon WHERE level = 1 LIMIT 1');
+    return res.rows.length > 0;
+}
+
+/**
+ * Load the provinsi file when the database has no provinsi yet (or always with `force`).
+ * With `dryRun` nothing is written; the result says whether it would have been.
+ *
+ * @returns {Promise<{ seeded: boolean, reason: string|null, file: string, features: number, rows: number }>}
+ *   reason when not seeded: 'exists' (data already there) or 'missing-file'
+ */
+async function seedInitialData({ force = false, dryRun = false } = {}) {
+    const result = { seeded: false, reason: null, file: SEED_FILE, features: 0, rows: 0 };
+
+    if (!force && await hasInitialData()) return { ...result, reason: 'exists' };
+
+    const filePath = path.join(GEOJSON_DIR, SEED_FILE);
+    if (!fs.existsSync(filePath)) return { ...result, reason: 'missing-file' };
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    result.features = data.features.length;
+    if (dryRun) return result;
+
+    const loader = await createBulkLoader();
+    try {
+        for (const feature of data.features) {
+            const { kode, nama } = transformProperties(feature, 1);
+            await loader.add(kode, nama, 1, feature.geometry, SEED_FILE);
+        }
+        result.rows = await loader.commit();
+    } catch (err) {
+        await loader.rollback();
+        throw err;
+    }
+    return { ...result, seeded: true };
+}
+
+module.exports = { SEED_FILE, initDB, hasInitialData, seedInitialData };
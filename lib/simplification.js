@@ -0,0 +1,73 @@
+// Precomputed simplification levels of m_wilayah_poligon.geometry (kept in full resolution).
+// The columns are filled by the simplify_wilayah_geometry() trigger in init_db.sql; keep tolerances in sync.
+const SIMPLIFICATION_LEVELS = [
+    { level: 0, column: 'geometry', tolerance: 0 },
+    { level: 1, column: 'geometry_s1', tolerance: 0.0001 }, // ~11 m
+    { level: 2, column: 'geometry_s2', tolerance: 0.001 }, // ~110 m
+    { level: 3, column: 'geometry_s3', tolerance: 0.01 } // ~1.1 km
+];
+
+// What /api/db/geojson returned before full resolution was kept
+const DEFAULT_LEVEL = 1;
+const DEFAULT_PRECISION = 9; // ST_AsGeoJSON default
+const MAX_PRECISION = 15;
+const MAX_ZOOM = 22;
+
+// Half a screen pixel (256px tiles) in degrees at zoom z
+const zoomToTolerance = (z) => 360 / (256 * 2 ** z) / 2;
+
+// Coarsest stored level whose tolerance does not exceed `tolerance`
+function levelForTolerance(tolerance) {
+    return SIMPLIFICATION_LEVELS.filter(l => l.tolerance <= tolerance).pop();
+}
+
+/**
+ * Resolve ?zoom=, ?tolerance= and ?precision= into geometry options.
+ * zoom picks the matching precomputed level; tolerance (degrees, 0 = full resolution) uses the
+ * nearest finer level and simplifies the rest on the fly. Throws on invalid values.
+ *
+ * @returns {{ level: number, column: string, tolerance: number, simplifyOnTheFly: boolean, precision: number }}
+ */
+function parseGeometryOptions({ zoom, tolerance, precision } = {}) {
+    let stored = SIMPLIFICATION_LEVELS[DEFAULT_LEVEL];
+    let requested = stored.tolerance;
+
+    if (tolerance !== undefined && tolerance !== '') {
+        requested = Number(tolerance);
+        if (!Number.isFinite(requested) || requested < 0 || requested > 1) {
+            throw new Error('tolerance must be a number of degrees between 0 and 1');
+        }
+        stored = levelForTolerance(requested);
+    } else if (zoom !== undefined && zoom !== '') {
+        const z = Number(zoom);
+        if (!Number.isFinite(z) || z < 0 || z > MAX_ZOOM) throw new Error(`zoom must be between 0 and ${MAX_ZOOM}`);
+        stored = levelForTolerance(zoomToTolerance(z));
+        requested = stored.tolerance;
+    }
+
+    let digits = DEFAULT_PRECISION;
+    if (precision !== undefined && precision !== '') {
+        digits = Number(precision);
+        if (!Number.isInteger(digits) || digits < 0 || digits > MAX_PRECISION) {
+            throw new Error(`precision must be an integer between 0 and ${MAX_PRECISION}`);
+        }
+    }
+
+    return {
+        level: stored.level,
+        column: stored.column,
+        tolerance: requested,
+        simplifyOnTheFly: requested > stored.tolerance,
+        precision: digits
+    };
+}
+
+// SQL expression for the selected geometry (values come from parseGeometryOptions, never from raw input)
+function geometrySql(options, alias = '') {
+    const column = `${alias ? `${alias}.` : ''}${options.column}`;
+    return options.simplifyOnTheFly
+        ? `ST_Multi(ST_SimplifyPreserveTopology(${column}, ${Number(options.tolerance)}))`
+        : column;
+}
+
+module.exports = { SIMPLIFICATION_LEVELS, DEFAULT_PRECISION, zoomToTolerance, levelForTolerance, parseGeometryOptions, geometrySql };
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+const GEOJSON_DIR = path.join(__dirname, '..', 'geojson');
+const ZIP_DIR = path.join(GEOJSON_DIR, 'ZIP');
+
+// Level keys used by the API responses
+const LEVEL_KEYS = { 1: 'provinsi', 2: 'kabupaten', 3: 'kecamatan', 4: 'kelurahan' };
+
+// "3" or "kecamatan" -> 3, anything else -> null
+function parseLevel(value) {
+    const level = Number(value) || Number(Object.keys(LEVEL_KEYS).find(key => LEVEL_KEYS[key] === value));
+    return LEVEL_KEYS[level] ? level : null;
+}
+
+// Check whether a GeoJSON file name belongs to the requested code
+function matchesCode(fileName, code) {
+    if (!fileName.endsWith('.geojson')) return false;
+    if (code.length === 2 && fileName.match(new RegExp(`^${code}_[^_]+\\.geojson$`))) return true; // Match "11_Aceh.geojson"
+    return fileName.startsWith(code);
+}
+
+// Detect level from file name
+// 11_Aceh.geojson -> 1, 11.01_Aceh_Selatan.geojson -> 2, 11.01_kecamatan.geojson -> 3, 11.01_kelurahan.geojson -> 4
+function detectLevel(fileName) {
+    if (fileName.endsWith('_kecamatan.geojson')) return 3;
+    if (fileName.endsWith('_kelurahan.geojson')) return 4;
+    if (fileName.match(/^\d{2}_.+$/)) return 1; // Provinsi detection
+    return 2; // Assuming anything else matching the code is the kabupaten boundary
+}
+
+// Loose *.geojson files directly inside GEOJSON_DIR
+function listLooseFiles(code) {
+    if (!fs.existsSync(GEOJSON_DIR)) return [];
+
+    return fs.readdirSync(GEOJSON_DIR)
+        .filter(file => matchesCode(file, code))
+        .map(file => {
+            const filePath = path.join(GEOJSON_DIR, file);
+            return {
+                name: file,
+                level: detectLevel(file),
+                size: fs.statSync(filePath).size,
+                origin: 'file',
+                read: () => JSON.parse(fs.readFileSync(filePath, 'utf8'))
+            };
+        });
+}
+
+// GeoJSON entries inside geojson/ZIP/*.zip
+// Only archives whose code prefix overlaps the requested code are opened (e.g. "11.07_Pidie.zip" for "11.07" or "11")
+function listZipEntries(code) {
+    if (!fs.existsSync(ZIP_DIR)) return [];
+
+    const sources = [];
+    const archives = fs.readdirSync(ZIP_DIR).filter(file => {
+        if (!file.toLowerCase().endsWith('.zip')) return false;
+        const archiveCode = file.split('_')[0];
+        return archiveCode.startsWith(code) || code.startsWith(archiveCode);
+    });
+
+    for (const archive of archives) {
+        let zip;
+        try {
+            zip = new AdmZip(path.join(ZIP_DIR, archive));
+        } catch (err) {
+            console.error(`Error opening archive ${archive}:`, err.message);
+            continue;
+        }
+
+        zip.getEntries().forEach(entry => {
+            if (entry.isDirectory) return;
+            const name = path.posix.basename(entry.entryName);
+            if (!matchesCode(name, code)) return; // Skips README.txt and other non-GeoJSON entries
+
+            sources.push({
+                name,
+                level: detectLevel(name),
+                size: entry.header.size,
+                origin: 'zip',
+                archive,
+                read: () => JSON.parse(entry.getData().toString('utf8'))
+            });
+        });
+    }
+
+    return sources;
+}
+
+// All sources for a code, parents first. Loose files win over archive entries with the same name.
+function listSources(code) {
+    const sources = listLooseFiles(code);
+    const seen = new Set(sources.map(s => s.name));
+
+    listZipEntries(code).forEach(entry => {
+        if (seen.has(entry.name)) return;
+        seen.add(entry.name);
+        sources.push(entry);
+    });
+
+    return sources.sort((a, b) => a.level - b.level || a.name.localeCompare(b.name));
+}
+
+module.exports = { GEOJSON_DIR, ZIP_DIR, LEVEL_KEYS, parseLevel, matchesCode, detectLevel, listSources };
@@ -0,0 +1,66 @@
+const pool = require('./postgres');
+const { supabaseAdmin } = require('./supabase');
+const { LEVEL_KEYS, listSources } = require('./sources');
+require('dotenv').config();
+
+/**
+ * Rows per level under a code and whether source files exist for it.
+ * Throws when the database can't be queried.
+ *
+ * @returns {Promise<{ provinsi: number, kabupaten: number, kecamatan: number, kelurahan: number,
+ *   available: boolean, fileAvailable: boolean }>}
+ */
+async function getStatus(code) {
+    const stats = {
+        provinsi: 0,
+        kabupaten: 0,
+        kecamatan: 0,
+        kelurahan: 0,
+        available: false,
+        fileAvailable: false
+    };
+
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
+
+        // get_wilayah_counts() in init_db.sql is global, so count under the code here
+        const { count, error: countErr } = await supabaseAdmin
+            .from('m_wilayah_poligon')
+            .select('*', { count: 'exact', head: true })
+            .ilike('kode_wilayah_kemendagri', `${code}%`);
+
+        if (!countErr) {
+            stats.available = count > 0;
+            if (stats.available) {
+                const { data: levels } = await supabaseAdmin
+                    .from('m_wilayah_poligon')
+                    .select('level')
+                    .ilike('kode_wilayah_kemendagri', `${code}%`);
+
+                if (levels) {
+                    levels.forEach(r => {
+                        if (LEVEL_KEYS[r.level]) stats[LEVEL_KEYS[r.level]]++;
+                    });
+                }
+            }
+        }
+    } else {
+        const result = await pool.query(
+            `SELECT level, COUNT(*) as count FROM m_wilayah_poligon WHERE kode_wilayah_kemendagri LIKE $1 GROUP BY level`,
+            [`${code}%`]
+        );
+
+        result.rows.forEach(row => {
+            if (LEVEL_KEYS[row.level]) stats[LEVEL_KEYS[row.level]] = parseInt(row.count);
+        });
+
+        stats.available = result.rows.length > 0;
+    }
+
+    // Check if file exists in GEOJSON_DIR or inside one of the ZIP archives
+    stats.fileAvailable = listSources(code).length > 0;
+
+    return stats;
+}
+
+module.exports = { getStatus };
@@ -16,7 +16,8 @@ const createSupabaseClient = (req, res) => {
         {
             cookies: {
                 getAll() {
-                    return req.cookies;
+                    // @supabase/ssr expects [{ name, value }], cookie-parser gives { name: value }
+                    return Object.entries(req.cookies || {}).map(([name, value]) => ({ name, value }));
                 },
                 setAll(cookiesToSet) {
                     cookiesToSet.forEach(({ name, value, options }) => {
@@ -0,0 +1,123 @@
+const { updateJob } = require('./jobs');
+const { transformProperties, parentCodeOf } = require('./mapping');
+const { findOrphans } = require('./hierarchy');
+const { findMissingFromSource } = require('./diff');
+const { createBulkLoader } = require('./loader');
+const { createValidator } = require('./validation');
+
+/**
+ * Run a sync job, reporting progress through lib/jobs. Used by POST /api/db/sync, uploads and the CLI.
+ * `files` come from listSources() or uploadSources(). Never throws: failures end the job with status 'failed'.
+ *
+ * options.dryRun: only validate and report, nothing is written
+ * options.repair: fix invalid geometries with ST_MakeValid on the real run
+ * options.mirror: remove sourced rows under the code at the synced levels that the files don't have
+ */
+async function runSyncJob(job, files, options = {}) {
+    updateJob(job, { status: 'running', startedAt: new Date().toISOString(), filesTotal: files.length });
+    let loader = null;
+    let validator = null;
+
+    // Cancelled between files or features: roll back what this run wrote
+    const stop = async (processed) => {
+        if (loader) await loader.rollback();
+        updateJob(job, { status: 'cancelled', currentFile: null, result: { processed: 0, rolledBack: processed } });
+    };
+
+    try {
+        // Validate (dry-run) or load in batches inside one transaction (or staging run on Supabase)
+        // Mirror mode removes rows under the code at the synced levels that the files no longer have
+        const startedAt = Date.now();
+        const mirror = options.mirror ? { code: job.code, levels: [...new Set(files.map(f => f.level))] } : null;
+        if (options.dryRun) validator = createValidator({ transform: transformProperties });
+        else loader = await createBulkLoader({ repair: options.repair, runId: job.id, mirror }); // Job id = sync run id in the history
+        let totalProcessed = 0;
+        const hierarchyRows = []; // { kode, parent, level } for the orphan check
+
+        // Each file is read once; featuresTotal grows as the files are read, fileFeatures* is the progress in the current one
+        for (const file of files) {
+            if (job.cancelRequested) return await stop(totalProcessed);
+
+            updateJob(job, { currentFile: file.name, fileFeaturesDone: 0, fileFeaturesTotal: 0 });
+            const data = file.read();
+            await new Promise(resolve => setImmediate(resolve)); // Parsing is sync, let other requests through
+            const level = file.level;
+            updateJob(job, { featuresTotal: job.featuresTotal + data.features.length, fileFeaturesTotal: data.features.length });
+
+            for (const [index, feature] of data.features.entries()) {
+                if (job.cancelRequested) return await stop(totalProcessed);
+
+                if (validator) {
+                    await validator.add(file.name, index, level, feature);
+                    try {
+                        const { kode } = transformProperties(feature, level);
+                        hierarchyRows.push({ kode, parent: parentCodeOf(kode, level), level });
+                    } catch (err) {
+                        // Already reported by the validator
+                    }
+                } else {
+                    const { kode, nama } = transformProperties(feature, level);
+                    await loader.add(kode, nama, level, feature.geometry, file.name);
+                    hierarchyRows.push({ kode, parent: parentCodeOf(kode, level), level });
+                }
+
+                totalProcessed++;
+                updateJob(job, { featuresDone: totalProcessed, fileFeaturesDone: index + 1 });
+            }
+
+            updateJob(job, { filesDone: job.filesDone + 1, fileFeaturesDone: 0, fileFeaturesTotal: 0 });
+        }
+
+        // Parents must exist in this run or already be in the database
+        let orphans = [];
+        let orphanCheckError = null;
+        try {
+            orphans = await findOrphans(hierarchyRows);
+        } catch (err) {
+            orphanCheckError = err.message;
+        }
+
+        if (validator) {
+            const report = await validator.finish();
+            const result = { dryRun: true, processed: totalProcessed, ...report, orphans, orphanCheckError };
+            if (mirror) {
+                try {
+                    result.removed = await findMissingFromSource(mirror.code, mirror.levels, new Set(hierarchyRows.map(r => r.kode)));
+                } catch (err) {
+                    result.removedCheckError = err.message;
+                }
+            }
+            updateJob(job, { status: 'completed', currentFile: null, result });
+            return;
+        }
+
+        const rows = await loader.commit();
+        const durationMs = Date.now() - startedAt;
+        const featuresPerSecond = Math.round((totalProcessed / Math.max(durationMs, 1)) * 1000);
+        console.log(`Sync ${job.code}: ${totalProcessed} features (${rows} rows) in ${durationMs} ms, ${featuresPerSecond} features/s`);
+
+        updateJob(job, {
+            status: 'completed',
+            currentFile: null,
+            result: {
+                processed: totalProcessed, rows, durationMs, featuresPerSecond, repairs: loader.repairs, orphans, orphanCheckError,
+                ...(mirror ? { removed: loader.pruned } : {})
+            }
+        });
+    } catch (err) {
+        console.error("ETL Error:", err);
+        if (loader) {
+            try {
+                await loader.rollback();
+            } catch (rollbackErr) {
+                console.error("Rollback Error:", rollbackErr.message);
+            }
+        }
+        updateJob(job, {
+            status: 'failed',
+            errors: [...job.errors, { file: job.currentFile, message: err.message }]
+        });
+    }
+}
+
+module.exports = { runSyncJob };
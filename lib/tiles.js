@@ -0,0 +1,111 @@
+const pool = require('./postgres');
+const { supabaseAdmin } = require('./supabase');
+const { LEVEL_KEYS } = require('./sources');
+const { levelForTolerance } = require('./simplification');
+require('dotenv').config();
+
+const EXTENT = 4096;
+const BUFFER = 64;
+const MAX_ZOOM = 22;
+
+// Zoom range per level: provinsi outlines at country scale, kelurahan only when zoomed in
+const LEVEL_ZOOMS = {
+    1: { minzoom: 0, maxzoom: 10 },
+    2: { minzoom: 6, maxzoom: 13 },
+    3: { minzoom: 9, maxzoom: MAX_ZOOM },
+    4: { minzoom: 11, maxzoom: MAX_ZOOM }
+};
+
+// Levels that go into a tile at zoom z
+function levelsForZoom(z) {
+    return Object.keys(LEVEL_ZOOMS)
+        .map(Number)
+        .filter(level => z >= LEVEL_ZOOMS[level].minzoom && z <= LEVEL_ZOOMS[level].maxzoom);
+}
+
+// Coarsest stored geometry that is still finer than one tile unit at zoom z
+const simplificationForZoom = (z) => levelForTolerance(360 / (EXTENT * 2 ** z));
+
+// Parse and range-check tile coordinates. Returns null if invalid.
+function parseTile(z, x, y) {
+    const [zi, xi, yi] = [z, x, y].map(v => (/^\d+$/.test(String(v)) ? parseInt(v, 10) : NaN));
+    if (![zi, xi, yi].every(Number.isInteger) || zi > MAX_ZOOM) return null;
+    const size = 2 ** zi;
+    if (xi >= size || yi >= size) return null;
+    return { z: zi, x: xi, y: yi };
+}
+
+// One ST_AsMVT layer per level, concatenated into a single tile (MVT layers can be appended byte-wise).
+// Same query as get_wilayah_tile() in init_db.sql
+const layerSql = (column) => (level) => `
+    (SELECT COALESCE(ST_AsMVT(t, '${LEVEL_KEYS[level]}', ${EXTENT}, 'geom'), ''::bytea) FROM (
+        SELECT w.kode_wilayah_kemendagri AS id, w.nama_wilayah_kemendagri AS name,
+            ST_AsMVTGeom(ST_Transform(w.${column}, 3857), b.env, ${EXTENT}, ${BUFFER}, true) AS geom
+        FROM m_wilayah_poligon w, bounds b
+        WHERE w.level = ${level}
+        AND w.geometry && b.env_4326
+        AND w.kode_wilayah_kemendagri LIKE $4
+    ) t)
+`;
+
+const tileSql = (levels, column) => `
+    WITH bounds AS (
+        SELECT ST_TileEnvelope($1, $2, $3) AS env,
+            ST_Transform(ST_TileEnvelope($1, $2, $3, margin => ${BUFFER / EXTENT}), 4326) AS env_4326
+    )
+    SELECT ${levels.map(layerSql(column)).join(' || ')} AS tile
+`;
+
+// Supabase returns bytea as a "\x..." hex string
+function toBuffer(value) {
+    if (!value) return Buffer.alloc(0);
+    if (Buffer.isBuffer(value)) return value;
+    return Buffer.from(String(value).replace(/^\\x/, ''), 'hex');
+}
+
+/**
+ * Mapbox Vector Tile for z/x/y with one layer per level (provinsi, kabupaten, ...) that is visible at z.
+ * Features carry `id` and `name`. Returns an empty buffer when nothing intersects the tile.
+ *
+ * @param {{ z: number, x: number, y: number }} tile
+ * @param {{ code?: string }} [options] Only regions whose code starts with `code`
+ */
+async function getTile({ z, x, y }, { code = '' } = {}) {
+    const levels = levelsForZoom(z);
+    if (levels.length === 0) return Buffer.alloc(0);
+    const simplification = simplificationForZoom(z);
+
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
+        const { data, error } = await supabaseAdmin.rpc('get_wilayah_tile', {
+            p_z: z, p_x: x, p_y: y, p_levels: levels, p_code: code, p_simplification: simplification.level
+        });
+        if (error) throw new Error(`Supabase RPC Error: ${error.message}`);
+        return toBuffer(data);
+    }
+
+    const result = await pool.query(tileSql(levels, simplification.column), [z, x, y, `${code}%`]);
+    return toBuffer(result.rows[0] && result.rows[0].tile);
+}
+
+// [west, south, east, north] of everything under `code`, or null if there is nothing
+async function getBounds(code = '') {
+    let row;
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
+        const { data, error } = await supabaseAdmin.rpc('get_wilayah_bounds', { p_code: code });
+        if (error) throw new Error(`Supabase RPC Error: ${error.message}`);
+        row = data && data[0];
+    } else {
+        const result = await pool.query(`
+            SELECT ST_XMin(e) AS west, ST_YMin(e) AS south, ST_XMax(e) AS east, ST_YMax(e) AS north
+            FROM (SELECT ST_Extent(geometry) AS e FROM m_wilayah_poligon WHERE kode_wilayah_kemendagri LIKE $1) x
+        `, [`${code}%`]);
+        row = result.rows[0];
+    }
+
+    if (!row || row.west === null) return null;
+    return [row.west, row.south, row.east, row.north].map(Number);
+}
+
+module.exports = { LEVEL_ZOOMS, MAX_ZOOM, levelsForZoom, parseTile, getTile, getBounds };
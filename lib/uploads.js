@@ -0,0 +1,294 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { GEOJSON_DIR, detectLevel } = require('./sources');
+const { transformProperties } = require('./mapping');
+const { checkProperties, isEmptyGeometry } = require('./validation');
+require('dotenv').config();
+
+// Uploaded files wait here until they are promoted into geojson/ or discarded.
+// Outside GEOJSON_DIR so listSources() never picks up a staged file.
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+const MAX_UPLOAD_BYTES = (parseFloat(process.env.UPLOAD_MAX_MB) || 50) * 1024 * 1024;
+// Uncompressed size limit for ZIP uploads (guards against zip bombs)
+const MAX_UNZIPPED_BYTES = MAX_UPLOAD_BYTES * 4;
+const STAGED_TTL_MS = 24 * 60 * 60 * 1000; // Unpromoted uploads are dropped after a day
+const MAX_PROBLEMS = 100;
+
+const LEVEL_FILE_SUFFIXES = { 3: 'kecamatan', 4: 'kelurahan' };
+const UPLOAD_ID = /^[0-9a-f-]{36}$/;
+
+// Names that already follow the geojson/ convention: "11_Aceh", "11.73_Kota_Lhokseumawe", "11.73_kecamatan"
+const CONVENTION_NAME = /^(\d{2}(?:\.\d{2})?)_.+\.geojson$/;
+
+const uploadPath = (id, ...parts) => path.join(UPLOAD_DIR, id, ...parts);
+
+// "Kota Lhokseumawe" -> "Kota_Lhokseumawe"
+const slug = (name) => String(name).normalize('NFKD').replace(/[^\w\s-]/g, '').trim().replace(/[\s-]+/g, '_');
+
+// Deepest level whose required properties the feature has (kd_kelurahan -> 4, kd_kecamatan -> 3, ...)
+function levelFromProperties(properties) {
+    for (let level = 4; level >= 1; level--) {
+        if (checkProperties(properties, level).length === 0) return level;
+    }
+    return null;
+}
+
+// The code a source file is filed under: the provinsi for level 1, the kabupaten for levels 2-4
+const fileCodeOf = (kode, level) => kode.split('.').slice(0, Math.min(level, 2)).join('.');
+
+// geojson/ file name for a level and code, e.g. (3, "11.73") -> "11.73_kecamatan.geojson"
+function conventionName(level, code, regionName) {
+    if (LEVEL_FILE_SUFFIXES[level]) return `${code}_${LEVEL_FILE_SUFFIXES[level]}.geojson`;
+    return `${code}_${slug(regionName || code) || code}.geojson`;
+}
+
+// Open the upload into [{ name, text }] GeoJSON documents. ZIP entries other than *.geojson are ignored.
+function extractDocuments(originalName, buffer) {
+    const lower = originalName.toLowerCase();
+    if (lower.endsWith('.geojson') || lower.endsWith('.json')) {
+        return [{ name: path.basename(originalName), text: buffer.toString('utf8') }];
+    }
+    if (!lower.endsWith('.zip')) throw new Error('Only .geojson and .zip files can be uploaded');
+
+    const entries = new AdmZip(buffer).getEntries()
+        .filter(entry => !entry.isDirectory && entry.entryName.toLowerCase().endsWith('.geojson'));
+    if (entries.length === 0) throw new Error('The ZIP file contains no .geojson files');
+
+    return inflateEntries(entries);
+}
+
+// Unpack the entries ourselves, stopping once MAX_UNZIPPED_BYTES have come out in total: the sizes in the ZIP
+// headers are whatever the file claims, and adm-zip inflates without a limit when an entry declares size 0
+function inflateEntries(entries) {
+    const tooLarge = () => new Error(`The ZIP file unpacks to more than ${Math.round(MAX_UNZIPPED_BYTES / 1024 / 1024)} MB`);
+    let remaining = MAX_UNZIPPED_BYTES;
+
+    return entries.map(entry => {
+        if (entry.header.encrypted) throw new Error(`${entry.entryName} is encrypted`);
+        const compressed = entry.getCompressedData();
+        let data;
+        if (entry.header.method === 0) { // stored
+            data = compressed;
+        } else if (entry.header.method === 8) { // deflated
+            try {
+                data = zlib.inflateRawSync(compressed, { maxOutputLength: remaining + 1 });
+            } catch (err) {
+                if (err.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+                throw new Error(`${entry.entryName} could not be unpacked: ${err.message}`);
+            }
+        } else {
+            throw new Error(`${entry.entryName} uses an unsupported compression method`);
+        }
+
+        remaining -= data.length;
+        if (remaining < 0) throw tooLarge();
+        return { name: path.posix.basename(entry.entryName), text: data.toString('utf8') };
+    });
+}
+
+/**
+ * Work out level and code of one GeoJSON document and check every feature against the property schema.
+ * Level: the given one, else the file name (if it follows the geojson/ convention), else the feature properties.
+ * Code: the given one, else the file name, else the codes generated for the features (they must agree).
+ */
+function inspectDocument(doc, options) {
+    const problems = [];
+    const needs = [];
+    const problem = (index, message) => problems.push({ file: doc.name, index, message });
+
+    let data;
+    try {
+        data = JSON.parse(doc.text);
+    } catch (err) {
+        problem(null, `Not valid JSON: ${err.message}`);
+        return { problems, needs };
+    }
+    if (!data || data.type !== 'FeatureCollection' || !Array.isArray(data.features) || data.features.length === 0) {
+        problem(null, 'Expected a FeatureCollection with at least one feature');
+        return { problems, needs };
+    }
+
+    const named = doc.name.match(CONVENTION_NAME);
+    const level = options.level || (named ? detectLevel(doc.name) : levelFromProperties(data.features[0].properties));
+    if (!level) {
+        needs.push('level');
+        return { problems, needs };
+    }
+
+    const codes = new Set();
+    const names = new Map();
+    const seen = new Set();
+    data.features.forEach((feature, index) => {
+        checkProperties(feature.properties, level).forEach(message => problem(index, message));
+
+        if (!feature.geometry || !['Polygon', 'MultiPolygon'].includes(feature.geometry.type)) {
+            problem(index, `Geometry must be Polygon or MultiPolygon, got ${feature.geometry ? feature.geometry.type : 'null'}`);
+        } else if (isEmptyGeometry(feature.geometry)) {
+            problem(index, 'Geometry has no coordinates');
+        }
+
+        try {
+            const { kode, nama } = transformProperties(feature, level);
+            if (seen.has(kode)) problem(index, `Duplicate code ${kode}`);
+            seen.add(kode);
+            codes.add(fileCodeOf(kode, level));
+            names.set(kode, nama);
+        } catch (err) {
+            problem(index, `Cannot generate code: ${err.message}`);
+        }
+    });
+
+    let code = options.code || (named ? named[1] : null);
+    if (!code) {
+        if (codes.size === 1) code = [...codes][0];
+        else needs.push('code');
+    }
+
+    if (code && fileCodeOf(code, level) !== code) {
+        problem(null, `Code ${code} does not fit a level ${level} file (expected e.g. ${level === 1 ? '11' : '11.73'})`);
+    } else if (code) {
+        // Every feature must belong to the code, or the file would be synced under the wrong region
+        [...seen].filter(kode => kode !== code && !kode.startsWith(`${code}.`))
+            .forEach(kode => problem(null, `Code ${kode} is not part of ${code}`));
+    }
+
+    return {
+        problems,
+        needs,
+        file: code && {
+            name: conventionName(level, code, names.get(code) || [...names.values()][0]),
+            originalName: doc.name,
+            level,
+            code,
+            features: data.features.length,
+            size: Buffer.byteLength(doc.text)
+        }
+    };
+}
+
+// Longest common code prefix of the staged files, used as the sync code ("11.73" and "11.74" -> "11")
+function commonCode(codes) {
+    const parts = codes.map(code => code.split('.'));
+    const common = [];
+    for (let i = 0; i < Math.min(...parts.map(p => p.length)); i++) {
+        if (parts.some(p => p[i] !== parts[0][i])) break;
+        common.push(parts[0][i]);
+    }
+    return common.join('.');
+}
+
+// Drop staged uploads older than the TTL
+function pruneUploads() {
+    const now = Date.now();
+    listUploads().forEach(upload => {
+        if (now - new Date(upload.createdAt).getTime() > STAGED_TTL_MS) discardUpload(upload.id);
+    });
+}
+
+/**
+ * Check and stage an uploaded .geojson or .zip. Nothing is staged unless every file passes:
+ * `needs` lists what could not be detected (ask the user for level / code), `problems` the schema violations.
+ *
+ * @param {{ originalName: string, buffer: Buffer, level?: number, code?: string, uploadedBy?: string }} input
+ * @returns {{ upload: object|null, needs: string[], problems: object[], problemCount: number }}
+ */
+function stageUpload({ originalName, buffer, level = null, code = null, uploadedBy = null }) {
+    let documents;
+    try {
+        documents = extractDocuments(originalName, buffer);
+    } catch (err) {
+        return { upload: null, needs: [], problems: [{ file: originalName, index: null, message: err.message }], problemCount: 1 };
+    }
+
+    const staged = []; // { doc, file }
+    const needs = new Set();
+    let problems = [];
+    documents.forEach(doc => {
+        const result = inspectDocument(doc, { level, code });
+        result.needs.forEach(need => needs.add(need));
+        problems = problems.concat(result.problems);
+        if (result.file) staged.push({ doc, file: result.file });
+    });
+
+    const files = staged.map(s => s.file);
+
+    const names = files.map(f => f.name);
+    names.filter((name, i) => names.indexOf(name) !== i)
+        .forEach(name => problems.push({ file: name, index: null, message: `More than one file would be saved as ${name}` }));
+    if (files.length > 1 && !commonCode(files.map(f => f.code))) {
+        problems.push({ file: originalName, index: null, message: 'The files belong to different provinsi, upload them separately' });
+    }
+
+    if (needs.size > 0 || problems.length > 0) {
+        return { upload: null, needs: [...needs], problems: problems.slice(0, MAX_PROBLEMS), problemCount: problems.length };
+    }
+
+    pruneUploads();
+
+    const upload = {
+        id: crypto.randomUUID(),
+        originalName,
+        code: commonCode(files.map(f => f.code)),
+        files,
+        uploadedBy,
+        createdAt: new Date().toISOString()
+    };
+
+    fs.mkdirSync(uploadPath(upload.id), { recursive: true });
+    staged.forEach(({ doc, file }) => fs.writeFileSync(uploadPath(upload.id, file.name), doc.text));
+    fs.writeFileSync(uploadPath(upload.id, 'upload.json'), JSON.stringify(upload, null, 2));
+
+    return { upload, needs: [], problems: [], problemCount: 0 };
+}
+
+function getUpload(id) {
+    if (!UPLOAD_ID.test(id)) return null;
+    const metaPath = uploadPath(id, 'upload.json');
+    if (!fs.existsSync(metaPath)) return null;
+    return JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+}
+
+function listUploads() {
+    if (!fs.existsSync(UPLOAD_DIR)) return [];
+    return fs.readdirSync(UPLOAD_DIR)
+        .map(getUpload)
+        .filter(Boolean)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Staged files in the shape of listSources(), so preview and sync can use them like geojson/ files
+function uploadSources(upload) {
+    return upload.files
+        .map(file => ({
+            name: file.name,
+            level: file.level,
+            size: file.size,
+            origin: 'upload',
+            read: () => JSON.parse(fs.readFileSync(uploadPath(upload.id, file.name), 'utf8'))
+        }))
+        .sort((a, b) => a.level - b.level || a.name.localeCompare(b.name));
+}
+
+/**
+ * Move the staged files into geojson/. Files that already exist there are only replaced with `overwrite`;
+ * otherwise nothing is moved and `conflicts` lists them.
+ */
+function promoteUpload(upload, { overwrite = false } = {}) {
+    const conflicts = upload.files.map(f => f.name).filter(name => fs.existsSync(path.join(GEOJSON_DIR, name)));
+    if (conflicts.length > 0 && !overwrite) return { promoted: [], conflicts };
+
+    fs.mkdirSync(GEOJSON_DIR, { recursive: true });
+    upload.files.forEach(file => fs.copyFileSync(uploadPath(upload.id, file.name), path.join(GEOJSON_DIR, file.name)));
+    discardUpload(upload.id);
+    return { promoted: upload.files.map(f => f.name), conflicts };
+}
+
+function discardUpload(id) {
+    if (!UPLOAD_ID.test(id)) return;
+    fs.rmSync(uploadPath(id), { recursive: true, force: true });
+}
+
+module.exports = { MAX_UPLOAD_BYTES, stageUpload, getUpload, listUploads, uploadSources, promoteUpload, discardUpload };
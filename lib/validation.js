@@ -0,0 +1,148 @@
+const pool = require('./postgres');
+const { supabaseAdmin } = require('./supabase');
+const { DEFAULT_BATCH_SIZE } = require('./loader');
+require('dotenv').config();
+
+// Source properties required per level, with the expected format of the code parts
+const REQUIRED_PROPERTIES = {
+    1: ['kd_propinsi', 'nm_propinsi'],
+    2: ['kd_propinsi', 'kd_dati2', 'nm_dati2'],
+    3: ['kd_propinsi', 'kd_dati2', 'kd_kecamatan', 'nm_kecamatan'],
+    4: ['kd_propinsi', 'kd_dati2', 'kd_kecamatan', 'kd_kelurahan', 'nm_kelurahan']
+};
+
+const CODE_FORMATS = {
+    kd_propinsi: /^\d{2}$/,
+    kd_dati2: /^\d{2}$/,
+    kd_kecamatan: /^\d{3}$/,
+    kd_kelurahan: /^\d{3}$/
+};
+
+// Property problems of a single feature (empty array if fine)
+function checkProperties(properties, level) {
+    if (!properties) return ['Feature has no properties'];
+
+    const problems = [];
+    for (const key of REQUIRED_PROPERTIES[level] || []) {
+        const value = properties[key];
+        if (value === undefined || value === null || String(value).trim() === '') {
+            problems.push(`Missing ${key}`);
+        } else if (CODE_FORMATS[key] && !CODE_FORMATS[key].test(String(value))) {
+            problems.push(`${key} "${value}" does not match ${CODE_FORMATS[key]}`);
+        }
+    }
+    return problems;
+}
+
+// True for null geometries and geometries without any coordinates
+function isEmptyGeometry(geometry) {
+    if (!geometry || !geometry.type) return true;
+    if (geometry.type === 'GeometryCollection') {
+        return !geometry.geometries || geometry.geometries.every(isEmptyGeometry);
+    }
+    const flat = Array.isArray(geometry.coordinates) ? geometry.coordinates.flat(Infinity) : [];
+    return flat.length === 0;
+}
+
+// Ask PostGIS which geometries are invalid. Returns [{ index, reason }] with index into `geometries`.
+async function findInvalidGeometries(geometries) {
+    const payload = geometries.map(geometry => ({ geometry }));
+
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        if (!supabaseAdmin) throw new Error("Supabase Admin client is not initialized. Check SUPABASE_URL and SUPABASE_SERVICE_KEY in .env");
+
+        const { data, error } = await supabaseAdmin.rpc('validate_wilayah_batch', { p_features: payload });
+        if (error) throw new Error(`Supabase RPC Error: ${error.message}`);
+        return (data || []).map(r => ({ index: r.feature_index, reason: r.reason }));
+    }
+
+    const result = await pool.query('SELECT feature_index, reason FROM validate_wilayah_batch($1::jsonb)', [JSON.stringify(payload)]);
+    return result.rows.map(r => ({ index: r.feature_index, reason: r.reason }));
+}
+
+/**
+ * Collect a per-feature dry-run report: property problems, duplicate generated codes,
+ * empty geometries and (through PostGIS, without writing) invalid geometries.
+ *
+ * @param {{ transform: (feature: object, level: number) => { kode: string, nama: string }, batchSize?: number }} options
+ */
+function createValidator({ transform, batchSize = DEFAULT_BATCH_SIZE }) {
+    const entries = new Map(); // "file#index" -> report entry
+    const codes = new Map(); // generated kode -> first feature that produced it
+    let pending = [];
+    let features = 0;
+    let geometryError = null; // Set when PostGIS is unreachable; the other checks still run
+
+    const report = (ref, type, message) => {
+        const key = `${ref.file}#${ref.index}`;
+        if (!entries.has(key)) entries.set(key, { ref, problems: [] });
+        entries.get(key).problems.push({ type, message });
+    };
+
+    const flush = async () => {
+        if (pending.length === 0) return;
+        const batch = pending;
+        pending = [];
+        if (geometryError) return;
+        try {
+            const invalid = await findInvalidGeometries(batch.map(item => item.geometry));
+            invalid.forEach(({ index, reason }) => report(batch[index].ref, 'invalid_geometry', reason));
+        } catch (err) {
+            geometryError = err.message;
+        }
+    };
+
+    return {
+        async add(file, index, level, feature) {
+            features++;
+            const ref = { file, index, level, kode: null, nama: null };
+
+            checkProperties(feature.properties, level).forEach(message => report(ref, 'property', message));
+
+            try {
+                const { kode, nama } = transform(feature, level);
+                ref.kode = kode;
+                ref.nama = nama;
+            } catch (err) {
+                report(ref, 'property', `Cannot generate code: ${err.message}`);
+            }
+
+            if (ref.kode) {
+                const first = codes.get(ref.kode);
+                if (first) {
+                    report(ref, 'duplicate', `Code ${ref.kode} is also generated by ${first.file}#${first.index}`);
+                    if (!first.reported) {
+                        report(first, 'duplicate', `Code ${ref.kode} is also generated by ${file}#${index}`);
+                        first.reported = true;
+                    }
+                } else {
+                    codes.set(ref.kode, ref);
+                }
+            }
+
+            if (isEmptyGeometry(feature.geometry)) {
+                report(ref, 'empty_geometry', 'Geometry is missing or has no coordinates');
+            } else {
+                pending.push({ ref, geometry: feature.geometry });
+                if (pending.length >= batchSize) await flush();
+            }
+        },
+        async finish() {
+            await flush();
+
+            const summary = { features, withProblems: entries.size, property: 0, duplicate: 0, invalid_geometry: 0, empty_geometry: 0 };
+            const list = [...entries.values()].map(({ ref, problems }) => {
+                new Set(problems.map(p => p.type)).forEach(type => summary[type]++);
+                const { file, index, level, kode, nama } = ref;
+                return { file, index, level, kode, nama, problems };
+            });
+            return {
+                summary,
+                geometryCheck: { checked: !geometryError, error: geometryError },
+                features: list
+            };
+        }
+    };
+}
+
+module.exports = { checkProperties, isEmptyGeometry, findInvalidGeometries, createValidator };
@@ -47,6 +47,121 @@ let layerControl = L.control.layers(baseLayers, {
 }, { collapsed: false }).addTo(map);
 
 let currentCode = '';
+let dataProvider = 'postgres'; // From /api/db/status: 'postgres', 'supabase' or 'file'
+
+// Vector tile layer (tile mode), replaces the GeoJSON layer groups while active
+let vectorTileLayer = null;
+
+// Styles per tile layer, same colors as the GeoJSON layers
+const TILE_STYLES = {
+    provinsi: { color: '#000000', weight: 3, opacity: 1, fill: false },
+    kabupaten: { color: '#ff0000', weight: 2, opacity: 1, fill: true, fillColor: '#ff0000', fillOpacity: 0.1 },
+    kecamatan: { color: '#0000ff', weight: 1, opacity: 1, fill: true, fillColor: '#0000ff', fillOpacity: 0.1 },
+    kelurahan: { color: '#388e3c', weight: 1, opacity: 1, fill: true, fillColor: '#388e3c', fillOpacity: 0.2 }
+};
+
+// Styles of the GeoJSON layers: `selected` for the region of the code (an outline around its children,
+// filled for a kelurahan), `children` for the regions inside it. A choropleth replaces the `children` fill.
+const LAYER_STYLES = {
+    provinsi: {
+        selected: { color: '#000000', weight: 5, opacity: 1, fillOpacity: 0 }
+    },
+    kabupaten: {
+        selected: { color: '#ff0000', weight: 3, opacity: 1, fillOpacity: 0 },
+        children: { color: '#ff0000', weight: 2, opacity: 1, fillOpacity: 0.1 }
+    },
+    kecamatan: {
+        selected: { color: '#0000ff', weight: 3, opacity: 1, fillOpacity: 0 },
+        children: { color: '#0000ff', weight: 1, opacity: 1, fillOpacity: 0.1 }
+    },
+    kelurahan: {
+        selected: { color: '#388e3c', weight: 2, opacity: 1, fillColor: '#388e3c', fillOpacity: 0.4 },
+        children: { color: '#388e3c', weight: 1, opacity: 1, fillColor: '#388e3c', fillOpacity: 0.2 }
+    }
+};
+
+// Choropleth fill per number of classes, light to dark (ColorBrewer YlOrRd)
+const CHOROPLETH_COLORS = {
+    3: ['#ffeda0', '#feb24c', '#f03b20'],
+    4: ['#ffffb2', '#fecc5c', '#fd8d3c', '#e31a1c'],
+    5: ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026'],
+    6: ['#ffffb2', '#fed976', '#feb24c', '#fd8d3c', '#f03b20', '#bd0026'],
+    7: ['#ffffb2', '#fed976', '#feb24c', '#fd8d3c', '#fc4e2a', '#e31a1c', '#b10026']
+};
+
+// Dataset joined into the last /api/db/geojson response ({ name, version, fields, ... }) and the rendered
+// `children` layers, so the choropleth can be restyled without loading the data again
+let currentDataset = null;
+let childLayers = {};
+let choroplethLegend = null;
+
+// Rendered `selected` layer: the outline of the loaded region
+let selectedLayer = null;
+
+// Outlines kept on the map while a clicked region or a breadcrumb loads: the region being left and the one being opened
+const contextLayer = L.layerGroup().addTo(map);
+const CONTEXT_STYLES = {
+    from: { color: '#000000', weight: 2, dashArray: '6 4', fillOpacity: 0 },
+    to: { color: '#f59e0b', weight: 3, fillColor: '#f59e0b', fillOpacity: 0.15 }
+};
+
+// Problem polygons from the coverage QA
+const qaLayer = L.layerGroup().addTo(map);
+const QA_STYLES = {
+    overlap: { color: '#f97316', weight: 2, fillColor: '#f97316', fillOpacity: 0.5 },
+    gap: { color: '#9333ea', weight: 2, fillColor: '#9333ea', fillOpacity: 0.5 },
+    outside: { color: '#dc2626', weight: 2, fillColor: '#dc2626', fillOpacity: 0.5 }
+};
+
+// Old (database) and new (source file) geometry of a region from the source diff
+const diffLayer = L.layerGroup().addTo(map);
+const DIFF_STYLES = {
+    old: { color: '#dc2626', weight: 2, dashArray: '6 4', fillOpacity: 0.1 },
+    new: { color: '#16a34a', weight: 2, fillOpacity: 0.2 }
+};
+
+function featurePopup(properties) {
+    // Metrics are stored on sync and only present for data from the database
+    const formatNumber = (value, digits = 2) => Number(value).toLocaleString('id-ID', { maximumFractionDigits: digits });
+    let metrics = '';
+    if (properties.areaKm2 != null) {
+        metrics = `
+            <div style="font-size: 12px; margin-top: 6px; line-height: 1.5;">
+                Luas: ${formatNumber(properties.areaKm2)} km²<br>
+                Keliling: ${formatNumber(properties.perimeterKm)} km<br>
+                ${properties.labelPoint ? `Titik label: ${properties.labelPoint[1].toFixed(5)}, ${properties.labelPoint[0].toFixed(5)}<br>` : ''}
+                ${properties.bbox ? `BBox: ${properties.bbox.map(v => v.toFixed(4)).join(', ')}` : ''}
+            </div>`;
+    }
+
+    // Fields of the joined dataset
+    let values = '';
+    if (currentDataset) {
+        values = `
+            <div style="font-size: 12px; margin-top: 6px; line-height: 1.5;">
+                <em>${escapeHtml(currentDataset.name)} v${currentDataset.version}</em><br>
+                ${currentDataset.fields.map(field => {
+                    const value = properties[field.name];
+                    const text = value == null ? '-' : (typeof value === 'number' ? formatNumber(value) : value);
+                    return `${escapeHtml(field.name)}: ${escapeHtml(text)}`;
+                }).join('<br>')}
+            </div>`;
+    }
+
+    return `
+        <div style="min-width: 200px;">
+            <strong>${escapeHtml(properties.name)}</strong><br>
+            <span style="font-size: 12px; color: #666; margin-top: 5px;">${escapeHtml(properties.id)}</span>
+            ${metrics}
+            ${values}
+        </div>`;
+}
+
+// Names, codes and messages from the server or uploaded files go into innerHTML and popups as text
+function escapeHtml(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value == null ? '' : value).replace(/[&<>"']/g, char => entities[char]);
+}
 
 function toggleSidebar() {
     const sidebar = document.getElementById('sidebar');
@@ -67,13 +182,85 @@ function toggleSidebar() {
     }, 300);
 }
 
-async function checkStatus() {
+// Logged-in user ({ id, name, role }) or null. Viewers only get the read features.
+let currentUser = null;
+let authProvider = 'local'; // 'supabase', 'local' or 'none' (DB_PROVIDER=FILE: read-only, no login)
+
+const isEditor = () => Boolean(currentUser) && currentUser.role === 'editor';
+
+async function loadCurrentUser() {
+    try {
+        const response = await fetch('/api/auth/me');
+        const data = await response.json();
+        currentUser = data.user || null;
+        authProvider = data.provider || 'local';
+    } catch (error) {
+        console.error(error);
+        currentUser = null;
+    }
+    renderAuth();
+}
+
+function renderAuth() {
+    document.getElementById('auth-user').innerHTML = currentUser
+        ? `Masuk sebagai <strong>${escapeHtml(currentUser.name)}</strong> (${escapeHtml(currentUser.role)})`
+        : (authProvider === 'none' ? 'Mode file tanpa database (lihat saja)' : 'Mode lihat saja');
+    document.getElementById('btn-login-toggle').style.display = currentUser || authProvider === 'none' ? 'none' : 'inline-flex';
+    document.getElementById('btn-logout').style.display = currentUser ? 'inline-flex' : 'none';
+    document.getElementById('login-username').placeholder = authProvider === 'supabase' ? 'Email' : 'Username';
+    if (currentUser) document.getElementById('login-form').style.display = 'none';
+    document.getElementById('upload-section').style.display = isEditor() ? 'flex' : 'none';
+
+    // Editor-only controls depend on the role
+    if (currentCode && document.getElementById('db-status').style.display !== 'none') checkStatus();
+}
+
+function toggleLoginForm() {
+    const form = document.getElementById('login-form');
+    form.style.display = form.style.display === 'none' ? 'flex' : 'none';
+    if (form.style.display === 'flex') document.getElementById('login-username').focus();
+}
+
+async function login(event) {
+    event.preventDefault();
+    const password = document.getElementById('login-password');
+
+    try {
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: document.getElementById('login-username').value.trim(), password: password.value })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || response.statusText);
+
+        password.value = '';
+        currentUser = data.user;
+        renderAuth();
+    } catch (error) {
+        alert('Gagal masuk: ' + error.message);
+    }
+}
+
+async function logout() {
+    try {
+        await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.error(error);
+    }
+    currentUser = null;
+    renderAuth();
+}
+
+// `fallbackToFiles`: load the files when the database is down (off when the caller loads the region itself)
+async function checkStatus(fallbackToFiles = true) {
     const code = document.getElementById('code').value.trim();
     if (!code) {
         alert('Masukkan kode wilayah!');
         return;
     }
     currentCode = code;
+    if (code !== linkState.code) updateLink({ code, source: null });
 
     document.getElementById('db-status').style.display = 'flex';
     const infoDiv = document.getElementById('db-info');
@@ -99,6 +286,19 @@ async function checkStatus() {
     btnSync.style.display = 'none';
     btnPreview.style.display = 'none';
     btnPreviewFile.style.display = 'none';
+    document.getElementById('tile-mode-option').style.display = 'none';
+    document.getElementById('choropleth-options').style.display = 'none';
+    document.getElementById('btn-download').style.display = 'none';
+    document.getElementById('export-options').style.display = 'none';
+    document.getElementById('btn-qa').style.display = 'none';
+    document.getElementById('qa-report').style.display = 'none';
+    qaLayer.clearLayers();
+    document.getElementById('btn-diff').style.display = 'none';
+    document.getElementById('diff-report').style.display = 'none';
+    diffLayer.clearLayers();
+    document.getElementById('sync-options').style.display = 'none';
+    document.getElementById('delete-options').style.display = 'none';
+    document.getElementById('validation-report').style.display = 'none';
     document.getElementById('sync-progress').style.display = 'none';
 
     try {
@@ -106,24 +306,49 @@ async function checkStatus() {
         const stats = await response.json();
 
         if (stats.error && stats.error === "Database not connected") {
-            infoDiv.innerHTML = `<span style="color:red">Database Error: ${stats.error}. Menggunakan mode file lokal.</span>`;
-            loadData(false);
+            infoDiv.innerHTML = `<span style="color:red">Database Error: ${escapeHtml(stats.error)}. Menggunakan mode file lokal.</span>`;
+            if (fallbackToFiles) loadData(false);
             return;
         }
 
+        // DB_PROVIDER=FILE: the "database" is the index over geojson/, without export, QA, tiles or writes
+        dataProvider = stats.provider || 'postgres';
+        const fileProvider = dataProvider === 'file';
+
         if (stats.available) {
             infoDiv.innerHTML = `
-                <strong>Data Tersedia di Database:</strong><br>
+                <strong>${fileProvider ? 'Data Tersedia di File GeoJSON:' : 'Data Tersedia di Database:'}</strong><br>
                 ${stats.provinsi ? `Provinsi: ${stats.provinsi}<br>` : ''}
                 Kabupaten: ${stats.kabupaten}<br>
                 Kecamatan: ${stats.kecamatan}<br>
                 Kelurahan: ${stats.kelurahan}
             `;
             btnPreview.style.display = 'inline-block';
+            if (fileProvider) {
+                statusDiv.textContent = 'Data ditemukan di file GeoJSON (tanpa database).';
+                return;
+            }
+            document.getElementById('tile-mode-option').style.display = 'flex';
+            await loadDatasets();
+            document.getElementById('btn-download').style.display = 'inline-block';
+            document.getElementById('export-options').style.display = 'flex';
+            document.getElementById('btn-qa').style.display = 'block';
+            if (isEditor()) document.getElementById('delete-options').style.display = 'flex';
+            if (stats.fileAvailable && isEditor()) {
+                // Re-sync from the files (e.g. after reviewing the diff)
+                document.getElementById('btn-diff').style.display = 'block';
+                btnSync.style.display = 'inline-block';
+                document.getElementById('sync-options').style.display = 'flex';
+            }
             statusDiv.textContent = 'Data ditemukan di database.';
         } else {
             infoDiv.textContent = 'Data belum ada di database.';
-            btnSync.style.display = 'inline-block';
+            if (isEditor()) {
+                btnSync.style.display = 'inline-block';
+                document.getElementById('sync-options').style.display = 'flex';
+            } else {
+                infoDiv.textContent += ' Masuk sebagai editor untuk sync.';
+            }
 
             if (stats.fileAvailable) {
                 btnPreviewFile.style.display = 'inline-block';
@@ -139,84 +364,833 @@ async function checkStatus() {
     }
 }
 
-async function syncData() {
-    const code = currentCode;
+let currentSyncJobId = null;
+
+// Start a sync job (or dry-run) and follow its progress. `url` is /api/db/sync or /api/uploads/:id/sync.
+// Resolves with the final job snapshot, or null if it could not be started/followed.
+async function runSyncJob(options, url = '/api/db/sync') {
     const btn = document.getElementById('btn-sync');
+    const btnValidate = document.getElementById('btn-validate');
     const progressDiv = document.getElementById('sync-progress');
     const progressBar = document.getElementById('progress-bar');
-
-    if (!confirm(`Yakin ingin sinkronisasi data untuk kode ${code}? Proses ini mungkin memakan waktu.`)) return;
+    const progressText = document.getElementById('sync-progress-text');
+    const btnCancel = document.getElementById('btn-cancel-sync');
 
     btn.disabled = true;
+    btnValidate.disabled = true;
+    btnCancel.disabled = false;
+    btnCancel.style.display = 'flex';
     progressDiv.style.display = 'block';
-    progressBar.style.width = '10%';
+    progressBar.style.width = '0%';
+    progressText.textContent = options.dryRun ? 'Memulai validasi...' : 'Memulai sync...';
+
+    const finish = () => {
+        currentSyncJobId = null;
+        btn.disabled = false;
+        btnValidate.disabled = false;
+        btnCancel.style.display = 'none';
+        setTimeout(() => {
+            if (currentSyncJobId) return; // Another job (e.g. the sync after a mirror preview) took over the bar
+            progressDiv.style.display = 'none';
+            progressBar.style.width = '0%';
+            progressText.textContent = '';
+        }, 2000);
+    };
 
     try {
-        const res = await fetch('/api/db/sync', {
+        const res = await fetch(url, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ code })
+            body: JSON.stringify({ code: currentCode, ...options })
         });
-
-        progressBar.style.width = '80%';
         const data = await res.json();
 
-        if (data.success) {
-            progressBar.style.width = '100%';
-            alert(`Sync berhasil! ${data.processed} area diproses.`);
-            checkStatus();
-        } else {
-            alert('Sync gagal: ' + (data.error || 'Unknown error'));
+        // 409 with jobId: a job for this code is already running, follow that job instead
+        if (!data.success && !data.jobId) {
+            alert('Gagal memulai: ' + (data.error || 'Unknown error'));
+            finish();
+            return null;
         }
+
+        currentSyncJobId = data.jobId;
+
+        return await new Promise((resolve) => {
+            const source = new EventSource(`/api/db/sync/${data.jobId}/events`);
+
+            source.onmessage = (event) => {
+                const job = JSON.parse(event.data);
+                renderSyncProgress(job);
+
+                if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+                    source.close();
+                    if (job.status === 'completed') progressBar.style.width = '100%';
+                    finish();
+                    resolve(job);
+                }
+            };
+
+            source.onerror = () => {
+                // Connection lost before the job finished
+                source.close();
+                progressText.textContent = 'Koneksi progress terputus. Cek kembali status database.';
+                finish();
+                resolve(null);
+            };
+        });
     } catch (e) {
         alert('Error: ' + e.message);
+        finish();
+        return null;
+    }
+}
+
+// "11.73.03.2001 Kuala, 11.73.03.2002 ..." for confirmations, at most `max` entries
+function formatRegionList(regions, max = 30) {
+    let text = regions.slice(0, max).map(r => `${r.kode} ${r.nama || ''}`).join('\n');
+    if (regions.length > max) text += `\n...dan ${regions.length - max} lainnya`;
+    return text;
+}
+
+async function syncData() {
+    const code = currentCode;
+    const repair = document.getElementById('sync-repair').checked;
+    const mirror = document.getElementById('sync-mirror').checked;
+
+    if (mirror) {
+        // Dry-run first so the user sees which regions the mirror sync will delete
+        const preview = await runSyncJob({ dryRun: true, mirror: true });
+        if (!preview || preview.status !== 'completed') {
+            alert('Gagal memeriksa wilayah yang akan dihapus.');
+            return;
+        }
+        if (preview.result.removedCheckError) {
+            alert('Gagal memeriksa wilayah yang akan dihapus: ' + preview.result.removedCheckError);
+            return;
+        }
+        const removed = preview.result.removed || [];
+        const question = removed.length > 0
+            ? `Sync mirror untuk kode ${code} akan MENGHAPUS ${removed.length} wilayah yang tidak ada di file:\n\n${formatRegionList(removed)}\n\nLanjutkan?`
+            : `Sync mirror untuk kode ${code}: tidak ada wilayah yang dihapus. Lanjutkan?`;
+        if (!confirm(question)) return;
+    } else if (!confirm(`Yakin ingin sinkronisasi data untuk kode ${code}? Proses ini mungkin memakan waktu.`)) {
+        return;
+    }
+
+    const job = await runSyncJob({ repair, mirror });
+    if (job) reportSyncResult(job);
+}
+
+function reportSyncResult(job) {
+    if (job.status === 'completed') {
+        const repairs = job.result.repairs || [];
+        let message = `Sync berhasil! ${job.result.processed} area diproses (${job.result.featuresPerSecond} fitur/detik).`;
+        message += `\nID sync (untuk rollback): ${job.id}`;
+        const removed = job.result.removed || [];
+        if (removed.length > 0) {
+            message += `\n\n${removed.length} wilayah dihapus (mirror):\n` + formatRegionList(removed, 20);
+        }
+        if (repairs.length > 0) {
+            message += `\n\n${repairs.length} geometri diperbaiki:\n` + repairs.map(r => `${r.kode}: ${r.reason}`).join('\n');
+        }
+        const orphans = job.result.orphans || [];
+        if (orphans.length > 0) {
+            message += `\n\n${orphans.length} wilayah tanpa induk di database:\n` + orphans.slice(0, 20).map(o => `${o.kode} (induk ${o.parent})`).join('\n');
+        }
+        alert(message);
+        checkStatus();
+    } else if (job.status === 'failed') {
+        const message = job.errors.map(e => `${e.file ? e.file + ': ' : ''}${e.message}`).join('\n');
+        alert('Sync gagal, semua perubahan dibatalkan: ' + (message || 'Unknown error'));
+    } else if (job.status === 'cancelled') {
+        alert('Sync dibatalkan. Tidak ada perubahan yang disimpan.');
+    }
+}
+
+// Dry-run: validate source files without writing anything
+async function validateData() {
+    const reportDiv = document.getElementById('validation-report');
+    reportDiv.style.display = 'none';
+
+    const mirror = document.getElementById('sync-mirror').checked;
+    const job = await runSyncJob({ dryRun: true, mirror });
+    if (job) reportValidationResult(job);
+}
+
+function reportValidationResult(job) {
+    if (job.status === 'failed') {
+        const message = job.errors.map(e => `${e.file ? e.file + ': ' : ''}${e.message}`).join('\n');
+        alert('Validasi gagal: ' + (message || 'Unknown error'));
+        return;
+    }
+    if (job.status !== 'completed') return;
+
+    renderValidationReport(job.result);
+}
+
+function renderValidationReport(result) {
+    const reportDiv = document.getElementById('validation-report');
+    const { summary, geometryCheck, features } = result;
+    const labels = {
+        property: 'Properti',
+        duplicate: 'Kode duplikat',
+        invalid_geometry: 'Geometri invalid',
+        empty_geometry: 'Geometri kosong'
+    };
+
+    let html = `<strong>Hasil Validasi:</strong> ${summary.features} fitur, ${summary.withProblems} bermasalah<br>`;
+    html += Object.keys(labels).map(type => `${labels[type]}: ${summary[type]}`).join('<br>');
+    const orphans = result.orphans || [];
+    html += `<br>Tanpa induk: ${orphans.length}`;
+    if (orphans.length > 0) {
+        html += `<br><small>${orphans.slice(0, 20).map(o => `${escapeHtml(o.kode)} (induk ${escapeHtml(o.parent)})`).join(', ')}</small>`;
+    }
+    if (result.orphanCheckError) {
+        html += `<br><span style="color:#b45309">Cek induk dilewati: ${escapeHtml(result.orphanCheckError)}</span>`;
+    }
+    if (result.removed) {
+        html += `<br>Akan dihapus (mirror): ${result.removed.length}`;
+        if (result.removed.length > 0) {
+            html += `<br><small>${result.removed.slice(0, 20).map(r => `${escapeHtml(r.kode)} ${escapeHtml(r.nama)}`).join(', ')}</small>`;
+        }
+    }
+    if (result.removedCheckError) {
+        html += `<br><span style="color:#b45309">Cek mirror dilewati: ${escapeHtml(result.removedCheckError)}</span>`;
+    }
+    if (!geometryCheck.checked) {
+        html += `<br><span style="color:#b45309">Cek geometri dilewati: ${escapeHtml(geometryCheck.error)}</span>`;
+    }
+    if (features.length > 0) {
+        html += '<ul>' + features.slice(0, 50).map(f => `
+            <li><strong>${escapeHtml(f.kode || '?')}</strong> ${escapeHtml(f.nama)} <small>(${escapeHtml(f.file)} #${f.index})</small><br>
+            ${f.problems.map(p => `${labels[p.type]}: ${escapeHtml(p.message)}`).join('<br>')}</li>`).join('') + '</ul>';
+        if (features.length > 50) html += `<small>...dan ${features.length - 50} fitur lainnya</small>`;
+    }
+
+    reportDiv.innerHTML = html;
+    reportDiv.style.display = 'block';
+}
+
+// Coverage QA: overlaps, gaps and child area outside the region, drawn on the map
+async function runCoverageQA() {
+    const code = document.getElementById('code').value.trim();
+    const reportDiv = document.getElementById('qa-report');
+    const statusDiv = document.getElementById('status');
+    const btnQa = document.getElementById('btn-qa');
+
+    reportDiv.style.display = 'none';
+    qaLayer.clearLayers();
+    btnQa.disabled = true;
+    statusDiv.textContent = 'Menghitung cakupan wilayah...';
+
+    try {
+        const response = await fetch(`/api/db/qa/coverage?code=${encodeURIComponent(code)}`);
+        const report = await response.json();
+        if (!response.ok) throw new Error(report.error || response.statusText);
+
+        renderCoverageReport(report);
+        statusDiv.textContent = 'Cek cakupan selesai.';
+    } catch (error) {
+        console.error(error);
+        statusDiv.textContent = 'Gagal cek cakupan: ' + error.message;
     } finally {
-        btn.disabled = false;
-        setTimeout(() => {
-            progressDiv.style.display = 'none';
-            progressBar.style.width = '0%';
-        }, 2000);
+        btnQa.disabled = false;
     }
 }
 
-async function loadDataFromDB() {
-    loadData(true);
+function renderCoverageReport(report) {
+    const reportDiv = document.getElementById('qa-report');
+    const { summary } = report;
+    const formatArea = (m2) => m2 >= 10000 ? `${(m2 / 10000).toFixed(2)} ha` : `${m2.toFixed(1)} m²`;
+
+    // Flatten findings so list items can point at their polygon
+    const findings = [
+        ...report.overlaps.map(f => ({ kind: 'overlap', label: `Tumpang tindih ${f.codes.join(' & ')}`, ...f })),
+        ...report.gaps.map(f => ({ kind: 'gap', label: `Celah di dalam ${report.id}`, ...f })),
+        ...report.outside.map(f => ({ kind: 'outside', label: `${f.code} keluar dari ${report.id}`, ...f }))
+    ];
+
+    const bounds = L.latLngBounds([]);
+    const findingLayers = findings.map(f => {
+        const layer = L.geoJSON(f.geometry, { style: QA_STYLES[f.kind] })
+            .bindPopup(`<strong>${escapeHtml(f.label)}</strong><br>${formatArea(f.areaM2)}`);
+        layer.addTo(qaLayer);
+        bounds.extend(layer.getBounds());
+        return layer;
+    });
+
+    let html = `<strong>Cek Cakupan ${escapeHtml(report.name || report.id)}:</strong> ${report.children} sub-wilayah<br>`;
+    html += `<span style="color:${QA_STYLES.overlap.color}">■</span> Tumpang tindih: ${summary.overlaps} (${formatArea(summary.overlapAreaM2)})<br>`;
+    html += `<span style="color:${QA_STYLES.gap.color}">■</span> Celah: ${summary.gaps} (${formatArea(summary.gapAreaM2)})<br>`;
+    html += `<span style="color:${QA_STYLES.outside.color}">■</span> Di luar induk: ${summary.outside} (${formatArea(summary.outsideAreaM2)})`;
+    if (findings.length > 0) {
+        html += '<ul>' + findings.slice(0, 50).map((f, i) =>
+            `<li><a href="#" data-finding="${i}">${escapeHtml(f.label)}</a> <small>${formatArea(f.areaM2)}</small></li>`).join('') + '</ul>';
+        if (findings.length > 50) html += `<small>...dan ${findings.length - 50} temuan lainnya (semua ditampilkan di peta)</small>`;
+    }
+
+    reportDiv.innerHTML = html;
+    reportDiv.style.display = 'block';
+
+    reportDiv.querySelectorAll('[data-finding]').forEach(link => {
+        link.onclick = (e) => {
+            e.preventDefault();
+            const layer = findingLayers[link.dataset.finding];
+            map.flyToBounds(layer.getBounds(), { duration: 1, maxZoom: 16 });
+            layer.openPopup();
+        };
+    });
+
+    if (bounds.isValid()) map.flyToBounds(bounds, { duration: 1.5 });
 }
 
-async function loadData(useDB = false) {
+// Staged upload ({ id, code, files: [{ name, level, features }] }) waiting to be promoted, synced or discarded
+let currentUpload = null;
+
+async function uploadFile(event) {
+    event.preventDefault();
+    const reportDiv = document.getElementById('upload-report');
+    const btnUpload = document.getElementById('btn-upload');
+    const file = document.getElementById('upload-file').files[0];
+    if (!file) return;
+
+    const form = new FormData();
+    form.append('file', file);
+    const level = document.getElementById('upload-level').value;
+    const code = document.getElementById('upload-code').value.trim();
+    if (level) form.append('level', level);
+    if (code) form.append('code', code);
+
+    reportDiv.style.display = 'none';
+    btnUpload.disabled = true;
+    try {
+        const response = await fetch('/api/uploads', { method: 'POST', body: form });
+        const data = await response.json();
+
+        if (!response.ok) {
+            let html = `<strong>Upload ditolak:</strong> ${escapeHtml(data.error)}`;
+            if (data.needs) {
+                html += '<br>Pilih ' + data.needs.map(need => need === 'level' ? 'Level' : 'Kode').join(' dan ') + ' di atas, lalu upload lagi.';
+            }
+            if (data.problems) {
+                html += '<ul>' + data.problems.slice(0, 50).map(p =>
+                    `<li><small>${escapeHtml(p.file)}${p.index !== null ? ` #${p.index}` : ''}</small> ${escapeHtml(p.message)}</li>`).join('') + '</ul>';
+                if (data.problemCount > 50) html += `<small>...dan ${data.problemCount - 50} masalah lainnya</small>`;
+            }
+            reportDiv.innerHTML = html;
+            reportDiv.style.display = 'block';
+            return;
+        }
+
+        currentUpload = data.upload;
+        document.getElementById('upload-form').reset();
+        renderStagedUpload();
+
+        // Show the database status of the upload's code (also holds the sync progress) and preview the files
+        document.getElementById('code').value = currentUpload.code;
+        await checkStatus();
+        previewUpload();
+    } catch (error) {
+        console.error(error);
+        alert('Gagal upload: ' + error.message);
+    } finally {
+        btnUpload.disabled = false;
+    }
+}
+
+function renderStagedUpload() {
+    const stagedDiv = document.getElementById('upload-staged');
+    if (!currentUpload) {
+        stagedDiv.style.display = 'none';
+        return;
+    }
+
+    const levels = { 1: 'Provinsi', 2: 'Kabupaten', 3: 'Kecamatan', 4: 'Kelurahan' };
+    document.getElementById('upload-staged-info').innerHTML = `
+        <strong>${escapeHtml(currentUpload.originalName)}</strong> (kode ${escapeHtml(currentUpload.code)})<br>
+        ${currentUpload.files.map(f => `${escapeHtml(f.name)} <small>(${levels[f.level]}, ${f.features} fitur)</small>`).join('<br>')}`;
+    stagedDiv.style.display = 'flex';
+}
+
+function previewUpload() {
+    if (!currentUpload) return;
+    document.getElementById('code').value = currentUpload.code;
+    loadData(false, `/api/uploads/${currentUpload.id}/geojson`);
+}
+
+async function validateUpload() {
+    if (!currentUpload) return;
+    document.getElementById('validation-report').style.display = 'none';
+    const job = await runSyncJob({ dryRun: true }, `/api/uploads/${currentUpload.id}/sync`);
+    if (job) reportValidationResult(job);
+}
+
+async function syncUpload() {
+    if (!currentUpload) return;
+    const repair = document.getElementById('sync-repair').checked;
+    if (!confirm(`Sync ${currentUpload.files.length} file upload ke database untuk kode ${currentUpload.code}?`)) return;
+
+    const job = await runSyncJob({ repair }, `/api/uploads/${currentUpload.id}/sync`);
+    if (job) reportSyncResult(job);
+}
+
+async function promoteUpload(overwrite = false) {
+    if (!currentUpload) return;
+
+    try {
+        const response = await fetch(`/api/uploads/${currentUpload.id}/promote`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ overwrite })
+        });
+        const data = await response.json();
+
+        if (response.status === 409 && data.conflicts) {
+            if (confirm(`File berikut sudah ada di folder sumber:\n${data.conflicts.join('\n')}\n\nTimpa?`)) promoteUpload(true);
+            return;
+        }
+        if (!response.ok) throw new Error(data.error || response.statusText);
+
+        alert(`File disimpan ke folder sumber:\n${data.promoted.join('\n')}`);
+        currentUpload = null;
+        renderStagedUpload();
+        document.getElementById('code').value = data.code;
+        checkStatus();
+    } catch (error) {
+        console.error(error);
+        alert('Gagal menyimpan file: ' + error.message);
+    }
+}
+
+async function discardUpload() {
+    if (!currentUpload || !confirm(`Buang upload ${currentUpload.originalName}?`)) return;
+
+    try {
+        await fetch(`/api/uploads/${currentUpload.id}/discard`, { method: 'POST' });
+    } catch (error) {
+        console.error(error);
+    }
+    currentUpload = null;
+    renderStagedUpload();
+    clearMapData();
+}
+
+// Delete the current region (optionally with all descendants) after confirming what will be removed
+async function deleteRegion() {
+    const code = currentCode;
+    const descendants = document.getElementById('delete-descendants').checked;
+    const statusDiv = document.getElementById('status');
+    const btnDelete = document.getElementById('btn-delete');
+
+    const request = (dryRun) => fetch('/api/db/delete', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code, descendants, dryRun })
+    }).then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || res.statusText);
+        return data;
+    });
+
+    btnDelete.disabled = true;
+    try {
+        const preview = await request(true);
+        let question = `Hapus ${preview.deleted.length} wilayah dari database?\n\n${formatRegionList(preview.deleted)}`;
+        if (preview.remainingDescendants > 0) {
+            question += `\n\n${preview.remainingDescendants} sub-wilayah tetap ada tanpa induk (centang "Termasuk semua turunan" untuk ikut menghapus).`;
+        }
+        if (!confirm(question)) return;
+
+        const result = await request(false);
+        alert(`${result.deleted.length} wilayah dihapus.\nID hapus (untuk rollback): ${result.deleteId}`);
+        statusDiv.textContent = `${result.deleted.length} wilayah dihapus.`;
+        clearMapData();
+        checkStatus();
+    } catch (error) {
+        console.error(error);
+        alert('Gagal menghapus: ' + error.message);
+    } finally {
+        btnDelete.disabled = false;
+    }
+}
+
+// Source diff: what a re-sync would add, remove, rename or reshape
+async function runSourceDiff() {
     const code = document.getElementById('code').value.trim();
+    const reportDiv = document.getElementById('diff-report');
     const statusDiv = document.getElementById('status');
+    const btnDiff = document.getElementById('btn-diff');
 
+    reportDiv.style.display = 'none';
+    diffLayer.clearLayers();
+    btnDiff.disabled = true;
+    statusDiv.textContent = 'Membandingkan file dengan database...';
+
+    try {
+        const response = await fetch(`/api/db/diff?code=${encodeURIComponent(code)}`);
+        const report = await response.json();
+        if (!response.ok) throw new Error(report.error || response.statusText);
+
+        renderDiffReport(report);
+        statusDiv.textContent = 'Perbandingan selesai.';
+    } catch (error) {
+        console.error(error);
+        statusDiv.textContent = 'Gagal membandingkan: ' + error.message;
+    } finally {
+        btnDiff.disabled = false;
+    }
+}
+
+function renderDiffReport(report) {
+    const reportDiv = document.getElementById('diff-report');
+    const { summary } = report;
+    const formatKm2 = (value) => value === null ? '-' : `${Number(value).toLocaleString('id-ID', { maximumFractionDigits: 3 })} km²`;
+    const formatDiff = (value) => `${value > 0 ? '+' : ''}${formatKm2(value)}`;
+    const list = (items, render) => {
+        if (items.length === 0) return '';
+        let html = '<ul>' + items.slice(0, 50).map(item => `<li>${render(item)}</li>`).join('') + '</ul>';
+        if (items.length > 50) html += `<small>...dan ${items.length - 50} lainnya</small>`;
+        return html;
+    };
+    const link = (kode, label) => `<a href="#" data-diff-code="${escapeHtml(kode)}">${escapeHtml(label)}</a>`;
+
+    let html = `<strong>Diff ${escapeHtml(report.code)}:</strong> ${summary.features} fitur di ${summary.files} file, ${summary.unchanged} tidak berubah<br>`;
+    html += `<strong>Baru: ${summary.added}</strong>`;
+    html += list(report.added, f => `${link(f.kode, `${f.kode} ${f.nama}`)} <small>${formatKm2(f.areaKm2)}</small>`);
+    html += `<br><strong>Dihapus: ${summary.removed}</strong>`;
+    html += list(report.removed, f => `${link(f.kode, `${f.kode} ${f.nama}`)} <small>${formatKm2(f.areaKm2)}</small>`);
+    html += `<br><strong>Ganti nama: ${summary.renamed}</strong>`;
+    html += list(report.renamed, f => `${link(f.kode, f.kode)}: ${escapeHtml(f.oldName)} → ${escapeHtml(f.newName)}`);
+    html += `<br><strong>Geometri berubah: ${summary.geometryChanged}</strong>`;
+    html += list(report.geometryChanged, f =>
+        `${link(f.kode, `${f.kode} ${f.nama}`)} <small>${formatKm2(f.oldAreaKm2)} → ${formatKm2(f.newAreaKm2)} (${formatDiff(f.areaDiffKm2)})</small>`);
+    if (summary.skipped > 0) html += `<br><span style="color:red">${summary.skipped} fitur dilewati (properti tidak lengkap)</span>`;
+    html += `<br><small><span style="color:${DIFF_STYLES.old.color}">- - -</span> database &nbsp; <span style="color:${DIFF_STYLES.new.color}">■</span> file</small>`;
+
+    reportDiv.innerHTML = html;
+    reportDiv.style.display = 'block';
+
+    reportDiv.querySelectorAll('[data-diff-code]').forEach(el => {
+        el.onclick = (e) => {
+            e.preventDefault();
+            showDiffGeometry(el.dataset.diffCode);
+        };
+    });
+}
+
+// Overlay the database (old) and source file (new) geometry of one region
+async function showDiffGeometry(code) {
+    const statusDiv = document.getElementById('status');
+    diffLayer.clearLayers();
+
+    try {
+        const response = await fetch(`/api/db/diff/geometry?code=${encodeURIComponent(code)}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || response.statusText);
+
+        const layer = L.geoJSON(data, {
+            style: (feature) => DIFF_STYLES[feature.properties.version],
+            onEachFeature: (feature, featureLayer) => {
+                const p = feature.properties;
+                featureLayer.bindPopup(`<strong>${escapeHtml(p.name)}</strong><br>${escapeHtml(p.id)}<br>${p.version === 'old' ? 'Database' : `File: ${escapeHtml(p.sourceFile)}`}`);
+            }
+        }).addTo(diffLayer);
+
+        map.flyToBounds(layer.getBounds(), { duration: 1, maxZoom: 16 });
+    } catch (error) {
+        console.error(error);
+        statusDiv.textContent = 'Gagal menampilkan geometri: ' + error.message;
+    }
+}
+
+// Update progress bar and text from a sync job snapshot
+function renderSyncProgress(job) {
+    const progressBar = document.getElementById('progress-bar');
+    const progressText = document.getElementById('sync-progress-text');
+
+    // Each file is read when its turn comes: whole files done, plus the share of the current one
+    const fileShare = job.fileFeaturesTotal ? job.fileFeaturesDone / job.fileFeaturesTotal : 0;
+    const percent = job.filesTotal ? Math.round(((job.filesDone + fileShare) / job.filesTotal) * 100) : 0;
+    progressBar.style.width = `${percent}%`;
+
+    let text = `File ${job.filesDone}/${job.filesTotal} · Fitur ${job.featuresDone} (${percent}%)`;
+    if (job.currentFile) text += `<br>${escapeHtml(job.currentFile)}${job.fileFeaturesTotal ? ` (${job.fileFeaturesDone}/${job.fileFeaturesTotal})` : ''}`;
+    if (job.cancelling) text += '<br>Membatalkan...';
+    progressText.innerHTML = text;
+}
+
+async function cancelSync() {
+    if (!currentSyncJobId) return;
+
+    const btnCancel = document.getElementById('btn-cancel-sync');
+    btnCancel.disabled = true;
+
+    try {
+        const res = await fetch(`/api/db/sync/${currentSyncJobId}/cancel`, { method: 'POST' });
+        const data = await res.json();
+        if (!data.success) alert('Gagal membatalkan: ' + (data.error || 'Unknown error'));
+    } catch (e) {
+        alert('Error: ' + e.message);
+        btnCancel.disabled = false;
+    }
+}
+
+// Download the current region from the database (streamed by /api/db/export)
+function downloadData() {
+    const code = document.getElementById('code').value.trim();
     if (!code) {
         alert('Masukkan kode wilayah!');
         return;
     }
 
-    statusDiv.textContent = 'Memuat data...';
+    const scope = document.getElementById('export-scope').value;
+    const params = new URLSearchParams({ code, format: document.getElementById('export-format').value });
+    if (scope === 'descendants') params.set('descendants', 'true');
+    else if (scope !== 'self') params.set('level', scope);
 
-    // Clear existing layers
+    window.location.href = `/api/db/export?${params}`;
+}
+
+async function loadDataFromDB() {
+    if (document.getElementById('tile-mode').checked) {
+        loadTiles();
+    } else {
+        loadData(true);
+    }
+}
+
+function clearMapData() {
     layers.provinsi.clearLayers();
     layers.kabupaten.clearLayers();
     layers.kecamatan.clearLayers();
     layers.kelurahan.clearLayers();
 
+    if (vectorTileLayer) {
+        map.removeLayer(vectorTileLayer);
+        vectorTileLayer = null;
+    }
+
+    childLayers = {};
+    selectedLayer = null;
+    currentDataset = null;
+    applyChoropleth();
+}
+
+// --- Datasets & Choropleth ---
+
+// Dataset choices for /api/db/geojson?dataset=: the latest version of each dataset, then the older ones
+async function loadDatasets() {
+    const select = document.getElementById('dataset');
+    try {
+        const response = await fetch('/api/db/datasets');
+        if (!response.ok) return;
+        const datasets = await response.json();
+
+        const selected = select.value;
+        select.innerHTML = '<option value="">Tanpa dataset</option>';
+        datasets.forEach(dataset => dataset.versions.forEach(version => {
+            const option = document.createElement('option');
+            option.value = version.version === dataset.latest ? dataset.name : `${dataset.name}@${version.version}`;
+            option.textContent = `${dataset.name} v${version.version}${version.version === dataset.latest ? ' (terbaru)' : ''}`;
+            option.title = version.description || '';
+            select.appendChild(option);
+        }));
+        if ([...select.options].some(option => option.value === selected)) select.value = selected;
+        document.getElementById('choropleth-options').style.display = datasets.length > 0 ? 'flex' : 'none';
+    } catch (error) {
+        console.error('Datasets error:', error);
+    }
+}
+
+// Numeric fields of the joined dataset; keeps the chosen field if the new version still has it
+function updateDatasetFields() {
+    const select = document.getElementById('dataset-field');
+    const selected = select.value;
+    const fields = currentDataset ? currentDataset.fields.filter(field => field.type === 'number') : [];
+
+    select.innerHTML = '';
+    fields.forEach(field => {
+        const option = document.createElement('option');
+        option.value = field.name;
+        option.textContent = field.name;
+        select.appendChild(option);
+    });
+    if (fields.some(field => field.name === selected)) select.value = selected;
+}
+
+// Upper bounds of the classes: equal intervals between min and max, or quantiles (about as many regions per class).
+// Fewer classes come back when values repeat.
+function classBreaks(values, count, method) {
+    if (values.length === 0) return [];
+    const sorted = [...values].sort((a, b) => a - b);
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+
+    const breaks = [];
+    for (let i = 1; i <= count; i++) {
+        breaks.push(method === 'equal'
+            ? min + (max - min) * i / count
+            : sorted[Math.ceil(sorted.length * i / count) - 1]);
+    }
+    breaks[count - 1] = max;
+    return [...new Set(breaks)];
+}
+
+// Color the `children` layers by the chosen dataset field, or put back their fixed style
+function applyChoropleth() {
+    const field = document.getElementById('dataset-field').value;
+    const method = document.getElementById('choropleth-method').value;
+    const count = parseInt(document.getElementById('choropleth-classes').value, 10);
+    const active = Boolean(currentDataset && field);
+
+    const values = [];
+    let missing = 0;
+    if (active) {
+        Object.values(childLayers).forEach(layer => layer.eachLayer(l => {
+            const value = l.feature.properties[field];
+            if (typeof value === 'number') values.push(value);
+            else missing++;
+        }));
+    }
+
+    const breaks = active ? classBreaks(values, count, method) : [];
+    const palette = CHOROPLETH_COLORS[Math.max(3, breaks.length)];
+    const colors = palette.slice(palette.length - breaks.length);
+
+    Object.entries(childLayers).forEach(([key, layer]) => {
+        // fillColor spelled out: setStyle() merges, so a choropleth color would otherwise stay
+        const base = { fillColor: LAYER_STYLES[key].children.color, ...LAYER_STYLES[key].children };
+        layer.setStyle(feature => {
+            if (breaks.length === 0) return base;
+            const value = feature.properties[field];
+            // No value: outline only, so a colored level underneath stays visible
+            if (typeof value !== 'number') return { ...base, fillOpacity: 0 };
+            const index = breaks.findIndex(upper => value <= upper);
+            return { ...base, fillColor: colors[index === -1 ? colors.length - 1 : index], fillOpacity: 0.7 };
+        });
+    });
+
+    updateLegend(active && breaks.length > 0 ? { field, breaks, colors, min: Math.min(...values), missing } : null);
+}
+
+function updateLegend(legend) {
+    if (choroplethLegend) {
+        map.removeControl(choroplethLegend);
+        choroplethLegend = null;
+    }
+    if (!legend) return;
+
+    const formatNumber = (value) => Number(value).toLocaleString('id-ID', { maximumFractionDigits: 2 });
+    choroplethLegend = L.control({ position: 'bottomleft' });
+    choroplethLegend.onAdd = () => {
+        const div = L.DomUtil.create('div', 'choropleth-legend');
+        const rows = legend.breaks.map((upper, i) => {
+            const lower = i === 0 ? legend.min : legend.breaks[i - 1];
+            return `<i style="background: ${legend.colors[i]}"></i>${formatNumber(lower)} – ${formatNumber(upper)}`;
+        });
+        if (legend.missing > 0) rows.push(`<i style="background: transparent"></i>Tidak ada data (${legend.missing})`);
+        div.innerHTML = `<strong>${escapeHtml(legend.field)}</strong><small>${escapeHtml(currentDataset.name)} v${currentDataset.version}</small><br>${rows.join('<br>')}`;
+        return div;
+    };
+    choroplethLegend.addTo(map);
+}
+
+document.getElementById('dataset').addEventListener('change', () => loadDataFromDB());
+['dataset-field', 'choropleth-method', 'choropleth-classes'].forEach(id => {
+    document.getElementById(id).addEventListener('change', applyChoropleth);
+});
+
+// Render from /tiles/{z}/{x}/{y}.mvt instead of downloading whole collections
+async function loadTiles() {
+    const code = document.getElementById('code').value.trim();
+    const statusDiv = document.getElementById('status');
+
+    if (!code) {
+        alert('Masukkan kode wilayah!');
+        return;
+    }
+
+    statusDiv.textContent = 'Memuat vector tiles...';
+    clearMapData();
+
+    try {
+        const response = await fetch(`/tiles/metadata.json?code=${encodeURIComponent(code)}`);
+
+        if (response.status === 404) {
+            statusDiv.textContent = 'Data tidak ditemukan.';
+            renderBreadcrumbs([]);
+            return;
+        }
+        if (!response.ok) throw new Error(`Error: ${response.statusText}`);
+
+        const meta = await response.json();
+
+        vectorTileLayer = L.vectorGrid.protobuf(`/tiles/{z}/{x}/{y}.mvt?code=${encodeURIComponent(code)}`, {
+            rendererFactory: L.canvas.tile,
+            vectorTileLayerStyles: TILE_STYLES,
+            interactive: true,
+            maxNativeZoom: meta.maxzoom,
+            getFeatureId: (feature) => feature.properties.id
+        });
+
+        vectorTileLayer.on('click', (e) => {
+            L.popup().setLatLng(e.latlng).setContent(featurePopup(e.layer.properties)).openOn(map);
+        });
+        vectorTileLayer.addTo(map);
+
+        // Update Layer Control
+        if (layerControl) map.removeControl(layerControl);
+        layerControl = L.control.layers(baseLayers, { "Vector Tiles": vectorTileLayer }, { collapsed: false }).addTo(map);
+
+        const [west, south, east, north] = meta.bounds;
+        map.flyToBounds([[south, west], [north, east]], { duration: 1.5 });
+        updateLink({ code, source: 'tiles' });
+        updateBreadcrumbs(code, 'tiles');
+        statusDiv.textContent = 'Data dimuat dari Database (Vector Tiles).';
+    } catch (error) {
+        console.error(error);
+        statusDiv.textContent = 'Gagal memuat data: ' + error.message;
+        renderBreadcrumbs([]);
+    }
+}
+
+// `previewUrl` loads a staged upload (same response shape as /api/geojson) instead of the code's files
+async function loadData(useDB = false, previewUrl = null) {
+    const code = document.getElementById('code').value.trim();
+    const statusDiv = document.getElementById('status');
+
+    if (!code) {
+        alert('Masukkan kode wilayah!');
+        return;
+    }
+
+    statusDiv.textContent = 'Memuat data...';
+
+    // Clear existing layers
+    clearMapData();
+
     // Reset Map Layers
     if (!map.hasLayer(layers.provinsi)) map.addLayer(layers.provinsi);
     if (!map.hasLayer(layers.kabupaten)) map.addLayer(layers.kabupaten);
     if (!map.hasLayer(layers.kecamatan)) map.addLayer(layers.kecamatan);
     if (!map.hasLayer(layers.kelurahan)) map.addLayer(layers.kelurahan);
 
+    const datasetRef = useDB && !previewUrl && dataProvider !== 'file' ? document.getElementById('dataset').value : '';
+
     try {
-        const url = useDB ? `/api/db/geojson?code=${code}` : `/api/geojson?code=${code}`;
+        const url = previewUrl || (useDB
+            ? `/api/db/geojson?code=${code}${datasetRef ? `&dataset=${encodeURIComponent(datasetRef)}` : ''}`
+            : `/api/geojson?code=${code}`);
         const response = await fetch(url);
 
         if (response.status === 404) {
             statusDiv.textContent = 'Data tidak ditemukan.';
+            renderBreadcrumbs([]);
             return;
         }
         if (!response.ok) throw new Error(`Error: ${response.statusText}`);
 
         const data = await response.json();
+        currentDataset = data.dataset || null; // Before rendering, the popups list its fields
         let bounds = L.latLngBounds([]);
         let hasData = false;
 
@@ -227,12 +1201,8 @@ async function loadData(useDB = false) {
                 style: style,
                 onEachFeature: (feature, l) => {
                     if (feature.properties) {
-                        l.bindPopup(`
-                            <div style="min-width: 200px;">
-                                <strong>${feature.properties.name || ''}</strong><br>
-                                <span style="font-size: 12px; color: #666; margin-top: 5px;">${feature.properties.id || ''}</span>
-                            </div>`);
-                        l.bindTooltip(feature.properties.name || '', { permanent: false, direction: "center" });
+                        l.bindPopup(featurePopup(feature.properties));
+                        l.bindTooltip(escapeHtml(feature.properties.name), { permanent: false, direction: "center" });
                     }
                     if (onFeature) onFeature(feature, l);
                 }
@@ -242,6 +1212,7 @@ async function loadData(useDB = false) {
                 bounds.extend(layer.getBounds());
                 hasData = true;
             } catch (e) { }
+            return layer;
         };
 
         const formatSize = (bytes) => {
@@ -255,75 +1226,28 @@ async function loadData(useDB = false) {
 
         // Render Layers
         const newOverlayLayers = {};
-        const codeLen = code.replace(/\./g, '').length; // Clean length check if code has dots
 
         // Logic: Show target level and children. Hide parents.
-        // Lengths: Prov=2, Kab=5(or 4 if raw), Kec=8, Kel=13 (approx)
         // Standard code length with dots: 2 (11), 5 (11.01), 8 (11.01.01), 13 (11.01.01.2001)
+        let shown = {};
+        if (code.length <= 2) shown = { provinsi: 'selected', kabupaten: 'children' };
+        else if (code.length === 5) shown = { kabupaten: 'selected', kecamatan: 'children', kelurahan: 'children' };
+        else if (code.length === 8) shown = { kecamatan: 'selected', kelurahan: 'children' };
+        else if (code.length > 8) shown = { kelurahan: 'selected' };
 
-        // 1. PROVINSI (Length <= 2) -> Show Prov + Kab
-        if (code.length <= 2) {
-            if (data.provinsi && data.provinsi.data) {
-                addDataToLayer(data.provinsi.data, layers.provinsi, {
-                    color: '#000000', weight: 5, opacity: 1, fillOpacity: 0
-                });
-                newOverlayLayers[`Provinsi${data.provinsi.size ? ', ' + formatSize(data.provinsi.size) : ''}`] = layers.provinsi;
-            }
-            if (data.kabupaten && data.kabupaten.data) {
-                addDataToLayer(data.kabupaten.data, layers.kabupaten, {
-                    color: '#ff0000', weight: 2, opacity: 1, fillOpacity: 0.1
-                });
-                newOverlayLayers[`Kabupaten${data.kabupaten.size ? ', ' + formatSize(data.kabupaten.size) : ''}`] = layers.kabupaten;
-            }
-        }
-
-        // 2. KABUPATEN (Length 5) -> Show Kab + Kec + Kel. Hide Prov.
-        else if (code.length === 5) {
-            if (data.kabupaten && data.kabupaten.data) {
-                addDataToLayer(data.kabupaten.data, layers.kabupaten, {
-                    color: '#ff0000', weight: 3, opacity: 1, fillOpacity: 0
-                });
-                newOverlayLayers[`Kabupaten${data.kabupaten.size ? ', ' + formatSize(data.kabupaten.size) : ''}`] = layers.kabupaten;
-            }
-            if (data.kecamatan && data.kecamatan.data) {
-                addDataToLayer(data.kecamatan.data, layers.kecamatan, {
-                    color: '#0000ff', weight: 1, opacity: 1, fillOpacity: 0.1
-                });
-                newOverlayLayers[`Kecamatan${data.kecamatan.size ? ', ' + formatSize(data.kecamatan.size) : ''}`] = layers.kecamatan;
-            }
-            if (data.kelurahan && data.kelurahan.data) {
-                addDataToLayer(data.kelurahan.data, layers.kelurahan, {
-                    color: '#388e3c', weight: 1, opacity: 1, fillColor: '#388e3c', fillOpacity: 0.2
-                });
-                newOverlayLayers[`Kelurahan${data.kelurahan.size ? ', ' + formatSize(data.kelurahan.size) : ''}`] = layers.kelurahan;
-            }
-        }
-
-        // 3. KECAMATAN (Length 8) -> Show Kec + Kel. Hide Kab, Prov.
-        else if (code.length === 8) {
-            if (data.kecamatan && data.kecamatan.data) {
-                addDataToLayer(data.kecamatan.data, layers.kecamatan, {
-                    color: '#0000ff', weight: 3, opacity: 1, fillOpacity: 0
-                });
-                newOverlayLayers[`Kecamatan${data.kecamatan.size ? ', ' + formatSize(data.kecamatan.size) : ''}`] = layers.kecamatan;
-            }
-            if (data.kelurahan && data.kelurahan.data) {
-                addDataToLayer(data.kelurahan.data, layers.kelurahan, {
-                    color: '#388e3c', weight: 1, opacity: 1, fillColor: '#388e3c', fillOpacity: 0.2
-                });
-                newOverlayLayers[`Kelurahan${data.kelurahan.size ? ', ' + formatSize(data.kelurahan.size) : ''}`] = layers.kelurahan;
-            }
-        }
+        // Child regions open on click, except in a staged upload (not in the database or geojson/ yet)
+        const drillDown = previewUrl ? null : (feature, l) => enableDrillDown(feature, l, code, useDB ? 'db' : 'file');
 
-        // 4. KELURAHAN (Length > 8) -> Show Kel only. Hide Kec, Kab, Prov.
-        else if (code.length > 8) {
-            if (data.kelurahan && data.kelurahan.data) {
-                addDataToLayer(data.kelurahan.data, layers.kelurahan, {
-                    color: '#388e3c', weight: 2, opacity: 1, fillColor: '#388e3c', fillOpacity: 0.4
-                });
-                newOverlayLayers[`Kelurahan${data.kelurahan.size ? ', ' + formatSize(data.kelurahan.size) : ''}`] = layers.kelurahan;
-            }
-        }
+        Object.entries(shown).forEach(([key, role]) => {
+            if (!data[key] || !data[key].data) return;
+            const layer = addDataToLayer(data[key].data, layers[key], LAYER_STYLES[key][role], role === 'children' ? drillDown : null);
+            if (role === 'children') childLayers[key] = layer;
+            if (role === 'selected') selectedLayer = layer;
+            const label = key.charAt(0).toUpperCase() + key.slice(1);
+            newOverlayLayers[`${label}${data[key].size ? ', ' + formatSize(data[key].size) : ''}`] = layers[key];
+        });
+        updateDatasetFields();
+        applyChoropleth();
 
         // Fallback: If no strict match logic hit, try to render whatever is available (shouldn't happen with valid codes)
         // But to be safe, if newOverlayLayers is empty, we might want to check data existence.
@@ -336,58 +1260,176 @@ async function loadData(useDB = false) {
         // Fit Bounds
         if (hasData && bounds.isValid()) {
             map.flyToBounds(bounds, { duration: 1.5 });
-            const sourceInfo = useDB ? "Database (PostGIS)" : "File Lokal (GeoJSON)";
+            updateLink({ code, source: previewUrl ? null : (useDB ? 'db' : 'file') });
+            if (previewUrl) {
+                renderBreadcrumbs([]);
+            } else {
+                const names = {};
+                if (selectedLayer) selectedLayer.eachLayer(l => { names[l.feature.properties.id] = l.feature.properties.name; });
+                updateBreadcrumbs(code, useDB ? 'db' : 'file', names);
+            }
+            const sourceInfo = previewUrl ? "File Upload (belum disimpan)" : (useDB ? (dataProvider === 'file' ? "Indeks File (tanpa database)" : "Database (PostGIS)") : "File Lokal (GeoJSON)");
             statusDiv.textContent = `Data dimuat dari ${sourceInfo}.`;
         } else {
             statusDiv.textContent = 'Tidak ada data valid.';
+            renderBreadcrumbs([]);
         }
 
     } catch (error) {
         console.error(error);
         statusDiv.textContent = 'Gagal memuat data: ' + error.message;
+        renderBreadcrumbs([]);
+    }
+}
+
+// --- Drill-down & Breadcrumbs ---
+
+// A click on a child region of `parentCode` opens it; the popup moves to the right mouse button. Always one level
+// down: in a kabupaten the kelurahan are drawn over the kecamatan, so a click there opens the kecamatan around it.
+function enableDrillDown(feature, l, parentCode, source) {
+    const code = childCodeOf(feature.properties && feature.properties.id, parentCode);
+    if (!code) return;
+
+    l.unbindPopup();
+    l.on('contextmenu', (e) => {
+        L.popup().setLatLng(e.latlng).setContent(featurePopup(feature.properties)).openOn(map);
+    });
+    l.on('click', () => openRegion(code, source));
+}
+
+// Drawn feature of a region, if the current view has it
+function findRegionLayer(code) {
+    let found = null;
+    Object.values(layers).forEach(group => group.eachLayer(geoJson => geoJson.eachLayer(l => {
+        if (!found && l.feature && l.feature.properties && l.feature.properties.id === code) found = l;
+    })));
+    return found;
+}
+
+// Load another region from `source` (db, file or tiles), as if its code was typed and loaded. The outline of the
+// current region and of the one being opened stay on the map until the new data is drawn.
+async function openRegion(code, source) {
+    contextLayer.clearLayers();
+    if (selectedLayer) L.geoJSON(selectedLayer.toGeoJSON(), { style: CONTEXT_STYLES.from, interactive: false }).addTo(contextLayer);
+    const target = findRegionLayer(code);
+    if (target) L.geoJSON(target.feature, { style: CONTEXT_STYLES.to, interactive: false }).addTo(contextLayer);
+
+    document.getElementById('code').value = code;
+    try {
+        await checkStatus(false);
+        if (source === 'tiles') await loadTiles();
+        else await loadData(source === 'db');
+    } finally {
+        contextLayer.clearLayers();
     }
 }
 
+// Breadcrumb bar of the loaded region. Names come from the hierarchy (database or file index), else from `names`
+// (features of the loaded data), else the code stands in.
+async function updateBreadcrumbs(code, source, names = {}) {
+    try {
+        const response = await fetch(`/api/db/ancestors?code=${encodeURIComponent(code)}`);
+        if (response.ok) {
+            const node = await response.json();
+            [node, ...node.items].forEach(region => { names[region.id] = region.name; });
+        }
+    } catch (error) {
+        console.error('Breadcrumbs error:', error);
+    }
+    if (code !== linkState.code) return; // Another region was loaded meanwhile
+
+    renderBreadcrumbs(codeTrail(code).map(id => ({ id, name: names[id] || id })), source);
+}
+
+// Aceh › Kota Lhokseumawe › Banda Sakti: every crumb but the last opens that region from `source`
+function renderBreadcrumbs(trail, source) {
+    const bar = document.getElementById('breadcrumbs');
+    bar.innerHTML = '';
+    trail.forEach((crumb, i) => {
+        if (i > 0) {
+            const separator = document.createElement('span');
+            separator.className = 'breadcrumb-separator';
+            separator.textContent = '›';
+            bar.appendChild(separator);
+        }
+
+        const current = i === trail.length - 1;
+        const item = document.createElement(current ? 'span' : 'button');
+        item.className = current ? 'breadcrumb current' : 'breadcrumb';
+        item.textContent = crumb.name;
+        item.title = crumb.id;
+        if (!current) item.onclick = () => openRegion(crumb.id, source);
+        bar.appendChild(item);
+    });
+    bar.style.display = trail.length > 0 ? 'flex' : 'none';
+}
+
 // --- Search Logic ---
 const searchInput = document.getElementById('search');
 const suggestionsBox = document.getElementById('suggestions');
+const searchLevel = document.getElementById('search-level');
+const searchInCode = document.getElementById('search-in-code');
+const SEARCH_PAGE_SIZE = 10;
+const LEVEL_TYPES = { 1: 'Provinsi', 2: 'Kabupaten/Kota', 3: 'Kecamatan', 4: 'Kelurahan/Desa' };
+const ALIAS_TYPES = { official: 'resmi', historical: 'nama lama', local_spelling: 'ejaan lokal', abbreviation: 'singkatan' };
 let debounceTimer;
 
-if (searchInput) {
-    searchInput.addEventListener('input', (e) => {
-        const query = e.target.value.trim();
-        clearTimeout(debounceTimer);
+// Same minimum as the server (MIN_QUERY_LENGTH); the shortest code ("11") has 2 characters too
+const isSearchQuery = (query) => query.length >= 2;
 
-        if (query.length < 3) {
-            suggestionsBox.style.display = 'none';
-            return;
-        }
+function runSearch() {
+    const query = searchInput ? searchInput.value.trim() : '';
+    clearTimeout(debounceTimer);
 
-        debounceTimer = setTimeout(() => {
-            fetchSuggestions(query);
-        }, 300);
-    });
+    if (!isSearchQuery(query)) {
+        suggestionsBox.style.display = 'none';
+        return;
+    }
+
+    debounceTimer = setTimeout(() => {
+        fetchSuggestions(query);
+    }, 300);
+}
+
+if (searchInput) {
+    searchInput.addEventListener('input', runSearch);
 }
+if (searchLevel) searchLevel.addEventListener('change', runSearch);
+if (searchInCode) searchInCode.addEventListener('change', runSearch);
+
+async function fetchSuggestions(query, offset = 0) {
+    const params = new URLSearchParams({ q: query, limit: SEARCH_PAGE_SIZE, offset });
+    if (searchLevel && searchLevel.value) params.set('level', searchLevel.value);
+    const codeInput = document.getElementById('code');
+    if (searchInCode && searchInCode.checked && codeInput && codeInput.value.trim()) {
+        params.set('parent', codeInput.value.trim());
+    }
 
-async function fetchSuggestions(query) {
     try {
-        const response = await fetch(`/api/search?q=${encodeURIComponent(query)}`);
-        const results = await response.json();
-        showSuggestions(results);
+        const response = await fetch(`/api/search?${params}`);
+        const page = await response.json();
+        if (!response.ok) throw new Error(page.error || response.statusText);
+        // Ignore answers for a query that has been changed meanwhile
+        if (searchInput && searchInput.value.trim() !== query) return;
+        showSuggestions(page, query);
     } catch (error) {
         console.error('Search error:', error);
     }
 }
 
-function showSuggestions(results) {
+function showSuggestions(page, query) {
     if (!suggestionsBox) return;
-    suggestionsBox.innerHTML = '';
-    if (results.length === 0) {
+    // Further pages are appended below the current ones
+    if (page.offset === 0) suggestionsBox.innerHTML = '';
+    const moreButton = suggestionsBox.querySelector('.suggestion-more');
+    if (moreButton) moreButton.remove();
+
+    if (page.offset === 0 && page.items.length === 0) {
         suggestionsBox.style.display = 'none';
         return;
     }
 
-    results.forEach(item => {
+    page.items.forEach(item => {
         const div = document.createElement('div');
         div.style.padding = '8px';
         div.style.cursor = 'pointer';
@@ -395,13 +1437,16 @@ function showSuggestions(results) {
         div.onmouseover = () => div.style.backgroundColor = '#f0f0f0';
         div.onmouseout = () => div.style.backgroundColor = 'white';
 
-        let type = '';
-        if (item.level === 1) type = 'Provinsi';
-        if (item.level === 2) type = 'Kabupaten/Kota';
-        if (item.level === 3) type = 'Kecamatan';
-        if (item.level === 4) type = 'Kelurahan/Desa';
+        const type = LEVEL_TYPES[item.level] || '';
+        // Kecamatan Kuala — Banda Sakti, Kota Lhokseumawe, Aceh
+        const path = item.parents.map(parent => parent.name).join(', ');
+        const match = item.match === 'fuzzy' ? ' · mirip' : '';
+        // Found by an alias: show which one, e.g. "Kab. Aceh Besar" for Aceh Besar
+        const alias = item.alias ? `<small class="suggestion-path">alias: ${escapeHtml(item.alias.name)} (${escapeHtml(ALIAS_TYPES[item.alias.type] || item.alias.type)})</small>` : '';
 
-        div.innerHTML = `<strong>${item.name}</strong> <small style="color: #666">(${type})</small>`;
+        div.innerHTML = `<strong>${escapeHtml(item.name)}</strong> <small style="color: #666">(${type}, ${escapeHtml(item.id)}${match})</small>`
+            + alias + (path ? `<small class="suggestion-path">${escapeHtml(path)}</small>` : '');
+        div.title = item.label;
 
         div.onclick = async () => {
             const codeInput = document.getElementById('code');
@@ -420,6 +1465,16 @@ function showSuggestions(results) {
         suggestionsBox.appendChild(div);
     });
 
+    if (page.hasMore) {
+        const more = document.createElement('div');
+        more.className = 'suggestion-more';
+        more.style.padding = '8px';
+        more.style.cursor = 'pointer';
+        more.textContent = 'Muat lebih banyak...';
+        more.onclick = () => fetchSuggestions(query, page.offset + page.limit);
+        suggestionsBox.appendChild(more);
+    }
+
     suggestionsBox.style.display = 'block';
 }
 
@@ -428,3 +1483,86 @@ document.addEventListener('click', (e) => {
         suggestionsBox.style.display = 'none';
     }
 });
+
+// --- Deep Links ---
+// ?code=11.73.03.2001&source=db&dataset=penduduk&levels=kecamatan,kelurahan&base=osm&view=5.17,97.14,14
+// source: db, file or tiles. A new region adds a history entry, so back/forward steps through the regions
+// visited; panning, zooming and switching layers or basemap only update the current entry.
+
+const BASEMAP_KEYS = { satellite: 'Google Satellite', streets: 'Google Streets', hybrid: 'Google Hybrid', osm: 'OpenStreetMap' };
+
+let linkState = { code: '', source: null }; // Region in the URL and where the map got it from (null: not loaded, or a staged upload)
+let restoringLink = false; // The URL is being applied, don't write it back halfway
+
+function updateLink(state = {}) {
+    linkState = { ...linkState, ...state };
+    if (restoringLink) return;
+
+    const center = map.getCenter();
+    const dataset = document.getElementById('dataset').value;
+    const params = {
+        code: linkState.code,
+        source: linkState.source,
+        dataset: linkState.source === 'db' ? dataset : '',
+        // Vector tiles have a single layer
+        levels: linkState.source && linkState.source !== 'tiles'
+            ? Object.keys(layers).filter(key => map.hasLayer(layers[key])).join(',')
+            : '',
+        base: Object.keys(BASEMAP_KEYS).find(key => map.hasLayer(baseLayers[BASEMAP_KEYS[key]])),
+        view: `${center.lat.toFixed(5)},${center.lng.toFixed(5)},${map.getZoom()}`
+    };
+    const url = `${window.location.pathname}?${linkQuery(params)}`;
+    if (url === `${window.location.pathname}${window.location.search}`) return;
+
+    const urlCode = new URLSearchParams(window.location.search).get('code') || '';
+    if (linkState.code && linkState.code !== urlCode) window.history.pushState(null, '', url);
+    else window.history.replaceState(null, '', url);
+}
+
+// Apply the URL: basemap, region (status + data from the given source), visible levels, then the view
+async function restoreLink() {
+    const params = new URLSearchParams(window.location.search);
+    restoringLink = true;
+    try {
+        const base = baseLayers[BASEMAP_KEYS[params.get('base')]];
+        if (base && !map.hasLayer(base)) {
+            Object.values(baseLayers).forEach(layer => map.removeLayer(layer));
+            base.addTo(map);
+        }
+
+        const code = params.get('code');
+        const source = params.get('source');
+        if (code) {
+            document.getElementById('code').value = code;
+            await checkStatus();
+
+            const dataset = document.getElementById('dataset');
+            const datasetRef = params.get('dataset') || '';
+            if ([...dataset.options].some(option => option.value === datasetRef)) dataset.value = datasetRef;
+
+            document.getElementById('tile-mode').checked = source === 'tiles';
+            if (source === 'tiles') await loadTiles();
+            else if (source === 'db') await loadData(true);
+            else if (source === 'file') await loadData(false);
+
+            if (params.has('levels') && (source === 'db' || source === 'file')) {
+                const visible = params.get('levels').split(',');
+                Object.entries(layers).forEach(([key, group]) => {
+                    if (visible.includes(key)) map.addLayer(group);
+                    else map.removeLayer(group);
+                });
+            }
+        }
+
+        // Stops the fly-to of the data load
+        const view = parseView(params.get('view'));
+        if (view) map.setView([view.lat, view.lng], view.zoom, { animate: false });
+    } finally {
+        restoringLink = false;
+    }
+}
+
+map.on('moveend baselayerchange overlayadd overlayremove', () => updateLink());
+window.addEventListener('popstate', () => restoreLink());
+
+loadCurrentUser().then(restoreLink);
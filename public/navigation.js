@@ -0,0 +1,31 @@
+// URL state and region codes of the map, without Leaflet or the DOM: loaded before app.js, and required by the tests under Node.
+
+// ?code=11.73.03.2001&source=db&dataset=penduduk&levels=kecamatan,kelurahan&base=osm&view=5.17,97.14,14
+// Empty values are left out; commas stay readable.
+function linkQuery(params) {
+    return Object.entries(params)
+        .filter(([, value]) => value)
+        .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%2C/g, ',')}`)
+        .join('&');
+}
+
+// "5.17,97.14,14" -> { lat, lng, zoom }, or null if it isn't three numbers
+function parseView(value) {
+    const view = String(value || '').split(',').map(part => (part.trim() === '' ? NaN : Number(part)));
+    if (view.length !== 3 || !view.every(Number.isFinite)) return null;
+    return { lat: view[0], lng: view[1], zoom: view[2] };
+}
+
+// The region and its ancestors, top first: "11.73.02" -> ["11", "11.73", "11.73.02"]
+function codeTrail(code) {
+    return code.split('.').map((_, i, parts) => parts.slice(0, i + 1).join('.'));
+}
+
+// The child of `parentCode` that contains region `id`: "11.73.02.2001" under "11.73" -> "11.73.02".
+// null if `id` isn't below `parentCode`.
+function childCodeOf(id, parentCode) {
+    if (!id || !id.startsWith(`${parentCode}.`)) return null;
+    return codeTrail(id)[codeTrail(parentCode).length];
+}
+
+if (typeof module !== 'undefined') module.exports = { linkQuery, parseView, codeTrail, childCodeOf };
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+// Sync throughput of the batched loader against per-feature upserts, on the source files of one code.
+// Writes the code's regions (and their history) like a sync does: run it against a development database.
+//
+//   node scripts/benchmark-sync.js [code] [--batch-size 100] [--runs 3]   (default code: 11.07, Pidie)
+//
+// Modes, all through lib/loader.js with the same upsert SQL:
+//   per-feature   one upsert and one transaction per feature, the load pattern before the batched loader
+//   single-row    one upsert per feature inside one transaction (batching off, transaction on)
+//   batched       --batch-size features per upsert inside one transaction (what a sync does)
+process.env.DOTENV_CONFIG_QUIET = process.env.DOTENV_CONFIG_QUIET || 'true';
+
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const pool = require('../lib/postgres');
+const { listSources } = require('../lib/sources');
+const { transformProperties } = require('../lib/mapping');
+const { createBulkLoader, DEFAULT_BATCH_SIZE } = require('../lib/loader');
+
+const { values: flags, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        'batch-size': { type: 'string' },
+        runs: { type: 'string' }
+    }
+});
+const code = positionals[0] || '11.07';
+const batchSize = parseInt(flags['batch-size'], 10) || DEFAULT_BATCH_SIZE;
+const runs = parseInt(flags.runs, 10) || 3;
+
+// Parsed once up front, so only the database work is timed
+function readFeatures() {
+    const features = [];
+    for (const file of listSources(code)) {
+        file.read().features.forEach(feature => {
+            const { kode, nama } = transformProperties(feature, file.level);
+            features.push({ kode, nama, level: file.level, geometry: feature.geometry, file: file.name });
+        });
+    }
+    return features;
+}
+
+const MODES = {
+    'per-feature': async (features) => {
+        const runId = crypto.randomUUID();
+        for (const f of features) {
+            const loader = await createBulkLoader({ batchSize: 1, runId });
+            await loader.add(f.kode, f.nama, f.level, f.geometry, f.file);
+            await loader.commit();
+        }
+    },
+    'single-row': async (features) => {
+        const loader = await createBulkLoader({ batchSize: 1 });
+        for (const f of features) await loader.add(f.kode, f.nama, f.level, f.geometry, f.file);
+        await loader.commit();
+    },
+    batched: async (features) => {
+        const loader = await createBulkLoader({ batchSize });
+        for (const f of features) await loader.add(f.kode, f.nama, f.level, f.geometry, f.file);
+        await loader.commit();
+    }
+};
+
+async function main() {
+    const features = readFeatures();
+    if (features.length === 0) throw new Error(`No source files found for ${code}`);
+    console.log(`Code ${code}: ${features.length} features, batch size ${batchSize}, best of ${runs} runs`);
+
+    const results = {};
+    for (const [mode, load] of Object.entries(MODES)) {
+        let best = Infinity;
+        for (let run = 0; run < runs; run++) {
+            const startedAt = process.hrtime.bigint();
+            await load(features);
+            best = Math.min(best, Number(process.hrtime.bigint() - startedAt) / 1e6);
+        }
+        results[mode] = best;
+    }
+
+    const baseline = results['per-feature'];
+    console.log(`${'mode'.padEnd(12)} ${'seconds'.padStart(8)} ${'features/s'.padStart(11)} ${'speedup'.padStart(8)}`);
+    Object.entries(results).forEach(([mode, ms]) => {
+        const perSecond = Math.round(features.length / (ms / 1000));
+        console.log(`${mode.padEnd(12)} ${(ms / 1000).toFixed(2).padStart(8)} ${String(perSecond).padStart(11)} ${`${(baseline / ms).toFixed(1)}x`.padStart(8)}`);
+    });
+}
+
+main()
+    .catch(err => {
+        console.error('Benchmark failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -1,10 +1,33 @@
 const express = require('express');
 const cors = require('cors');
 const fs = require('fs');
-const path = require('path');
 const cookieParser = require('cookie-parser');
-const pool = require('./lib/postgres'); // Use the new library
-const { supabaseAdmin } = require('./lib/supabase'); // Import Supabase Admin
+const { GEOJSON_DIR, LEVEL_KEYS, parseLevel, listSources } = require('./lib/sources'); // Loose files + ZIP archives
+const { transformProperties } = require('./lib/mapping'); // Configurable code rules + overrides
+const { getInfo } = require('./lib/hierarchy'); // Region metrics
+const { isValidCode, levelOfCode, CODE_FORMAT } = require('./lib/codes'); // Region code format
+const { locatePoints, parsePoint, parseSnap, MAX_SNAP_METERS } = require('./lib/geocode'); // Point-in-polygon lookup
+const { checkCoverage } = require('./lib/coverage'); // Overlap/gap QA against children
+const { buildParents } = require('./lib/parents'); // Derive missing parent rows from children
+const { diffSource, findSourceFeature } = require('./lib/diff'); // Source files vs. database
+const { deleteRegion } = require('./lib/deletion'); // Delete a region with or without descendants
+const { MAX_UPLOAD_BYTES, stageUpload, getUpload, listUploads, uploadSources, promoteUpload, discardUpload } = require('./lib/uploads'); // Staged uploads
+const multer = require('multer');
+const { listVersions, getAsOf, rollbackRegion, rollbackRun, listRuns } = require('./lib/history'); // Change history + rollback
+const { isDate, parseAliasCsv, importAliases, listAliases, deleteAlias, lookupName } = require('./lib/aliases'); // Alternate names
+const { isValidName, parseDatasetRef, parseDataset, createDataset, listDatasets, getDataset, getDatasetValues } = require('./lib/datasets'); // Attribute datasets
+const { LEVEL_ZOOMS, MAX_ZOOM, parseTile, getTile, getBounds } = require('./lib/tiles'); // Mapbox Vector Tiles
+const { parseGeometryOptions } = require('./lib/simplification'); // Stored simplification levels
+const { metricsOf } = require('./lib/metrics'); // Area, perimeter, label point, bbox
+const { FORMATS, iterateRegions, createWriter } = require('./lib/export'); // Streaming GeoJSON/KML/CSV/TopoJSON export
+const { parse: parseCsv } = require('csv-parse/sync');
+const { stringify: stringifyCsv } = require('csv-stringify/sync');
+const { SESSION_SECRET, getCurrentUser, loginRetryAfter, recordLogin, login, logout, createApiKey, requireRole } = require('./lib/auth'); // Login + editor role for writes
+const { initDB, seedInitialData } = require('./lib/setup'); // Schema + initial provinsi data
+const { normalizeCode, parseSearchParams, isSearchable, toSearchPage } = require('./lib/search'); // Search options + hit format
+const provider = require('./lib/providers'); // Status, search, hierarchy and map geometry (database or geojson/ index)
+const { runSyncJob } = require('./lib/sync'); // Sync / dry-run job runner (also used by cli.js)
+const { createJob, getJob, findActiveJob, cancelJob, toPublicJob, onJobUpdate, isFinished } = require('./lib/jobs');
 require('dotenv').config();
 
 const app = express();
@@ -12,52 +35,43 @@ const PORT = process.env.PORT || 3000;
 
 app.use(cors());
 app.use(express.static('public'));
-app.use(express.json()); // Add body parser support
-app.use(cookieParser()); // Add cookie parser for Supabase SSR
+app.use(express.json({ limit: '10mb' })); // Add body parser support (bulk endpoints send large arrays)
+app.use(cookieParser(SESSION_SECRET)); // Cookies for Supabase SSR sessions; signed cookies for local sessions (POSTGRES)
+
+// Write endpoints (sync, delete, rollback, ...) need a logged-in editor; reads stay public
+const requireEditor = requireRole('editor');
+
+// DB_PROVIDER=FILE has no database: only the routes the provider serves work, the rest of /api/db
+// (sync, history, export, QA, ...) and the vector tiles answer 501
+const FILE_PROVIDER_ROUTES = ['/status', '/geojson', '/children', '/ancestors', '/siblings'];
+if (provider.name === 'file') {
+    app.use(['/api/db', '/tiles'], (req, res, next) => {
+        if (req.baseUrl === '/api/db' && FILE_PROVIDER_ROUTES.includes(req.path)) return next();
+        res.status(501).json({ error: 'Not available without a database (DB_PROVIDER=FILE)' });
+    });
+}
 
-const GEOJSON_DIR = path.join(__dirname, 'geojson');
+// Every ?code= / body code of the database routes must be a region code: the queries select descendants
+// with LIKE, where "%" or "_" in a code would match other regions (or all of them)
+app.use(['/api/db', '/tiles'], (req, res, next) => {
+    const codes = [req.query.code, req.body && typeof req.body === 'object' ? req.body.code : undefined];
+    if (codes.some(code => code !== undefined && code !== '' && !isValidCode(code))) {
+        return res.status(400).json({ error: `code must be ${CODE_FORMAT}` });
+    }
+    next();
+});
 
 // Database configuration is now handled in lib/postgres.js
 
-// Initialize Database Table
-const initDB = async () => {
-    // Skip InitDB for Supabase (User must run init_db.sql manually)
-    if (process.env.DB_PROVIDER === 'SUPABASE') {
-        console.log("Supabase Provider selected. Skipping auto-init. Please ensure you have run 'init_db.sql' in your Supabase SQL Editor.");
-        return;
-    }
-
-    try {
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS m_wilayah_poligon (
-                kode_wilayah_kemendagri VARCHAR(255) PRIMARY KEY,
-                nama_wilayah_kemendagri VARCHAR(255),
-                level INTEGER,
-                geometry GEOMETRY(MultiPolygon, 4326),
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
-            CREATE INDEX IF NOT EXISTS idx_wilayah_code ON m_wilayah_poligon(kode_wilayah_kemendagri);
-            CREATE INDEX IF NOT EXISTS idx_wilayah_nama ON m_wilayah_poligon(lower(nama_wilayah_kemendagri));
-
-            -- Create Helper Function for Upsert (Useful for Supabase RPC)
-            CREATE OR REPLACE FUNCTION upsert_wilayah(
-                p_kode TEXT,
-                p_nama TEXT,
-                p_level INT,
-                p_geojson JSONB
-            ) RETURNS VOID AS $$
-            BEGIN
-                INSERT INTO m_wilayah_poligon (kode_wilayah_kemendagri, nama_wilayah_kemendagri, level, geometry, updated_at)
-                VALUES (p_kode, p_nama, p_level, ST_Multi(ST_SimplifyPreserveTopology(ST_Force2D(ST_GeomFromGeoJSON(p_geojson)), 0.0001)), NOW())
-                ON CONFLICT (kode_wilayah_kemendagri) 
-                DO UPDATE SET 
-                    nama_wilayah_kemendagri = EXCLUDED.nama_wilayah_kemendagri,
-                    geometry = EXCLUDED.geometry,
-                    updated_at = NOW();
-            END;
-            $$ LANGUAGE plpgsql;
-        `);
+// Initialize Database from init_db.sql (POSTGRES; Supabase users run it in the SQL Editor)
+const initOnStartup = async () => {
+    try {
+        const result = await initDB();
+        if (result.skipped) {
+            console.log("Supabase Provider selected. Skipping auto-init. Please ensure you have run 'init_db.sql' in your Supabase SQL Editor.");
+            return;
+        }
+        if (result.adminCreated) console.log(`Created editor "${result.adminCreated}" from AUTH_ADMIN_USERNAME.`);
         console.log("Database initialized successfully.");
     } catch (err) {
         console.error("Error initializing database (might be waiting for DB to start):", err.message);
@@ -68,121 +82,78 @@ const initDB = async () => {
     }
 };
 
-// Try to initialize DB on startup, but don't crash if it fails (allows local dev without DB)
-initDB().then(() => seedInitialData());
+// Seed Initial Data (the provinsi file) into an empty database
+const seedOnStartup = async () => {
+    console.log("Checking for initial data...");
+    try {
+        const result = await seedInitialData();
+        if (result.seeded) console.log(`Seeding complete. Inserted ${result.rows} features from ${result.file}.`);
+        else if (result.reason === 'exists') console.log("Initial data already exists. Skipping seed.");
+        else console.warn(`File not found for seeding: ${result.file}`);
+    } catch (err) {
+        console.error("Seeding error:", err.message);
+    }
+};
 
-// Helper to upsert feature (abstracting provider)
-async function upsertFeature(kode, nama, level, geometryObject) {
-    if (process.env.DB_PROVIDER === 'SUPABASE') {
-        if (!supabaseAdmin) throw new Error("Supabase Admin client is not initialized. Check SUPABASE_URL and SUPABASE_SERVICE_KEY in .env");
+// Auth: who is logged in ({ user: null } for anonymous requests) and whether login is by email or username
+app.get('/api/auth/me', async (req, res) => {
+    try {
+        const user = await getCurrentUser(req, res);
+        // 'none': DB_PROVIDER=FILE has no users, so nobody can log in
+        const authProvider = process.env.DB_PROVIDER === 'SUPABASE' ? 'supabase' : (provider.name === 'file' ? 'none' : 'local');
+        res.json({ user, provider: authProvider });
+    } catch (err) {
+        console.error("Auth Error:", err.message);
+        res.status(500).json({ error: "Authentication error" });
+    }
+});
 
-        const { error } = await supabaseAdmin.rpc('upsert_wilayah', {
-            p_kode: kode,
-            p_nama: nama,
-            p_level: level,
-            p_geojson: geometryObject // Pass object, Supabase handles serialization
-        });
+// Auth: log in. Body: { username, password } (username is the email address with Supabase Auth)
+app.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    if (!username || !password) return res.status(400).json({ error: 'Username and password are required' });
 
-        if (error) throw new Error(`Supabase RPC Error: ${error.message}`);
-    } else {
-        // Default: POSTGRES (Direct Connection)
-        const geometryStr = JSON.stringify(geometryObject);
-        await pool.query(`
-            INSERT INTO m_wilayah_poligon (kode_wilayah_kemendagri, nama_wilayah_kemendagri, level, geometry, updated_at)
-            VALUES ($1, $2, $3, ST_Multi(ST_SimplifyPreserveTopology(ST_Force2D(ST_GeomFromGeoJSON($4)), 0.0001)), NOW())
-            ON CONFLICT (kode_wilayah_kemendagri) 
-            DO UPDATE SET 
-                nama_wilayah_kemendagri = EXCLUDED.nama_wilayah_kemendagri,
-                geometry = EXCLUDED.geometry,
-                updated_at = NOW();
-        `, [kode, nama, level, geometryStr]);
+    const retryAfter = loginRetryAfter(req, username);
+    if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: 'Too many failed logins, try again later' });
     }
-}
 
-// Seed Initial Data
-const seedInitialData = async () => {
-    console.log("Checking for initial data...");
-    let exists = false;
     try {
-        if (process.env.DB_PROVIDER === 'SUPABASE') {
-            if (!supabaseAdmin) {
-                console.warn("Supabase Admin not ready, skipping seed check.");
-                return;
-            }
-            // Check if any Provinsi (level 1) exists
-            const { count, error } = await supabaseAdmin
-                .from('m_wilayah_poligon')
-                .select('*', { count: 'exact', head: true })
-                .eq('level', 1);
-
-            if (error) {
-                // Ignore error if table doesn't exist yet (init_db.sql not run)
-                // console.error("Error checking seed status:", error.message);
-                return;
-            }
-            exists = count > 0;
-        } else {
-            const res = await pool.query('SELECT 1 FROM m_wilayah_poligon WHERE level = 1 LIMIT 1');
-            exists = res.rows.length > 0;
-        }
-    } catch (e) {
-        console.error("Error checking initial data:", e.message);
-        return;
-    }
-
-    if (!exists) {
-        console.log("No initial data found. Seeding 11_Aceh.geojson...");
-        const filePath = path.join(GEOJSON_DIR, '11_Aceh.geojson');
-        if (fs.existsSync(filePath)) {
-            try {
-                const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-                console.log(`Found ${data.features.length} features in 11_Aceh.geojson`);
-
-                let processed = 0;
-                for (const feature of data.features) {
-                    const { kode, nama } = transformProperties(feature, 1);
-                    await upsertFeature(kode, nama, 1, feature.geometry);
-                    processed++;
-                }
-                console.log(`Seeding complete. Inserted ${processed} features.`);
-            } catch (e) {
-                console.error("Seeding error:", e);
-            }
-        } else {
-            console.warn(`File not found for seeding: ${filePath}`);
-        }
-    } else {
-        console.log("Initial data already exists. Skipping seed.");
+        const user = await login(req, res, username, password);
+        recordLogin(req, username, Boolean(user));
+        if (!user) return res.status(401).json({ error: 'Invalid username or password' });
+        res.json({ success: true, user });
+    } catch (err) {
+        console.error("Login Error:", err.message);
+        res.status(500).json({ error: "Authentication error" });
     }
-};
+});
 
-// Helper to transform properties
-function transformProperties(feature, level) {
-    const p = feature.properties;
-    let kode = '';
-    let nama = '';
-
-    if (level === 1) { // Provinsi
-        kode = p.kd_propinsi;
-        nama = p.nm_propinsi;
-    } else if (level === 2) { // Kabupaten
-        kode = `${p.kd_propinsi}.${p.kd_dati2}`;
-        nama = p.nm_dati2;
-    } else if (level === 3) { // Kecamatan
-        // Rule: kd_kecamatan ambil 2 digit belakang
-        const kecCode = p.kd_kecamatan.slice(-2);
-        kode = `${p.kd_propinsi}.${p.kd_dati2}.${kecCode}`;
-        nama = p.nm_kecamatan;
-    } else if (level === 4) { // Kelurahan
-        // Rule: kd_kecamatan 2 digit belakang, kd_kelurahan tambah 2 di depan
-        const kecCode = p.kd_kecamatan.slice(-2);
-        const kelCode = `2${p.kd_kelurahan}`; // Assuming raw is 3 digits like '003' -> '2003'
-        kode = `${p.kd_propinsi}.${p.kd_dati2}.${kecCode}.${kelCode}`;
-        nama = p.nm_kelurahan;
-    }
-
-    return { kode, nama };
-}
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        await logout(req, res);
+        res.json({ success: true });
+    } catch (err) {
+        console.error("Logout Error:", err.message);
+        res.status(500).json({ error: "Authentication error" });
+    }
+});
+
+// Auth (POSTGRES): new API key for the logged-in user, sent as "X-API-Key" by scripts. Replaces the previous key.
+app.post('/api/auth/api-key', requireRole('viewer'), async (req, res) => {
+    if (process.env.DB_PROVIDER === 'SUPABASE') {
+        return res.status(400).json({ error: 'Use a Supabase access token (Authorization: Bearer) instead of an API key' });
+    }
+
+    try {
+        const apiKey = await createApiKey(req.user.id);
+        res.json({ success: true, apiKey });
+    } catch (err) {
+        console.error("API Key Error:", err.message);
+        res.status(500).json({ error: "Database error" });
+    }
+});
 
 // Check status of data in DB
 app.get('/api/db/status', async (req, res) => {
@@ -190,95 +161,7 @@ app.get('/api/db/status', async (req, res) => {
     if (!code) return res.status(400).json({ error: 'Code is required' });
 
     try {
-        const stats = {
-            provinsi: 0,
-            kabupaten: 0,
-            kecamatan: 0,
-            kelurahan: 0,
-            available: false,
-            fileAvailable: false
-        };
-
-        if (process.env.DB_PROVIDER === 'SUPABASE') {
-            if (!supabaseAdmin) throw new Error("Supabase Admin not initialized");
-
-            // Use RPC for counts (efficient) or just assume 0 if function missing
-            // We use get_wilayah_counts created in init_db.sql
-            // Note: get_wilayah_counts returns global counts. We need to filter by code?
-            // The SQL function I wrote earlier was global.
-            // Let's rely on client side filtering or improved SQL later.
-            // For now, let's use a simple query if function not available.
-
-            const { data, error } = await supabaseAdmin.from('m_wilayah_poligon')
-                .select('level, kode_wilayah_kemendagri');
-            // Fetching all IDs is heavy but allows accurate counting.
-            // Better: Use RPC with filter.
-
-            // Actually, let's use the RPC 'get_wilayah_counts' if available, but it doesn't filter by code.
-            // Let's implement a filter logic here.
-
-            // Alternative: Count using multiple queries (slow but works)
-            // Or assume if DB is connected, we check availability differently.
-
-            // For this specific requirement "jika data belum ada di database", we need to know if THIS area exists.
-
-            const { count, error: countErr } = await supabaseAdmin
-                .from('m_wilayah_poligon')
-                .select('*', { count: 'exact', head: true })
-                .ilike('kode_wilayah_kemendagri', `${code}%`);
-
-            if (!countErr) {
-                stats.available = count > 0;
-                // If available, we might want detailed counts per level.
-                // We can do this with a second query or RPC.
-                // Let's use RPC if possible, but I can't update SQL easily from here.
-
-                // Let's use a simple aggregation if data is small enough or just basic check.
-                if (stats.available) {
-                    const { data: levels } = await supabaseAdmin
-                        .from('m_wilayah_poligon')
-                        .select('level')
-                        .ilike('kode_wilayah_kemendagri', `${code}%`);
-
-                    if (levels) {
-                        levels.forEach(r => {
-                            if (r.level === 1) stats.provinsi++;
-                            if (r.level === 2) stats.kabupaten++;
-                            if (r.level === 3) stats.kecamatan++;
-                            if (r.level === 4) stats.kelurahan++;
-                        });
-                    }
-                }
-            }
-
-        } else {
-            // Postgres Logic
-            const result = await pool.query(
-                `SELECT level, COUNT(*) as count FROM m_wilayah_poligon WHERE kode_wilayah_kemendagri LIKE $1 GROUP BY level`,
-                [`${code}%`]
-            );
-
-            result.rows.forEach(row => {
-                if (row.level === 1) stats.provinsi = parseInt(row.count);
-                if (row.level === 2) stats.kabupaten = parseInt(row.count);
-                if (row.level === 3) stats.kecamatan = parseInt(row.count);
-                if (row.level === 4) stats.kelurahan = parseInt(row.count);
-            });
-
-            stats.available = result.rows.length > 0;
-        }
-
-        // Check if file exists in GEOJSON_DIR
-        if (fs.existsSync(GEOJSON_DIR)) {
-            const files = fs.readdirSync(GEOJSON_DIR);
-            const hasFile = files.some(file => {
-                if (code.length === 2 && file.match(new RegExp(`^${code}_[^_]+\.geojson$`))) return true;
-                return file.startsWith(code) && file.endsWith('.geojson');
-            });
-            stats.fileAvailable = hasFile;
-        }
-
-        res.json(stats);
+        res.json({ ...(await provider.getStatus(code)), provider: provider.name });
     } catch (err) {
         // If DB is not connected, return unavailable
         console.error("DB Error:", err.message);
@@ -286,49 +169,20 @@ app.get('/api/db/status', async (req, res) => {
     }
 });
 
-// Search API
+// Search API: ranked by match (code, exact name, prefix, contains, fuzzy), hits carry their parent names
+// GET /api/search?q=kuala[&level=4|kelurahan][&parent=11.73][&limit=10][&offset=0]
+// q may be a code with or without dots ("11.73", "1173"). Returns { items, limit, offset, hasMore }.
 app.get('/api/search', async (req, res) => {
-    const query = req.query.q;
-    if (!query || query.length < 3) return res.json([]);
-
-    try {
-        if (process.env.DB_PROVIDER === 'SUPABASE') {
-            // Use RPC 'search_wilayah'
-            const { data, error } = await supabaseAdmin.rpc('search_wilayah', { p_query: query });
-
-            if (error) {
-                // Fallback: If RPC not exists, try simple select
-                console.warn("RPC search_wilayah failed, trying direct select:", error.message);
-                const { data: fallbackData, error: fallbackError } = await supabaseAdmin
-                    .from('m_wilayah_poligon')
-                    .select('kode_wilayah_kemendagri, nama_wilayah_kemendagri, level')
-                    .ilike('nama_wilayah_kemendagri', `%${query}%`)
-                    .order('level', { ascending: true })
-                    .order('nama_wilayah_kemendagri', { ascending: true })
-                    .limit(10);
-
-                if (fallbackError) throw new Error(fallbackError.message);
-
-                // Map to expected format
-                const mapped = fallbackData.map(d => ({
-                    id: d.kode_wilayah_kemendagri,
-                    name: d.nama_wilayah_kemendagri,
-                    level: d.level
-                }));
-                return res.json(mapped);
-            }
+    let params;
+    try {
+        params = parseSearchParams(req.query);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    if (!isSearchable(params)) return res.json(toSearchPage(params, []));
 
-            res.json(data);
-        } else {
-            const result = await pool.query(`
-                SELECT kode_wilayah_kemendagri as id, nama_wilayah_kemendagri as name, level
-                FROM m_wilayah_poligon
-                WHERE lower(nama_wilayah_kemendagri) LIKE $1
-                ORDER BY level ASC, nama_wilayah_kemendagri ASC
-                LIMIT 10
-            `, [`%${query.toLowerCase()}%`]);
-            res.json(result.rows);
-        }
+    try {
+        res.json(await provider.search(params));
     } catch (err) {
         console.error("Search Error:", err.message);
         res.status(500).json({ error: "Search failed" });
@@ -336,57 +190,603 @@ app.get('/api/search', async (req, res) => {
 });
 
 // Trigger ETL Process
-app.post('/api/db/sync', async (req, res) => {
+// Starts a background job and returns its id right away. Progress: GET /api/db/sync/:id or /api/db/sync/:id/events
+// Body: { code, dryRun?: boolean (validate only, nothing written), repair?: boolean (ST_MakeValid invalid geometries),
+//         mirror?: boolean (delete rows under the code at the synced levels that are not in the files; dry-run lists them) }
+app.post('/api/db/sync', requireEditor, async (req, res) => {
     const code = req.body.code;
     if (!code) return res.status(400).json({ error: 'Code is required' });
 
+    const dryRun = req.body.dryRun === true;
+    const repair = req.body.repair === true;
+    const mirror = req.body.mirror === true;
+    const jobType = dryRun ? 'dry-run' : 'sync';
+
     if (!fs.existsSync(GEOJSON_DIR)) {
         return res.status(500).json({ error: 'GEOJSON directory not found' });
     }
 
-    const files = fs.readdirSync(GEOJSON_DIR).filter(file => file.startsWith(code) && file.endsWith('.geojson'));
+    const running = findActiveJob(code);
+    if (running) {
+        return res.status(409).json({ error: `${running.type === 'dry-run' ? 'Dry-run' : 'Sync'} for code ${running.code} is already running`, jobId: running.id });
+    }
+
+    const files = listSources(code);
 
     if (files.length === 0) {
         return res.status(404).json({ error: 'No source files found' });
     }
 
-    // This is a long running process, but for simplicity we'll just await it
-    // In production, use a job queue. Here we keep connection open.
+    const job = createJob(jobType, code);
+    setImmediate(() => runSyncJob(job, files, { dryRun, repair, mirror })); // Runs after the response is sent
+
+    res.status(202).json({ success: true, jobId: job.id, job: toPublicJob(job) });
+});
+
+// Uploads: a .geojson or .zip is checked and staged (uploads/), can be previewed, validated and synced
+// from there, and is then promoted into geojson/ or discarded. All upload endpoints need an editor.
+const receiveUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 } }).single('file');
+
+// POST /api/uploads (multipart: file, level?, code?)
+// 422 with `needs` when level/code can't be detected, or `problems` when the properties don't match the schema
+app.post('/api/uploads', requireEditor, (req, res, next) => {
+    receiveUpload(req, res, (err) => {
+        if (!err) return next();
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `File is larger than ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB` });
+        }
+        res.status(400).json({ error: err.message });
+    });
+}, (req, res) => {
+    if (!req.file) return res.status(400).json({ error: 'File is required' });
+
+    const level = req.body.level ? parseInt(req.body.level, 10) : null;
+    if (level !== null && !LEVEL_KEYS[level]) return res.status(400).json({ error: 'level must be 1-4' });
+    const code = req.body.code ? String(req.body.code).trim() : null;
+    // Source files are filed under a provinsi or kabupaten
+    if (code && ![1, 2].includes(levelOfCode(code))) return res.status(400).json({ error: 'code must look like 11 or 11.73' });
 
     try {
-        let totalProcessed = 0;
+        const result = stageUpload({ originalName: req.file.originalname, buffer: req.file.buffer, level, code, uploadedBy: req.user.name });
+        if (result.needs.length > 0) {
+            return res.status(422).json({ error: `Could not detect ${result.needs.join(' and ')}, please provide it`, needs: result.needs });
+        }
+        if (result.problems.length > 0) {
+            return res.status(422).json({ error: 'File does not match the property schema', problems: result.problems, problemCount: result.problemCount });
+        }
+        console.log(`Staged upload ${result.upload.id} (${req.file.originalname}) by ${req.user.name}`);
+        res.status(201).json({ success: true, upload: result.upload });
+    } catch (err) {
+        console.error("Upload Error:", err.message);
+        res.status(500).json({ error: 'Could not stage the upload' });
+    }
+});
 
-        for (const file of files) {
-            const filePath = path.join(GEOJSON_DIR, file);
-            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+app.get('/api/uploads', requireEditor, (req, res) => {
+    res.json(listUploads());
+});
 
-            let level = 2;
-            if (file.endsWith('_kecamatan.geojson')) level = 3;
-            else if (file.endsWith('_kelurahan.geojson')) level = 4;
-            else if (file === '11_Aceh.geojson' || file.match(/^\d{2}_.+$/)) level = 1; // Provinsi detection
+// Staged upload by id (404 once promoted or discarded)
+const stagedUpload = (req, res, next) => {
+    const upload = getUpload(req.params.id);
+    if (!upload) return res.status(404).json({ error: 'Upload not found' });
+    req.upload = upload;
+    next();
+};
 
-            for (const feature of data.features) {
-                const { kode, nama } = transformProperties(feature, level);
+app.get('/api/uploads/:id', requireEditor, stagedUpload, (req, res) => {
+    res.json(req.upload);
+});
 
-                // Use Helper Function
-                await upsertFeature(kode, nama, level, feature.geometry);
+// Same shape as /api/geojson, for the map preview
+app.get('/api/uploads/:id/geojson', requireEditor, stagedUpload, (req, res) => {
+    res.json(previewSources(uploadSources(req.upload)));
+});
 
-                totalProcessed++;
-            }
+// Move the staged files into geojson/. Body: { overwrite?: boolean } - 409 with `conflicts` when files exist
+app.post('/api/uploads/:id/promote', requireEditor, stagedUpload, (req, res) => {
+    try {
+        const result = promoteUpload(req.upload, { overwrite: req.body && req.body.overwrite === true });
+        if (result.promoted.length === 0) {
+            return res.status(409).json({ error: 'Files already exist in the source folder', conflicts: result.conflicts });
+        }
+        console.log(`Promoted upload ${req.upload.id} (${result.promoted.join(', ')}) by ${req.user.name}`);
+        res.json({ success: true, code: req.upload.code, ...result });
+    } catch (err) {
+        console.error("Promote Error:", err.message);
+        res.status(500).json({ error: 'Could not move the files' });
+    }
+});
+
+// Sync the staged files straight into the database. Body: { dryRun?, repair? } - same job as POST /api/db/sync
+app.post('/api/uploads/:id/sync', requireEditor, stagedUpload, (req, res) => {
+    const dryRun = req.body && req.body.dryRun === true;
+    const repair = req.body && req.body.repair === true;
+    const jobType = dryRun ? 'dry-run' : 'sync';
+    const code = req.upload.code;
+
+    const running = findActiveJob(code);
+    if (running) {
+        return res.status(409).json({ error: `${running.type === 'dry-run' ? 'Dry-run' : 'Sync'} for code ${running.code} is already running`, jobId: running.id });
+    }
+
+    const job = createJob(jobType, code);
+    setImmediate(() => runSyncJob(job, uploadSources(req.upload), { dryRun, repair }));
+
+    res.status(202).json({ success: true, jobId: job.id, job: toPublicJob(job) });
+});
+
+app.post('/api/uploads/:id/discard', requireEditor, stagedUpload, (req, res) => {
+    discardUpload(req.upload.id);
+    res.json({ success: true });
+});
+
+// Sync job status
+app.get('/api/db/sync/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(toPublicJob(job));
+});
+
+// Sync job progress as Server-Sent Events. The stream ends when the job finishes.
+app.get('/api/db/sync/:id/events', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (snapshot) => {
+        res.write(`data: ${JSON.stringify(snapshot)}\n\n`);
+        if (isFinished(snapshot)) {
+            unsubscribe();
+            res.end();
         }
+    };
+
+    const unsubscribe = onJobUpdate(job.id, send);
+    req.on('close', unsubscribe);
+    send(toPublicJob(job));
+});
+
+// Cancel a running sync job
+app.post('/api/db/sync/:id/cancel', requireEditor, (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (!cancelJob(job)) return res.status(409).json({ error: `Job is already ${job.status}` });
+    res.json({ success: true, job: toPublicJob(job) });
+});
 
-        res.json({ success: true, processed: totalProcessed });
+// Hierarchy Navigation (no geometry)
+// Helper for the three navigation endpoints: 404 if the region itself is unknown
+const hierarchyRoute = (fetchRelated) => async (req, res) => {
+    const code = req.query.code;
+    if (!code) return res.status(400).json({ error: 'Code is required' });
+
+    try {
+        const node = await provider.getNode(code);
+        if (!node) return res.status(404).json({ error: 'Region not found' });
+
+        const items = await fetchRelated(code);
+        res.json({ ...node, items });
     } catch (err) {
-        console.error("ETL Error:", err);
-        res.status(500).json({ error: err.message });
+        console.error("Hierarchy Error:", err.message);
+        res.status(500).json({ error: "Database error" });
+    }
+};
+
+// Direct children, e.g. kecamatan of a kabupaten
+app.get('/api/db/children', hierarchyRoute(provider.getChildren));
+
+// Ancestor chain, nearest first: kelurahan -> kecamatan -> kabupaten -> provinsi
+app.get('/api/db/ancestors', hierarchyRoute(provider.getAncestors));
+
+// Regions sharing the same parent
+app.get('/api/db/siblings', hierarchyRoute(provider.getSiblings));
+
+// Build Parents: union children into missing kecamatan/kabupaten/provinsi rows under a code
+// Body: { code, rebuild } - rebuild also recomputes rows derived earlier (sourced rows are never touched)
+app.post('/api/db/build-parents', requireEditor, async (req, res) => {
+    const { code, rebuild = false } = req.body || {};
+    if (!code) return res.status(400).json({ error: 'Code is required' });
+
+    try {
+        const result = await buildParents(code, { rebuild: Boolean(rebuild) });
+        console.log(`Built ${result.built.length} parent rows for ${code}${rebuild ? ' (rebuild)' : ''}`);
+        res.json({ success: true, code, rebuild: Boolean(rebuild), ...result });
+    } catch (err) {
+        console.error("Build Parents Error:", err.message);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Delete a region, or with descendants the region and everything under it
+// Body: { code, descendants?: boolean, dryRun?: boolean (list what would be deleted) }
+// The deleteId can be passed to POST /api/db/history/rollback as runId to restore the rows.
+app.post('/api/db/delete', requireEditor, async (req, res) => {
+    const { code, descendants = false, dryRun = false } = req.body || {};
+    if (!code) return res.status(400).json({ error: 'Code is required' });
+
+    try {
+        const result = await deleteRegion(code, { descendants: descendants === true, dryRun: dryRun === true });
+        if (result.deleted.length === 0) return res.status(404).json({ error: 'Region not found' });
+        if (!result.dryRun) console.log(`Deleted ${result.deleted.length} rows under ${code} (${result.deleteId}) by ${req.user.name}`);
+        res.json({ success: true, code, descendants: descendants === true, ...result });
+    } catch (err) {
+        console.error("Delete Error:", err.message);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// History: versions of a region, newest first
+app.get('/api/db/history', async (req, res) => {
+    const code = req.query.code;
+    if (!code) return res.status(400).json({ error: 'Code is required' });
+
+    try {
+        const versions = await listVersions(code);
+        if (versions.length === 0) return res.status(404).json({ error: 'Region not found' });
+        res.json({ code, versions });
+    } catch (err) {
+        console.error("History Error:", err.message);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// History: sync runs (and rollbacks) that changed regions, newest first
+app.get('/api/db/history/runs', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+    try {
+        res.json(await listRuns(limit));
+    } catch (err) {
+        console.error("History Runs Error:", err.message);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+const parseDate = (value) => {
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+// History: region geometry as it was at a given date (GeoJSON Feature)
+// GET /api/db/history/as-of?code=11.73.03&at=2024-01-31T00:00:00Z[&precision=6]
+app.get('/api/db/history/as-of', async (req, res) => {
+    const code = req.query.code;
+    const at = parseDate(req.query.at);
+    if (!code || !at) return res.status(400).json({ error: 'Code and a valid at date are required' });
+
+    let precision;
+    try {
+        precision = parseGeometryOptions({ precision: req.query.precision }).precision;
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    try {
+        const feature = await getAsOf(code, at, precision);
+        if (!feature) return res.status(404).json({ error: `Region did not exist at ${at.toISOString()}` });
+        res.json(feature);
+    } catch (err) {
+        console.error("History As-Of Error:", err.message);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// History: roll back one region to a date, or undo a whole sync run
+// Body: { code, at } or { runId, force } - force also reverts regions changed again by later runs
+app.post('/api/db/history/rollback', requireEditor, async (req, res) => {
+    const { code, at, runId, force = false } = req.body || {};
+
+    try {
+        let result;
+        if (runId) {
+            result = await rollbackRun(runId, { force: Boolean(force) });
+            if (result.results.length === 0) return res.status(404).json({ error: 'No changes recorded for this run' });
+        } else {
+            const date = parseDate(at);
+            if (!code || !date) return res.status(400).json({ error: 'Either runId, or code and a valid at date, are required' });
+            result = await rollbackRegion(code, date);
+        }
+
+        console.log(`Rollback ${result.rollbackId}: ${result.results.length} regions (${runId ? `run ${runId}` : `${code} to ${at}`})`);
+        res.json({ success: true, ...result });
+    } catch (err) {
+        console.error("Rollback Error:", err.message);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Aliases: alternate names of a region (official, historical, local_spelling, abbreviation) with validity dates
+app.get('/api/db/aliases', async (req, res) => {
+    const code = req.query.code;
+    if (!code) return res.status(400).json({ error: 'Code is required' });
+
+    try {
+        res.json({ code, aliases: await listAliases(code) });
+    } catch (err) {
+        console.error("Aliases Error:", err.message);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Aliases: import a CSV (kode,alias,type[,valid_from][,valid_to][,source]), ?dryRun=true only checks it.
+// Nothing is imported unless every row is valid; rows for codes not in the database are skipped and listed.
+app.post('/api/db/aliases/import', requireEditor, express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), async (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).json({ error: 'A CSV body (Content-Type: text/csv) is required' });
+    }
+
+    const { aliases, problems, problemCount } = parseAliasCsv(req.body);
+    if (problemCount > 0) return res.status(400).json({ error: 'Invalid alias CSV', problems, problemCount });
+    if (req.query.dryRun === 'true') return res.json({ success: true, dryRun: true, aliases: aliases.length });
+
+    try {
+        const result = await importAliases(aliases);
+        console.log(`Imported aliases: ${result.inserted} new, ${result.updated} updated, ${result.unknownCodes.length} unknown codes by ${req.user.name}`);
+        res.json({ success: true, dryRun: false, aliases: aliases.length, ...result });
+    } catch (err) {
+        console.error("Alias Import Error:", err.message);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Aliases: delete one alias. Body: { id }
+app.post('/api/db/aliases/delete', requireEditor, async (req, res) => {
+    const id = parseInt((req.body || {}).id, 10);
+    if (!id) return res.status(400).json({ error: 'Alias id is required' });
+
+    try {
+        if (!(await deleteAlias(id))) return res.status(404).json({ error: 'Alias not found' });
+        res.json({ success: true, id });
+    } catch (err) {
+        console.error("Alias Delete Error:", err.message);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Name lookup: regions called exactly this (case-insensitive), by name or alias; `matched` says which alias
+// GET /api/db/lookup?name=Kab. Aceh Besar[&level=2|kabupaten][&parent=11][&at=2005-01-01 (aliases valid that day)]
+app.get('/api/db/lookup', async (req, res) => {
+    const name = String(req.query.name || '').trim();
+    if (!name) return res.status(400).json({ error: 'Name is required' });
+
+    const level = req.query.level ? parseLevel(req.query.level) : null;
+    if (req.query.level && !level) return res.status(400).json({ error: 'level must be 1-4 or provinsi/kabupaten/kecamatan/kelurahan' });
+    const parent = req.query.parent ? normalizeCode(req.query.parent) : null;
+    if (req.query.parent && !parent) return res.status(400).json({ error: 'parent must be a region code, e.g. 11.73' });
+    const at = req.query.at || null;
+    if (at && !isDate(at)) return res.status(400).json({ error: 'at must be a date (YYYY-MM-DD)' });
+
+    try {
+        res.json({ name, items: await lookupName(name, { level, parent, at }) });
+    } catch (err) {
+        console.error("Lookup Error:", err.message);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Region info without geometry: area (km²), perimeter (km), label point [lng, lat], bbox [west, south, east, north]
+app.get('/api/db/info', async (req, res) => {
+    const code = req.query.code;
+    if (!code) return res.status(400).json({ error: 'Code is required' });
+
+    try {
+        const info = await getInfo(code);
+        if (!info) return res.status(404).json({ error: 'Region not found' });
+        res.json(info);
+    } catch (err) {
+        console.error("Info Error:", err.message);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Coverage QA: overlaps between children, gaps inside the region, child area outside the region
+// GET /api/db/qa/coverage?code=11.73[&minArea=10] (m²)
+app.get('/api/db/qa/coverage', async (req, res) => {
+    const code = req.query.code;
+    if (!code) return res.status(400).json({ error: 'Code is required' });
+
+    const options = {};
+    if (req.query.minArea !== undefined) {
+        options.minAreaM2 = Number(req.query.minArea);
+        if (!Number.isFinite(options.minAreaM2) || options.minAreaM2 < 0) {
+            return res.status(400).json({ error: 'minArea must be a non-negative number (m²)' });
+        }
+    }
+
+    try {
+        const node = await provider.getNode(code);
+        if (!node) return res.status(404).json({ error: 'Region not found' });
+
+        const report = await checkCoverage(code, options);
+        res.json({ ...node, ...report });
+    } catch (err) {
+        console.error("Coverage QA Error:", err.message);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Source Diff: what a sync of the code would add, remove, rename or reshape
+// GET /api/db/diff?code=11.73
+app.get('/api/db/diff', async (req, res) => {
+    const code = req.query.code;
+    if (!code) return res.status(400).json({ error: 'Code is required' });
+
+    if (listSources(code).length === 0) {
+        return res.status(404).json({ error: 'No source files found' });
+    }
+
+    try {
+        const report = await diffSource(code);
+        res.json({ code, ...report });
+    } catch (err) {
+        console.error("Diff Error:", err.message);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Old (database) and new (source file) geometry of one region, for the map overlay
+// GET /api/db/diff/geometry?code=11.73.03
+app.get('/api/db/diff/geometry', async (req, res) => {
+    const code = req.query.code;
+    if (!code) return res.status(400).json({ error: 'Code is required' });
+
+    try {
+        const source = findSourceFeature(code);
+        const current = await getAsOf(code, new Date(), 6);
+        if (!source && !current) return res.status(404).json({ error: 'Region not found' });
+
+        const features = [];
+        if (current) {
+            features.push({ ...current, properties: { ...current.properties, id: code, version: 'old' } });
+        }
+        if (source) {
+            features.push({
+                type: 'Feature',
+                properties: { id: code, name: source.nama, level: source.level, sourceFile: source.file, version: 'new' },
+                geometry: source.geometry
+            });
+        }
+        res.json({ type: 'FeatureCollection', features });
+    } catch (err) {
+        console.error("Diff Geometry Error:", err.message);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Reverse Geocoding: point -> provinsi/kabupaten/kecamatan/kelurahan
+// GET /api/db/locate?lat=5.18&lng=97.14[&snap=50]
+app.get('/api/db/locate', async (req, res) => {
+    const point = parsePoint(req.query.lat, req.query.lng);
+    if (!point) return res.status(400).json({ error: 'Valid lat and lng are required' });
+
+    const snapMeters = parseSnap(req.query.snap);
+    if (snapMeters === null) return res.status(400).json({ error: `snap must be between 0 and ${MAX_SNAP_METERS} meters` });
+
+    try {
+        const [result] = await locatePoints([point], { snapMeters });
+        res.json({ ...point, ...result });
+    } catch (err) {
+        console.error("Locate Error:", err.message);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Flatten a located point for CSV output
+const LOCATE_CSV_LEVELS = ['provinsi', 'kabupaten', 'kecamatan', 'kelurahan'];
+function flattenLocated(point, result) {
+    const row = { ...point, status: result.status, kode_wilayah: result.code || '' };
+    LOCATE_CSV_LEVELS.forEach(level => {
+        row[`kode_${level}`] = result[level] ? result[level].id : '';
+        row[`nama_${level}`] = result[level] ? result[level].name : '';
+    });
+    return row;
+}
+
+// Bulk Reverse Geocoding
+// Body: JSON array of { lat, lng, ... } (or { points, snap }), or CSV with lat/lng (latitude/longitude/lon) columns.
+// CSV in -> CSV out with kode_*/nama_* columns appended, unless ?format=json.
+app.post('/api/db/locate', express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), async (req, res) => {
+    const isCsv = typeof req.body === 'string';
+    let points;
+
+    try {
+        if (isCsv) {
+            points = parseCsv(req.body, { columns: true, skip_empty_lines: true, trim: true }).map(row => ({
+                ...row,
+                lat: row.lat ?? row.latitude,
+                lng: row.lng ?? row.lon ?? row.longitude
+            }));
+        } else {
+            points = Array.isArray(req.body) ? req.body : (req.body && req.body.points);
+        }
+    } catch (err) {
+        return res.status(400).json({ error: `Invalid CSV: ${err.message}` });
+    }
+
+    if (!Array.isArray(points) || points.length === 0) {
+        return res.status(400).json({ error: 'A non-empty array of points is required' });
+    }
+
+    const snapMeters = parseSnap(req.query.snap ?? (isCsv ? undefined : req.body.snap));
+    if (snapMeters === null) return res.status(400).json({ error: `snap must be between 0 and ${MAX_SNAP_METERS} meters` });
+
+    try {
+        const results = await locatePoints(points, { snapMeters });
+
+        if (isCsv && req.query.format !== 'json') {
+            res.type('text/csv').send(stringifyCsv(points.map((p, i) => flattenLocated(p, results[i])), { header: true }));
+        } else {
+            // Invalid entries (null, numbers, strings) are answered with their result only
+            res.json(points.map((p, i) => ({ ...(p && typeof p === 'object' ? p : {}), ...results[i] })));
+        }
+    } catch (err) {
+        console.error("Bulk Locate Error:", err.message);
+        const status = err.message.startsWith('Too many points') ? 413 : 500;
+        res.status(status).json({ error: status === 413 ? err.message : "Database error" });
+    }
+});
+
+// Datasets: every dataset with its versions, newest first
+app.get('/api/db/datasets', async (req, res) => {
+    try {
+        res.json(await listDatasets());
+    } catch (err) {
+        console.error("Datasets Error:", err.message);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Datasets: import a CSV (Content-Type: text/csv) or JSON body as the next version of ?name=[&description=]
+// Rows are keyed by kode (or kode_wilayah_kemendagri); nothing is stored unless every row is valid.
+app.post('/api/db/datasets', requireEditor, express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), async (req, res) => {
+    const name = String(req.query.name || '').trim().toLowerCase();
+    if (!isValidName(name)) return res.status(400).json({ error: 'name must be lowercase letters, digits, _ or - (e.g. penduduk_2024)' });
+
+    const isCsv = typeof req.body === 'string';
+    if (isCsv ? !req.body.trim() : !req.body || typeof req.body !== 'object') {
+        return res.status(400).json({ error: 'A CSV (text/csv) or JSON (application/json) body is required' });
+    }
+
+    const { fields, rows, problems, problemCount } = parseDataset(req.body, isCsv ? 'csv' : 'json');
+    if (problemCount > 0) return res.status(400).json({ error: 'Invalid dataset', problems, problemCount });
+
+    try {
+        const result = await createDataset(name, { description: req.query.description || null, fields, rows, createdBy: req.user.name });
+        console.log(`Dataset ${name}@${result.version}: ${result.rows} rows, ${result.unmatched} unknown codes by ${req.user.name}`);
+        res.json({ success: true, ...result });
+    } catch (err) {
+        console.error("Dataset Import Error:", err.message);
+        res.status(500).json({ error: "Database error" });
     }
 });
 
 // Get Data from DB for Map
+// ?zoom= picks a precomputed simplification level, ?tolerance= (degrees, 0 = full resolution) overrides it,
+// ?precision= sets the number of coordinate decimals.
+// ?dataset=penduduk[@2] joins a dataset's fields into the feature properties (latest version without @)
 app.get('/api/db/geojson', async (req, res) => {
     const code = req.query.code;
     if (!code) return res.status(400).json({ error: 'Code is required' });
 
+    let geometryOptions;
+    let datasetRef = null;
+    try {
+        geometryOptions = parseGeometryOptions(req.query);
+        if (req.query.dataset) datasetRef = parseDatasetRef(req.query.dataset);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    if (datasetRef && provider.name === 'file') {
+        return res.status(501).json({ error: 'Datasets are not available without a database (DB_PROVIDER=FILE)' });
+    }
+
     try {
         const result = {
             provinsi: { data: null },
@@ -395,31 +795,19 @@ app.get('/api/db/geojson', async (req, res) => {
             kelurahan: { data: null }
         };
 
+        let values = null;
+        if (datasetRef) {
+            const dataset = await getDataset(datasetRef.name, datasetRef.version);
+            if (!dataset) return res.status(404).json({ error: `Dataset ${req.query.dataset} not found` });
+            // Under the kabupaten (or provinsi), so the context layers of a kecamatan/kelurahan get values too
+            values = await getDatasetValues(dataset.id, code.split('.').slice(0, 2).join('.'));
+            const { id, ...info } = dataset;
+            result.dataset = info;
+        }
+
         const codeLen = code.length;
 
-        // Helper to fetch data abstracting provider
-        const fetchGeoData = async (targetLevel, codePrefix) => {
-            console.log(`Fetching GeoData: L${targetLevel}, CodePrefix: ${codePrefix}`);
-            if (process.env.DB_PROVIDER === 'SUPABASE') {
-                const { data, error } = await supabaseAdmin.rpc('get_wilayah_by_level', {
-                    p_level: targetLevel,
-                    p_parent_code: codePrefix
-                });
-                if (error) {
-                    console.error(`Supabase RPC Error (L${targetLevel}, ${codePrefix}):`, error.message);
-                    return [];
-                }
-                console.log(`Supabase RPC Success (L${targetLevel}, ${codePrefix}): Found ${data ? data.length : 0} rows`);
-                return data;
-            } else {
-                const res = await pool.query(`
-                    SELECT kode_wilayah_kemendagri as id, nama_wilayah_kemendagri as name, ST_AsGeoJSON(geometry) as geom 
-                    FROM m_wilayah_poligon 
-                    WHERE level = $1 AND kode_wilayah_kemendagri LIKE $2
-                `, [targetLevel, `${codePrefix}%`]);
-                return res.rows;
-            }
-        };
+        const fetchGeoData = (targetLevel, codePrefix) => provider.getRegions(targetLevel, codePrefix, geometryOptions);
 
         // --- FETCH STRATEGY BASED ON CODE LEVEL ---
 
@@ -427,52 +815,52 @@ app.get('/api/db/geojson', async (req, res) => {
         if (codeLen === 2) {
             // Fetch Provinsi Boundary
             const provRows = await fetchGeoData(1, code);
-            if (provRows.length > 0) result.provinsi.data = toFeatureCollection(provRows);
+            if (provRows.length > 0) result.provinsi.data = toFeatureCollection(provRows, values);
 
             // Fetch All Kabupaten in Provinsi
             const kabRows = await fetchGeoData(2, code);
-            if (kabRows.length > 0) result.kabupaten.data = toFeatureCollection(kabRows);
+            if (kabRows.length > 0) result.kabupaten.data = toFeatureCollection(kabRows, values);
         }
 
         // 2. KABUPATEN (e.g. "11.01")
         else if (codeLen === 5) {
             // Fetch Target Kabupaten
             const kabRows = await fetchGeoData(2, code);
-            if (kabRows.length > 0) result.kabupaten.data = toFeatureCollection(kabRows);
+            if (kabRows.length > 0) result.kabupaten.data = toFeatureCollection(kabRows, values);
 
             // Fetch All Kecamatan in Kabupaten
             const kecRows = await fetchGeoData(3, code);
-            if (kecRows.length > 0) result.kecamatan.data = toFeatureCollection(kecRows);
+            if (kecRows.length > 0) result.kecamatan.data = toFeatureCollection(kecRows, values);
 
             // Fetch All Kelurahan (Optional/Heavy)
             const kelRows = await fetchGeoData(4, code);
-            if (kelRows.length > 0) result.kelurahan.data = toFeatureCollection(kelRows);
+            if (kelRows.length > 0) result.kelurahan.data = toFeatureCollection(kelRows, values);
         }
 
         // 3. KECAMATAN (e.g. "11.01.01")
         else if (codeLen === 8) {
             // Fetch Parent Kabupaten (Context)
             const kabRows = await fetchGeoData(2, code.substring(0, 5));
-            if (kabRows.length > 0) result.kabupaten.data = toFeatureCollection(kabRows);
+            if (kabRows.length > 0) result.kabupaten.data = toFeatureCollection(kabRows, values);
 
             // Fetch Target Kecamatan
             const kecRows = await fetchGeoData(3, code);
-            if (kecRows.length > 0) result.kecamatan.data = toFeatureCollection(kecRows);
+            if (kecRows.length > 0) result.kecamatan.data = toFeatureCollection(kecRows, values);
 
             // Fetch All Kelurahan in Kecamatan
             const kelRows = await fetchGeoData(4, code);
-            if (kelRows.length > 0) result.kelurahan.data = toFeatureCollection(kelRows);
+            if (kelRows.length > 0) result.kelurahan.data = toFeatureCollection(kelRows, values);
         }
 
         // 4. KELURAHAN (e.g. "11.01.01.2001")
         else if (codeLen >= 13) {
             // Fetch Parent Kecamatan (Context)
             const kecRows = await fetchGeoData(3, code.substring(0, 8));
-            if (kecRows.length > 0) result.kecamatan.data = toFeatureCollection(kecRows);
+            if (kecRows.length > 0) result.kecamatan.data = toFeatureCollection(kecRows, values);
 
             // Fetch Target Kelurahan
             const kelRows = await fetchGeoData(4, code);
-            if (kelRows.length > 0) result.kelurahan.data = toFeatureCollection(kelRows);
+            if (kelRows.length > 0) result.kelurahan.data = toFeatureCollection(kelRows, values);
         }
 
         res.json(result);
@@ -483,7 +871,8 @@ app.get('/api/db/geojson', async (req, res) => {
 });
 
 // Helper for GeoJSON response
-function toFeatureCollection(rows) {
+// `values` (Map<kode, { field: value }>) adds dataset fields to the properties
+function toFeatureCollection(rows, values = null) {
     return {
         type: "FeatureCollection",
         features: rows.map(row => {
@@ -498,14 +887,169 @@ function toFeatureCollection(rows) {
             }
             return {
                 type: "Feature",
-                properties: { name: row.name, id: row.id },
+                properties: { name: row.name, id: row.id, ...metricsOf(row), ...(values && values.get(row.id)) },
                 geometry: geometry
             };
         })
     };
 }
 
+// Export regions as GeoJSON, KML, CSV (WKT) or TopoJSON, streamed page by page
+// ?code=11.73&format=kml                  -> the region itself
+// ?code=11.73&level=3 (or level=kecamatan) -> its descendants at that level
+// ?code=11.73&descendants=true             -> the region and all its descendants
+// Full resolution by default; ?zoom=, ?tolerance= and ?precision= work as in /api/db/geojson
+app.get('/api/db/export', async (req, res) => {
+    const code = req.query.code;
+    // The /api/db middleware has checked the format, which also keeps the Content-Disposition file name safe
+    if (!code) return res.status(400).json({ error: 'Code is required' });
+
+    const format = (req.query.format || 'geojson').toLowerCase();
+    if (!FORMATS[format]) return res.status(400).json({ error: `Format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+
+    let level = null;
+    if (req.query.level) {
+        level = parseLevel(req.query.level);
+        if (!level) return res.status(400).json({ error: 'Level must be 1-4 or provinsi/kabupaten/kecamatan/kelurahan' });
+    }
+    const descendants = req.query.descendants === 'true' || req.query.descendants === '1';
+
+    let geometry;
+    try {
+        const explicit = req.query.zoom !== undefined || req.query.tolerance !== undefined;
+        geometry = parseGeometryOptions(explicit ? req.query : { ...req.query, tolerance: 0 });
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    const scope = level ? LEVEL_KEYS[level] : (descendants ? 'all' : LEVEL_KEYS[Math.min(code.split('.').length, 4)]);
+    const layerName = `wilayah_${code}_${scope}`;
+    const rows = iterateRegions({ code, level, descendants, geometry });
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    let next;
+    try {
+        next = await rows.next();
+    } catch (err) {
+        console.error("Export Error:", err.message);
+        return res.status(500).json({ error: "Database error" });
+    }
+    if (next.done) return res.status(404).json({ error: 'No regions match the selection' });
+
+    const writer = createWriter(format, layerName);
+    res.set('Content-Type', FORMATS[format].contentType);
+    res.set('Content-Disposition', `attachment; filename="${layerName}.${FORMATS[format].extension}"`);
+
+    // Respect backpressure so large exports never pile up in memory
+    const write = (chunk) => new Promise(resolve => {
+        if (!chunk || res.write(chunk)) return resolve();
+        res.once('drain', resolve);
+        res.once('close', resolve);
+    });
+
+    try {
+        await write(writer.head());
+        let count = 0;
+        while (!next.done && !closed) {
+            await write(writer.row(next.value, count++));
+            next = await rows.next();
+        }
+        if (closed) {
+            await rows.return();
+            return;
+        }
+        res.end(writer.tail());
+        console.log(`Exported ${count} regions (${layerName}, ${format})`);
+    } catch (err) {
+        // Headers are already sent; abort so the client sees an incomplete download
+        console.error("Export Error:", err.message);
+        res.destroy(err);
+    }
+});
+
+// Vector Tiles (Mapbox Vector Tile), one layer per level: provinsi, kabupaten, kecamatan, kelurahan
+// Levels included depend on zoom (see LEVEL_ZOOMS). Optional ?code= limits tiles to one region.
+app.get('/tiles/:z/:x/:y.mvt', async (req, res) => {
+    const tile = parseTile(req.params.z, req.params.x, req.params.y);
+    if (!tile) return res.status(400).json({ error: 'Invalid tile coordinates' });
+
+    try {
+        const buffer = await getTile(tile, { code: req.query.code || '' });
+        res.set('Cache-Control', 'public, max-age=3600');
+        if (buffer.length === 0) return res.status(204).end();
+        res.type('application/vnd.mapbox-vector-tile').send(buffer);
+    } catch (err) {
+        console.error("Tile Error:", err.message);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// TileJSON for the tiles above, with bounds of the requested region
+app.get('/tiles/metadata.json', async (req, res) => {
+    const code = req.query.code || '';
+
+    try {
+        const bounds = await getBounds(code);
+        if (!bounds) return res.status(404).json({ error: 'Region not found' });
+
+        const query = code ? `?code=${encodeURIComponent(code)}` : '';
+        res.json({
+            tilejson: '3.0.0',
+            tiles: [`${req.protocol}://${req.get('host')}/tiles/{z}/{x}/{y}.mvt${query}`],
+            minzoom: 0,
+            maxzoom: MAX_ZOOM,
+            bounds,
+            vector_layers: Object.entries(LEVEL_ZOOMS).map(([level, zooms]) => ({
+                id: LEVEL_KEYS[level],
+                fields: { id: 'String', name: 'String' },
+                ...zooms
+            }))
+        });
+    } catch (err) {
+        console.error("Tile Metadata Error:", err.message);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
 // Original File-based API (kept for backward compatibility or fallback)
+// Source files as { provinsi: { data, size }, kabupaten, kecamatan, kelurahan } for the map preview
+function previewSources(files) {
+    const result = {
+        provinsi: { data: null, size: 0 },
+        kabupaten: { data: null, size: 0 },
+        kecamatan: { data: null, size: 0 },
+        kelurahan: { data: null, size: 0 }
+    };
+
+    // Only the last file per level ends up in the response, so skip reading the others
+    const filesByLevel = {};
+    files.forEach(file => { filesByLevel[file.level] = file; });
+
+    Object.values(filesByLevel).forEach(file => {
+        try {
+            const data = file.read();
+
+            // Expose the mapped code/name (rules + overrides) like the DB output does
+            data.features.forEach(feature => {
+                try {
+                    const { kode, nama, sourceKey, overridden } = transformProperties(feature, file.level);
+                    feature.properties = { ...feature.properties, id: kode, name: nama, source_key: sourceKey, overridden };
+                } catch (err) {
+                    // Leave unmappable features as they are, dry-run reports them
+                }
+            });
+
+            result[LEVEL_KEYS[file.level]] = { data: data, size: file.size };
+        } catch (err) {
+            console.error(`Error reading file ${file.name}:`, err);
+        }
+    });
+
+    return result;
+}
+
 app.get('/api/geojson', (req, res) => {
     const code = req.query.code;
     if (!code) {
@@ -517,53 +1061,32 @@ app.get('/api/geojson', (req, res) => {
             return res.status(500).json({ error: 'GEOJSON directory not found' });
         }
 
-        const files = fs.readdirSync(GEOJSON_DIR);
-        // Filter files that start with the code and end with .geojson
-        const matchedFiles = files.filter(file => {
-            if (code.length === 2 && file.match(new RegExp(`^${code}_[^_]+\.geojson$`))) return true; // Match "11_Aceh.geojson"
-            return file.startsWith(code) && file.endsWith('.geojson');
-        });
+        // Loose files and entries of geojson/ZIP/*.zip matching the code
+        const matchedFiles = listSources(code);
 
         if (matchedFiles.length === 0) {
             return res.status(404).json({ error: 'No data found for this code' });
         }
 
-        const result = {
-            provinsi: { data: null, size: 0 },
-            kabupaten: { data: null, size: 0 },
-            kecamatan: { data: null, size: 0 },
-            kelurahan: { data: null, size: 0 }
-        };
-
-        matchedFiles.forEach(file => {
-            const filePath = path.join(GEOJSON_DIR, file);
-            try {
-                const fileStats = fs.statSync(filePath);
-                const fileSizeInBytes = fileStats.size;
-                const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-
-                if (file.endsWith('_kecamatan.geojson')) {
-                    result.kecamatan = { data: data, size: fileSizeInBytes };
-                } else if (file.endsWith('_kelurahan.geojson')) {
-                    result.kelurahan = { data: data, size: fileSizeInBytes };
-                } else if (code.length === 2 && file.match(new RegExp(`^${code}_[^_]+\.geojson$`))) {
-                    result.provinsi = { data: data, size: fileSizeInBytes };
-                } else {
-                    // Assuming the file matching the code but not ending in _kecamatan or _kelurahan is the kabupaten boundary
-                    result.kabupaten = { data: data, size: fileSizeInBytes };
-                }
-            } catch (err) {
-                console.error(`Error reading file ${file}:`, err);
-            }
-        });
-
-        res.json(result);
+        res.json(previewSources(matchedFiles));
     } catch (error) {
         console.error('Error reading files:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.listen(PORT, () => {
-    console.log(`Server is running on http://localhost:${PORT}`);
-});
+// `node server.js` starts the server; tests require the app without listening or touching the database
+if (require.main === module) {
+    // Try to initialize DB on startup, but don't crash if it fails (allows local dev without DB)
+    if (provider.name === 'file') {
+        console.log("File provider selected: serving geojson/ without a database, writes are disabled.");
+    } else {
+        initOnStartup().then(() => seedOnStartup());
+    }
+
+    app.listen(PORT, () => {
+        console.log(`Server is running on http://localhost:${PORT}`);
+    });
+}
+
+module.exports = app;
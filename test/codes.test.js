@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidCode, levelOfCode, assertValidCode } = require('../lib/codes');
+
+test('isValidCode accepts the four region code levels', () => {
+    ['11', '11.73', '11.73.02', '11.73.02.2001'].forEach(code => assert.equal(isValidCode(code), true, code));
+});
+
+test('isValidCode rejects LIKE wildcards, partial segments and non-strings', () => {
+    ['%', '1_', '11.%', '11.7_', '11\\', '', '1', '11.7', '11.73.02.201', '11.73.02.2001.1', '11.', ' 11', '11\r\n']
+        .forEach(code => assert.equal(isValidCode(code), false, JSON.stringify(code)));
+    [11, null, undefined, ['11']].forEach(code => assert.equal(isValidCode(code), false, String(code)));
+});
+
+test('levelOfCode counts the segments of a region code', () => {
+    assert.deepEqual(['11', '11.73', '11.73.02', '11.73.02.2001'].map(levelOfCode), [1, 2, 3, 4]);
+    assert.equal(levelOfCode('11.011'), null);
+    assert.equal(levelOfCode(null), null);
+});
+
+test('assertValidCode returns valid codes and names the bad one', () => {
+    assert.equal(assertValidCode('11.73'), '11.73');
+    assert.throws(() => assertValidCode('%'), /Invalid code "%": expected a region code like 11, 11\.73/);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const pool = require('../lib/postgres');
+const { diffSource, findMissingFromSource, findSourceFeature } = require('../lib/diff');
+const { stubQueries } = require('./support/server');
+
+// The database as the 11.73 sources describe it, except: 11.73.04 is missing, 11.73.02 has an old name,
+// 11.73.01 an old boundary, and 11.73.05 (sourced) and 11.73.06 (derived) are not in the files
+function compareRows([json]) {
+    return JSON.parse(json).map(({ kode, nama }) => ({
+        kode,
+        in_db: kode !== '11.73.04',
+        db_name: kode === '11.73.02' ? 'Banda Sakti Lama' : nama,
+        origin: 'sourced',
+        geometry_changed: kode === '11.73.01',
+        db_area_km2: 10,
+        source_area_km2: kode === '11.73.01' ? 12.5 : 10
+    }));
+}
+const UNDER = [
+    { kode: '11.73.01', nama: 'Muara Dua', level: 3, origin: 'sourced', area_km2: 10 },
+    { kode: '11.73.05', nama: 'Gone', level: 3, origin: 'sourced', area_km2: 3.14159 },
+    { kode: '11.73.06', nama: 'Built', level: 3, origin: 'derived', area_km2: 1 }
+];
+const listUnder = ([code, levels]) => (code === '11.73' ? UNDER.filter(r => levels.includes(r.level)) : []);
+
+test('diffSource reports added, removed, renamed and reshaped regions', async (t) => {
+    stubQueries(t, pool, [[/jsonb_array_elements/, compareRows], [/level = ANY\(\$2\)/, listUnder]]);
+
+    const report = await diffSource('11.73');
+
+    assert.deepEqual(report.added.map(r => r.kode), ['11.73.04']);
+    assert.deepEqual(report.removed, [{ kode: '11.73.05', nama: 'Gone', level: 3, areaKm2: 3.142 }]);
+    assert.deepEqual(report.renamed.map(r => [r.kode, r.oldName, r.newName]), [['11.73.02', 'Banda Sakti Lama', 'Banda Sakti']]);
+    assert.deepEqual(report.geometryChanged.map(r => [r.kode, r.areaDiffKm2, r.areaDiffPct]), [['11.73.01', 2.5, 25]]);
+    assert.equal(report.summary.files, 3);
+    assert.deepEqual(report.summary.levels, [2, 3, 4]);
+    assert.equal(report.summary.unchanged, report.summary.features - 3);
+});
+
+test('findMissingFromSource keeps derived rows and rows still in the files', async (t) => {
+    stubQueries(t, pool, [[/level = ANY\(\$2\)/, listUnder]]);
+
+    const missing = await findMissingFromSource('11.73', [3], new Set(['11.73.01']));
+    assert.deepEqual(missing.map(r => r.kode), ['11.73.05']);
+    assert.deepEqual(await findMissingFromSource('11.73', [], new Set()), []);
+});
+
+test('findSourceFeature finds one region in the file of its level', () => {
+    const feature = findSourceFeature('11.73.02');
+    assert.equal(feature.nama, 'Banda Sakti');
+    assert.equal(feature.file, '11.73_kecamatan.geojson');
+    assert.ok(feature.geometry);
+    assert.equal(findSourceFeature('11.73.99'), null);
+});
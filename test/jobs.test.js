@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createJob, getJob, codesOverlap, findActiveJob, updateJob, cancelJob, toPublicJob, onJobUpdate, isFinished } = require('../lib/jobs');
+
+test('codesOverlap matches the same region, its ancestors and descendants', () => {
+    assert.equal(codesOverlap('11.73', '11.73'), true);
+    assert.equal(codesOverlap('11', '11.73'), true);
+    assert.equal(codesOverlap('11.73.02', '11.73'), true);
+    assert.equal(codesOverlap('11.73', '11.74'), false);
+    assert.equal(codesOverlap('11.7', '11.73'), false);
+});
+
+test('findActiveJob refuses overlapping sync and dry-run jobs', () => {
+    const sync = createJob('sync', '12.73');
+    updateJob(sync, { status: 'running' });
+
+    assert.equal(findActiveJob('12.73'), sync);
+    assert.equal(findActiveJob('12'), sync, 'a sync of the provinsi would write the same rows');
+    assert.equal(findActiveJob('12.73.02'), sync);
+    assert.equal(findActiveJob('12.74'), null);
+
+    updateJob(sync, { status: 'completed' });
+    assert.equal(findActiveJob('12.73'), null, 'finished jobs do not block');
+
+    const dryRun = createJob('dry-run', '12.75');
+    assert.equal(findActiveJob('12.75.01'), dryRun, 'queued dry-runs count too');
+    cancelJob(dryRun);
+    updateJob(dryRun, { status: 'cancelled' });
+    assert.equal(findActiveJob('12.75'), null);
+});
+
+test('updateJob notifies listeners and stamps finished jobs', () => {
+    const job = createJob('sync', '13.01');
+    const updates = [];
+    const unsubscribe = onJobUpdate(job.id, update => updates.push(update));
+
+    updateJob(job, { status: 'running', featuresDone: 5 });
+    updateJob(job, { status: 'completed' });
+    unsubscribe();
+    updateJob(job, { featuresDone: 6 });
+
+    assert.deepEqual(updates.map(u => u.status), ['running', 'completed']);
+    assert.equal(updates[0].featuresDone, 5);
+    assert.ok(job.finishedAt);
+    assert.equal(isFinished(job), true);
+    assert.equal(getJob(job.id), job);
+});
+
+test('cancelJob only asks running jobs to stop', () => {
+    const job = createJob('sync', '13.02');
+    assert.equal(cancelJob(job), true);
+    assert.equal(toPublicJob(job).cancelling, true);
+    assert.equal('cancelRequested' in toPublicJob(job), false);
+
+    updateJob(job, { status: 'cancelled' });
+    assert.equal(cancelJob(job), false);
+    assert.equal(toPublicJob(job).cancelling, false);
+});
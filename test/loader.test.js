@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const pool = require('../lib/postgres');
+const { createBulkLoader } = require('../lib/loader');
+
+// Stands in for pg: records the statements the loader sends on its client
+function fakeClient() {
+    const client = {
+        statements: [],
+        released: false,
+        async query(sql, params = []) {
+            const statement = sql.trim().split(/\s+/).slice(0, 3).join(' ');
+            client.statements.push({ statement, params });
+            if (statement.startsWith('DELETE')) return { rows: [{ kode: '11.73.09', nama: 'Gone', level: 3 }] };
+            return { rows: [] };
+        },
+        release(err) {
+            client.released = err ? 'destroyed' : true;
+        }
+    };
+    return client;
+}
+
+const upserts = (client) => client.statements.filter(s => s.statement.startsWith('INSERT INTO m_wilayah_poligon'));
+const square = { type: 'Polygon', coordinates: [[[96, 4], [96.1, 4], [96.1, 4.1], [96, 4]]] };
+
+test.beforeEach((t) => {
+    t.client = fakeClient();
+    t.mock.method(pool, 'connect', async () => t.client);
+});
+
+test('features are upserted in batches inside one transaction', async (t) => {
+    const loader = await createBulkLoader({ batchSize: 100 });
+    for (let i = 1; i <= 250; i++) await loader.add(`11.73.01.${2000 + i}`, `Desa ${i}`, 4, square, '11.73_kelurahan.geojson');
+    const rows = await loader.commit();
+
+    assert.equal(rows, 250);
+    assert.deepEqual(upserts(t.client).map(s => JSON.parse(s.params[0]).length), [100, 100, 50]);
+    assert.equal(t.client.statements[0].statement, 'BEGIN');
+    assert.equal(t.client.statements.at(-1).statement, 'COMMIT');
+    assert.equal(t.client.released, true);
+
+    const first = JSON.parse(upserts(t.client)[0].params[0])[0];
+    assert.equal(first.parent, '11.73.01');
+    assert.equal(first.source_file, '11.73_kelurahan.geojson');
+    assert.equal(upserts(t.client)[0].params[2], loader.runId, 'rows are stamped with the run id');
+});
+
+test('a code added twice in one batch is written once, last one wins', async (t) => {
+    const loader = await createBulkLoader({ batchSize: 10 });
+    await loader.add('11.73.01', 'Old name', 3, square);
+    await loader.add('11.73.01', 'New name', 3, square);
+    await loader.commit();
+
+    const rows = JSON.parse(upserts(t.client)[0].params[0]);
+    assert.deepEqual(rows.map(r => r.nama), ['New name']);
+});
+
+test('rollback discards the transaction and closes the loader', async (t) => {
+    const loader = await createBulkLoader({ batchSize: 1 });
+    await loader.add('11.73.01', 'Banda Sakti', 3, square);
+    await loader.rollback();
+
+    assert.equal(t.client.statements.at(-1).statement, 'ROLLBACK');
+    assert.equal(t.client.released, true);
+    await assert.rejects(loader.add('11.73.02', 'Muara Dua', 3, square), /already closed/);
+});
+
+test('a failing BEGIN gives the client back to the pool, discarding it', async (t) => {
+    t.client.query = async () => {
+        throw new Error('terminating connection');
+    };
+
+    await assert.rejects(createBulkLoader(), /terminating connection/);
+    assert.equal(t.client.released, 'destroyed');
+});
+
+test('a failing commit rolls back', async (t) => {
+    const query = t.client.query;
+    t.client.query = async (sql, params) => {
+        if (sql === 'COMMIT') throw new Error('connection lost');
+        return query(sql, params);
+    };
+
+    const loader = await createBulkLoader();
+    await loader.add('11.73.01', 'Banda Sakti', 3, square);
+    await assert.rejects(loader.commit(), /connection lost/);
+    assert.equal(t.client.statements.at(-1).statement, 'ROLLBACK');
+});
+
+test('mirror mode prunes inside the transaction, before the commit', async (t) => {
+    const loader = await createBulkLoader({ mirror: { code: '11.73', levels: [3] } });
+    await loader.add('11.73.01', 'Banda Sakti', 3, square);
+    await loader.commit();
+
+    const statements = t.client.statements.map(s => s.statement);
+    assert.ok(statements.indexOf('DELETE FROM m_wilayah_poligon') < statements.indexOf('COMMIT'));
+    assert.deepEqual(loader.pruned.map(r => r.kode), ['11.73.09']);
+});
+
+test('mirror mode refuses a code with LIKE wildcards before opening a transaction', async (t) => {
+    await assert.rejects(createBulkLoader({ mirror: { code: '1_', levels: [2] } }), /Invalid code "1_"/);
+    assert.equal(pool.connect.mock.callCount(), 0);
+});
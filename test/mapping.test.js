@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Rules and overrides from temporary files (read when lib/mapping.js is loaded)
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wilayah-mapping-'));
+process.env.CODE_MAPPING_FILE = path.join(dir, 'code_mapping.json');
+process.env.CODE_OVERRIDES_FILE = path.join(dir, 'code_overrides.csv');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { transformProperties, sourceKeyOf } = require('../lib/mapping');
+
+const kelurahan = { kd_propinsi: '11', kd_dati2: '01', kd_kecamatan: '003', kd_kelurahan: '004', nm_kelurahan: 'Ujung Batee' };
+const feature = (properties) => ({ type: 'Feature', properties, geometry: null });
+
+// Files are re-read when their mtime changes; bump it so quick rewrites are picked up
+let tick = 0;
+function write(file, content) {
+    fs.writeFileSync(file, content);
+    const time = new Date(Date.now() + ++tick * 1000);
+    fs.utimesSync(file, time, time);
+}
+
+test.beforeEach(() => {
+    fs.rmSync(process.env.CODE_MAPPING_FILE, { force: true });
+    fs.rmSync(process.env.CODE_OVERRIDES_FILE, { force: true });
+});
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('built-in rules derive the Kemendagri code per level', () => {
+    assert.deepEqual(transformProperties(feature({ kd_propinsi: '11', nm_propinsi: 'Aceh' }), 1), {
+        kode: '11', nama: 'Aceh', sourceKey: '11', overridden: false
+    });
+    assert.equal(transformProperties(feature({ ...kelurahan, nm_kecamatan: 'Samadua' }), 3).kode, '11.01.03');
+    assert.equal(transformProperties(feature(kelurahan), 4).kode, '11.01.03.2004');
+});
+
+test('missing properties and unknown modifiers are errors', () => {
+    assert.throws(() => transformProperties(feature({ kd_propinsi: '11' }), 2), /Missing property kd_dati2/);
+
+    write(process.env.CODE_MAPPING_FILE, JSON.stringify({ levels: { 2: { code: '{kd_propinsi}.{kd_dati2|reverse:2}', name: '{nm_dati2}' } } }));
+    assert.throws(() => transformProperties(feature({ kd_propinsi: '11', kd_dati2: '01', nm_dati2: 'Aceh Selatan' }), 2), /Unknown modifier "reverse"/);
+});
+
+test('configured rules replace a level, the longest matching scope wins', () => {
+    write(process.env.CODE_MAPPING_FILE, JSON.stringify({
+        levels: { 4: { code: '{kd_propinsi}.{kd_dati2}.{kd_kecamatan|last:2}.{kd_kelurahan|pad:4}', name: '{nm_kelurahan}' } },
+        scopes: {
+            11: { 4: { code: '{kd_propinsi}.{kd_dati2}.{kd_kecamatan|first:2}.9{kd_kelurahan}' } },
+            '11.01': { 4: { code: '{kd_propinsi}.{kd_dati2}.{kd_kecamatan|last:2}.1{kd_kelurahan}' } }
+        }
+    }));
+
+    assert.equal(transformProperties(feature(kelurahan), 4).kode, '11.01.03.1004');
+    assert.equal(transformProperties(feature({ ...kelurahan, kd_dati2: '02' }), 4).kode, '11.02.00.9004');
+    assert.equal(transformProperties(feature({ ...kelurahan, kd_propinsi: '12' }), 4).kode, '12.01.03.0004');
+    assert.throws(() => transformProperties(feature({ ...kelurahan, kd_dati2: '011' }), 4), /Code "11\.011\.00\.9004" is not a level 4 region code/,
+        '"11.011" is not in scope "11.01", and not a code either');
+});
+
+test('rendered codes must be region codes of the level', () => {
+    write(process.env.CODE_MAPPING_FILE, JSON.stringify({ levels: { 3: { code: '{kd_propinsi}.{kd_dati2}', name: '{nm_kecamatan}' } } }));
+
+    assert.throws(() => transformProperties(feature({ ...kelurahan, nm_kecamatan: 'Samadua' }), 3), /Code "11\.01" is not a level 3 region code/);
+});
+
+test('overrides replace the code, and the name when given', () => {
+    write(process.env.CODE_OVERRIDES_FILE, [
+        'source_key,kode,nama',
+        '11.01.003.004,11.01.03.2099,',
+        '11.01.003.005,11.01.03.2005,Ujong Pulo Rayek',
+        ',11.01.03.2006,Without key'
+    ].join('\n'));
+
+    assert.deepEqual(transformProperties(feature(kelurahan), 4), {
+        kode: '11.01.03.2099', nama: 'Ujung Batee', sourceKey: '11.01.003.004', overridden: true
+    });
+    const renamed = transformProperties(feature({ ...kelurahan, kd_kelurahan: '005' }), 4);
+    assert.equal(renamed.nama, 'Ujong Pulo Rayek');
+    assert.equal(transformProperties(feature({ ...kelurahan, kd_kelurahan: '006' }), 4).overridden, false);
+});
+
+test('overrides must be region codes', () => {
+    write(process.env.CODE_OVERRIDES_FILE, ['source_key,kode,nama', '11.01.003.004,11.01.03.2099,', '11.01.003.005,11.01.3.5,'].join('\n'));
+
+    assert.throws(() => transformProperties(feature(kelurahan), 4), /code_overrides\.csv line 3: kode "11\.01\.3\.5" is not a region code/);
+});
+
+test('an override must keep the level of the feature', () => {
+    write(process.env.CODE_OVERRIDES_FILE, ['source_key,kode,nama', '11.01.003.004,11.01.03,'].join('\n'));
+
+    assert.throws(() => transformProperties(feature(kelurahan), 4), /Code "11\.01\.03" is not a level 4 region code/);
+});
+
+test('the source key is the raw code parts up to the level', () => {
+    assert.equal(sourceKeyOf(kelurahan, 3), '11.01.003');
+    assert.equal(sourceKeyOf(kelurahan, 4), '11.01.003.004');
+});
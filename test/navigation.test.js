@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { linkQuery, parseView, codeTrail, childCodeOf } = require('../public/navigation');
+
+test('linkQuery leaves out empty values and keeps commas readable', () => {
+    assert.equal(linkQuery({
+        code: '11.73.03.2001',
+        source: 'db',
+        dataset: '',
+        levels: 'kecamatan,kelurahan',
+        base: undefined,
+        view: '5.17000,97.14000,14'
+    }), 'code=11.73.03.2001&source=db&levels=kecamatan,kelurahan&view=5.17000,97.14000,14');
+});
+
+test('linkQuery encodes everything but the commas', () => {
+    assert.equal(linkQuery({ dataset: 'penduduk@2', code: 'a&b=c' }), 'dataset=penduduk%402&code=a%26b%3Dc');
+    assert.equal(linkQuery({}), '');
+});
+
+test('parseView reads latitude, longitude and zoom', () => {
+    assert.deepEqual(parseView('5.17,97.14,14'), { lat: 5.17, lng: 97.14, zoom: 14 });
+    assert.deepEqual(parseView('-6.2,106.8,8'), { lat: -6.2, lng: 106.8, zoom: 8 });
+});
+
+test('parseView rejects anything but three numbers', () => {
+    for (const value of [null, '', '5.17,97.14', '5.17,97.14,14,2', '5.17,,14', 'a,b,c', '5.17,97.14,Infinity']) {
+        assert.equal(parseView(value), null, String(value));
+    }
+});
+
+test('codeTrail lists the region and its ancestors, top first', () => {
+    assert.deepEqual(codeTrail('11.73.02.2001'), ['11', '11.73', '11.73.02', '11.73.02.2001']);
+    assert.deepEqual(codeTrail('11'), ['11']);
+});
+
+test('childCodeOf opens one level down from the loaded region', () => {
+    assert.equal(childCodeOf('11.73.02', '11.73'), '11.73.02');
+    assert.equal(childCodeOf('11.73.02.2001', '11.73'), '11.73.02', 'a kelurahan drawn in a kabupaten opens its kecamatan');
+    assert.equal(childCodeOf('11.73.02.2001', '11.73.02'), '11.73.02.2001');
+});
+
+test('childCodeOf ignores regions outside the loaded one', () => {
+    assert.equal(childCodeOf('11.73', '11.73'), null);
+    assert.equal(childCodeOf('11.74.01', '11.73'), null);
+    assert.equal(childCodeOf('11.730.01', '11.73'), null);
+    assert.equal(childCodeOf(undefined, '11.73'), null);
+});
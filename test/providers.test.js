@@ -0,0 +1,93 @@
+process.env.DB_PROVIDER = 'FILE';
+process.env.SESSION_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const provider = require('../lib/providers');
+const { parseSearchParams } = require('../lib/search');
+const { startServer } = require('./support/server');
+
+// DB_PROVIDER=FILE over the geojson/ files of the repo: Kota Lhokseumawe (11.73) has 4 kecamatan and 68 kelurahan
+
+let server;
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.close());
+
+test('the file provider is selected by DB_PROVIDER=FILE', () => {
+    assert.equal(provider.name, 'file');
+});
+
+test('getStatus counts regions per level under the code', async () => {
+    assert.deepEqual(await provider.getStatus('11.73'), {
+        provinsi: 0, kabupaten: 1, kecamatan: 4, kelurahan: 68, available: true, fileAvailable: true
+    });
+    assert.deepEqual(await provider.getStatus('99'), {
+        provinsi: 0, kabupaten: 0, kecamatan: 0, kelurahan: 0, available: false, fileAvailable: false
+    });
+});
+
+test('getNode, getChildren and getAncestors follow the codes of the files', async () => {
+    assert.deepEqual(await provider.getNode('11.73'), { id: '11.73', name: 'Kota Lhokseumawe', level: 2, parent: '11' });
+    assert.equal(await provider.getNode('11.99'), null);
+
+    const children = await provider.getChildren('11.73');
+    assert.deepEqual(children.map(c => c.id), ['11.73.01', '11.73.02', '11.73.03', '11.73.04']);
+    assert.ok(children.every(c => c.level === 3 && c.parent === '11.73'));
+
+    const ancestors = await provider.getAncestors(children[0].id);
+    assert.deepEqual(ancestors.map(a => a.id), ['11.73', '11'], 'nearest parent first');
+});
+
+test('getSiblings lists the other children of the same parent', async () => {
+    const siblings = await provider.getSiblings('11.73.02');
+
+    assert.deepEqual(siblings.map(s => s.id), ['11.73.01', '11.73.03', '11.73.04']);
+    assert.deepEqual(await provider.getSiblings('11.99'), []);
+});
+
+test('getRegions returns rows with geometry and metrics for toFeatureCollection()', async () => {
+    const rows = await provider.getRegions(3, '11.73', { precision: 3 });
+
+    assert.equal(rows.length, 4);
+    const [row] = rows;
+    assert.ok(['Polygon', 'MultiPolygon'].includes(row.geom.type));
+    assert.ok(row.area_km2 > 0 && row.perimeter_km > 0);
+    assert.equal(row.bbox.length, 4);
+
+    const coordinate = JSON.stringify(row.geom.coordinates).match(/-?\d+\.\d+/g);
+    assert.ok(coordinate.every(value => value.split('.')[1].length <= 3), 'coordinates rounded to the precision');
+});
+
+test('GET /api/db/status and /api/db/children are served from the files', async () => {
+    const status = await (await server.request('/api/db/status?code=11.73')).json();
+    assert.equal(status.provider, 'file');
+    assert.equal(status.kelurahan, 68);
+
+    const res = await server.request('/api/db/children?code=11.73');
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).items.length, 4);
+});
+
+test('database-only routes and the vector tiles answer 501', async () => {
+    for (const path of ['/api/db/qa/coverage?code=11.73', '/api/db/export?code=11.73', '/api/db/history?code=11.73', '/tiles/metadata.json']) {
+        const res = await server.request(path);
+        assert.equal(res.status, 501, path);
+    }
+});
+
+test('search ranks code, exact, prefix and fuzzy name matches like the database', async () => {
+    const byCode = await provider.search(parseSearchParams({ q: '1173' }));
+    assert.equal(byCode.items[0].id, '11.73');
+    assert.equal(byCode.items[0].match, 'code');
+    assert.ok(byCode.items.slice(1).every(hit => hit.match === 'code_prefix' && hit.id.startsWith('11.73.')));
+    assert.equal(byCode.hasMore, true);
+
+    const byName = await provider.search(parseSearchParams({ q: 'banda sakti', parent: '11.73' }));
+    assert.equal(byName.items[0].match, 'exact');
+    assert.equal(byName.items[0].label, 'Banda Sakti — Kota Lhokseumawe, Aceh');
+
+    const fuzzy = await provider.search(parseSearchParams({ q: 'lhoksumawe', level: '2' }));
+    assert.deepEqual(fuzzy.items.map(hit => [hit.id, hit.match]), [['11.73', 'fuzzy']]);
+});
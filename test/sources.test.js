@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLevel, matchesCode, detectLevel, listSources } = require('../lib/sources');
+
+test('parseLevel accepts numbers and level names', () => {
+    assert.equal(parseLevel('3'), 3);
+    assert.equal(parseLevel(4), 4);
+    assert.equal(parseLevel('kabupaten'), 2);
+    assert.equal(parseLevel('5'), null);
+    assert.equal(parseLevel('desa'), null);
+    assert.equal(parseLevel(undefined), null);
+});
+
+test('matchesCode only takes GeoJSON files of the code', () => {
+    assert.equal(matchesCode('11_Aceh.geojson', '11'), true);
+    assert.equal(matchesCode('11.73_kelurahan.geojson', '11'), true);
+    assert.equal(matchesCode('11.73_kelurahan.geojson', '11.73'), true);
+    assert.equal(matchesCode('11.73_kelurahan.geojson', '11.74'), false);
+    assert.equal(matchesCode('README.txt', '11'), false);
+    assert.equal(matchesCode('11.73_kelurahan.json', '11.73'), false);
+});
+
+test('detectLevel classifies files by their name', () => {
+    assert.equal(detectLevel('11_Aceh.geojson'), 1);
+    assert.equal(detectLevel('11.07_Pidie.geojson'), 2);
+    assert.equal(detectLevel('11.07_kecamatan.geojson'), 3);
+    assert.equal(detectLevel('11.07_kelurahan.geojson'), 4);
+});
+
+test('listSources finds files inside geojson/ZIP archives', () => {
+    // 11.07_kelurahan.geojson only exists in geojson/ZIP/11.07_Pidie.zip
+    const sources = listSources('11.07');
+    const kelurahan = sources.find(s => s.name === '11.07_kelurahan.geojson');
+    assert.ok(kelurahan, 'kelurahan entry of the archive is listed');
+    assert.equal(kelurahan.origin, 'zip');
+    assert.equal(kelurahan.archive, '11.07_Pidie.zip');
+    assert.equal(kelurahan.level, 4);
+    assert.ok(kelurahan.size > 0);
+    assert.ok(sources.every(s => s.name.endsWith('.geojson')), 'README.txt and other entries are skipped');
+});
+
+test('listSources prefers loose files over archive entries and sorts parents first', () => {
+    const sources = listSources('11.01');
+    const names = sources.map(s => s.name);
+
+    assert.equal(new Set(names).size, names.length, 'no duplicate names');
+    assert.equal(sources.find(s => s.name === '11.01_Aceh_Selatan.geojson').origin, 'file');
+    assert.equal(sources.find(s => s.name === '11.01_kelurahan.geojson').origin, 'zip');
+    assert.deepEqual(sources.map(s => s.level), [...sources.map(s => s.level)].sort());
+});
+
+test('listSources of an unknown code is empty', () => {
+    assert.deepEqual(listSources('99.99'), []);
+});
+
+test('archive entries read as GeoJSON', () => {
+    const kecamatan = listSources('11.07').find(s => s.name === '11.07_kecamatan.geojson');
+    assert.equal(kecamatan.origin, 'zip');
+
+    const data = kecamatan.read();
+    assert.equal(data.type, 'FeatureCollection');
+    assert.ok(data.features.length > 0);
+});
@@ -0,0 +1,44 @@
+// Helpers for endpoint tests. The environment (DB_PROVIDER, ...) must be set before startServer() loads server.js.
+
+// server.js on a free port; request() is fetch() against it
+async function startServer() {
+    const app = require('../../server');
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        base,
+        request: (path, options) => fetch(`${base}${path}`, options),
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// JSON request options for POST endpoints
+const postJson = (body, headers = {}) => ({
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+});
+
+/**
+ * Replace pool.query with canned answers: `handlers` is a list of [pattern, (params, sql) => rows].
+ * The first pattern matching the SQL answers; unmatched SQL fails the query. Returns the calls made.
+ */
+function stubQueries(t, pool, handlers) {
+    const calls = [];
+    t.mock.method(pool, 'query', async (sql, params = []) => {
+        calls.push({ sql, params });
+        const handler = handlers.find(([pattern]) => pattern.test(sql));
+        if (!handler) throw new Error(`Unexpected query: ${sql.trim().slice(0, 80)}`);
+        return { rows: handler[1](params, sql) };
+    });
+    return calls;
+}
+
+// POSTGRES auth: send EDITOR_HEADERS and add EDITOR_QUERY to the stubbed queries to pass requireEditor
+const EDITOR_HEADERS = { 'X-API-Key': 'wk_test' };
+const EDITOR_QUERY = [/FROM m_pengguna WHERE api_key_hash = \$1/, () => [{ id: 1, username: 'editor', role: 'editor' }]];
+
+module.exports = { startServer, postJson, stubQueries, EDITOR_HEADERS, EDITOR_QUERY };
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const pool = require('../lib/postgres');
+const { transformProperties } = require('../lib/mapping');
+const { checkProperties, isEmptyGeometry, createValidator } = require('../lib/validation');
+
+const square = { type: 'Polygon', coordinates: [[[96, 4], [96.1, 4], [96.1, 4.1], [96, 4.1], [96, 4]]] };
+const bowtie = { type: 'Polygon', coordinates: [[[96, 4], [96.1, 4.1], [96.1, 4], [96, 4.1], [96, 4]]] };
+const kecamatan = (kd, geometry = square) => ({
+    type: 'Feature',
+    properties: { kd_propinsi: '11', kd_dati2: '73', kd_kecamatan: kd, nm_kecamatan: `Kecamatan ${kd}` },
+    geometry
+});
+
+test('checkProperties lists missing and malformed code parts', () => {
+    assert.deepEqual(checkProperties(kecamatan('010').properties, 3), []);
+    assert.deepEqual(checkProperties({ kd_propinsi: '11', kd_dati2: '7', nm_dati2: ' ' }, 2), [
+        'kd_dati2 "7" does not match /^\\d{2}$/',
+        'Missing nm_dati2'
+    ]);
+    assert.deepEqual(checkProperties(null, 1), ['Feature has no properties']);
+});
+
+test('isEmptyGeometry catches null and coordinate-less geometries', () => {
+    assert.equal(isEmptyGeometry(null), true);
+    assert.equal(isEmptyGeometry({ type: 'MultiPolygon', coordinates: [] }), true);
+    assert.equal(isEmptyGeometry({ type: 'GeometryCollection', geometries: [{ type: 'Polygon', coordinates: [[]] }] }), true);
+    assert.equal(isEmptyGeometry(square), false);
+});
+
+test('the dry-run report lists property, duplicate, empty and invalid geometry problems', async (t) => {
+    // PostGIS answers for the batch: the bow-tie (index 1 of the geometries sent) is self-intersecting
+    const queries = [];
+    t.mock.method(pool, 'query', async (sql, params) => {
+        queries.push(JSON.parse(params[0]));
+        return { rows: [{ feature_index: 1, reason: 'Self-intersection[96.05 4.05]' }] };
+    });
+
+    const validator = createValidator({ transform: transformProperties, batchSize: 10 });
+    await validator.add('11.73_kecamatan.geojson', 0, 3, kecamatan('010'));
+    await validator.add('11.73_kecamatan.geojson', 1, 3, kecamatan('020', bowtie));
+    await validator.add('11.73_kecamatan.geojson', 2, 3, kecamatan('010'));
+    await validator.add('11.73_kecamatan.geojson', 3, 3, kecamatan('030', null));
+    await validator.add('11.73_kecamatan.geojson', 4, 3, { ...kecamatan('040'), properties: { kd_propinsi: '11' } });
+    const report = await validator.finish();
+
+    assert.equal(queries.length, 1, 'geometries are checked in one batch');
+    assert.equal(report.geometryCheck.checked, true);
+    assert.deepEqual(report.summary, {
+        features: 5, withProblems: 5, property: 1, duplicate: 2, invalid_geometry: 1, empty_geometry: 1
+    });
+
+    const byIndex = Object.fromEntries(report.features.map(f => [f.index, f.problems.map(p => p.type)]));
+    assert.deepEqual(byIndex[0], ['duplicate']);
+    assert.deepEqual(byIndex[1], ['invalid_geometry']);
+    assert.deepEqual(byIndex[2], ['duplicate']);
+    assert.deepEqual(byIndex[3], ['empty_geometry']);
+    assert.ok(byIndex[4].every(type => type === 'property'));
+    assert.equal(report.features.find(f => f.index === 1).kode, '11.73.20');
+});
+
+test('the other checks still run when PostGIS is unreachable', async (t) => {
+    t.mock.method(pool, 'query', async () => {
+        throw new Error('connect ECONNREFUSED');
+    });
+
+    const validator = createValidator({ transform: transformProperties });
+    await validator.add('11.73_kecamatan.geojson', 0, 3, kecamatan('010'));
+    await validator.add('11.73_kecamatan.geojson', 1, 3, kecamatan('010'));
+    const report = await validator.finish();
+
+    assert.deepEqual(report.geometryCheck, { checked: false, error: 'connect ECONNREFUSED' });
+    assert.equal(report.summary.duplicate, 2);
+});